@@ -0,0 +1,77 @@
+import { completeJson } from './llm.js';
+import { createMemoryStore } from './sessionStore.js';
+import { SEVERITIES } from './safety.js';
+import { normalizeLanguage, DEFAULT_LANGUAGE } from './i18n.js';
+
+// --- MESSAGE ANALYSIS ---
+// One structured LLM call per message returns the skill route, its arguments,
+// sarcasm, mood and language together, instead of separate classifier/sarcasm/mood calls.
+
+// `history` lets follow-ups like "and tomorrow?" route to the same skill;
+// today's date lets skills resolve relative dates ("Saturday", "this evening").
+export function buildAnalysisPrompt(skills, message, { history = [], now = new Date() } = {}) {
+  const recent = history.slice(-4)
+    .map(h => `${h.role}: ${h.content.replace(/\s+/g, ' ').slice(0, 200)}`)
+    .join('\n');
+  const today = now.toLocaleDateString('en-CA');
+  const weekday = now.toLocaleDateString('en-US', { weekday: 'long' });
+  return `Analyze the user's message in one pass: route it to exactly one skill, extract that skill's arguments, and read its tone.
+Skills:
+${skills.describe()}
+
+If nothing else fits, use "${skills.fallback}".
+Today is ${weekday}, ${today}. Write dates as YYYY-MM-DD.
+"sarcasm.intended_meaning" is what a sarcastic user actually means (empty if not sarcastic).
+"mood.low" is true when the user sounds low, stressed, anxious, sad or hopeless.
+"mood.severity" grades that: none; mild (stressed, tired, frustrated); moderate (sad, anxious, hopeless, grieving); high (any hint of self-harm or suicide, wanting to die, or being in danger).
+"language" is the message's language as a BCP 47 tag: "en", "hi" for Hindi in Devanagari, "hi-Latn" for Hinglish (Hindi or Hindi-English mix in Latin script), or another ISO 639-1 code.
+${recent ? `Recent conversation:\n${recent}\n` : ''}Message: "${message}"
+Output ONLY JSON: {"skill": "<skill name>", "args": {<arguments>}, "sarcasm": {"is_sarcastic": bool, "intended_meaning": "string"}, "mood": {"low": bool, "severity": "none|mild|moderate|high"}, "language": "en|hi|hi-Latn|..."}`;
+}
+
+function normalize(raw) {
+  return {
+    skill: raw.skill,
+    args: raw.args,
+    sarcasm: {
+      is_sarcastic: raw.sarcasm?.is_sarcastic === true,
+      intended_meaning: typeof raw.sarcasm?.intended_meaning === 'string' ? raw.sarcasm.intended_meaning : ''
+    },
+    mood: {
+      low: raw.mood?.low === true || ['moderate', 'high'].includes(raw.mood?.severity),
+      severity: SEVERITIES.includes(raw.mood?.severity) ? raw.mood.severity : (raw.mood?.low === true ? 'mild' : 'none')
+    },
+    language: normalizeLanguage(raw.language) || DEFAULT_LANGUAGE
+  };
+}
+
+// The same words can mean something else after a different reply ("more", "and tomorrow?"),
+// so the cache key includes the last turn.
+function cacheKey(message, history) {
+  const lastTurn = history.at(-1)?.content.slice(0, 200) || '';
+  return `${message.trim().toLowerCase()}\u0000${lastTurn}`;
+}
+
+export function createAnalyzer({ llm, skills, cacheTtlMs = 5 * 60 * 1000, cacheSize = 500 }) {
+  const cache = createMemoryStore({ ttlMs: cacheTtlMs, maxSessions: cacheSize });
+
+  return {
+    // Resolves with { skill, args, sarcasm, mood, language, cached }. Passing `llm` overrides the
+    // analyzer's client for this call (e.g. a metered one).
+    async analyze(message, { history = [], signal, llm: callLLM = llm } = {}) {
+      const key = cacheKey(message, history);
+      const hit = await cache.get(key);
+      if (hit) return { ...hit, cached: true };
+
+      // A skill's detect() (e.g. a pasted link) overrides the model's routing.
+      const analysis = {
+        ...normalize(await completeJson(callLLM, 'classifier', {
+          messages: [{ role: "user", content: buildAnalysisPrompt(skills, message, { history }) }]
+        }, { signal })),
+        ...skills.detect(message)
+      };
+      await cache.set(key, analysis);
+      return { ...analysis, cached: false };
+    }
+  };
+}
@@ -0,0 +1,703 @@
+import crypto from 'crypto';
+import express from 'express';
+import cors from 'cors';
+import axios from 'axios';
+import helmet from 'helmet';
+import rateLimit from 'express-rate-limit';
+import { createMemoryStore } from './sessionStore.js';
+import { createDefaultRegistry } from './skills/index.js';
+import { createAnalyzer } from './analysis.js';
+import { meterUsage } from './llm.js';
+import { isAppError, describeError, localizeError, warningReply, ERROR_CODES } from './errors.js';
+import { createResilientHttp } from './resilience.js';
+import { clientById, createAuthenticator, createTokenIssuer } from './auth.js';
+import { createUsageMeter } from './usage.js';
+import { logger } from './logger.js';
+import { createAppMetrics } from './metrics.js';
+import { createFeedbackStore, RATINGS } from './feedback.js';
+import { AUDIO_TYPES } from './providers/speech.js';
+import { createDocumentStore, extractDocument, describeDocument, DOCUMENT_TYPES } from './documents.js';
+import { createScheduleStore, createSchedule, createScheduler, isTimeZone } from './schedules.js';
+import { composeBriefing } from './skills/schedule.js';
+import { normalizeLanguage, localeFor, t, DEFAULT_LANGUAGE } from './i18n.js';
+import { searchVerses, findVerse, THEMES } from './gitaVerses.js';
+import { assessSeverity, mentionsSelfHarm, resolveLocale, formatSafetyResponse, logCrisisEvent, loadCrisisResources, CRISIS_INTENT } from './safety.js';
+
+export const defaultConfig = {
+  weatherApiKey: undefined,
+  newsApiKey: undefined,
+  weatherBaseUrl: 'https://api.weatherapi.com/v1',
+  newsBaseUrl: 'https://newsapi.org/v2',
+  weatherMaxDays: 14,
+  // Locale-keyed helplines for the crisis response; see safety.js
+  crisisResources: loadCrisisResources(),
+  allowedOrigins: ['https://nodemesh-ai-frontend.onrender.com', 'http://localhost:5173'],
+  rateLimit: { windowMs: 15 * 60 * 1000, max: 100 },
+  // Client keys from auth.js (parseApiKeys); empty keeps the API open
+  apiKeys: [],
+  // LLM tokens per client per window; 0 disables the quota
+  tokenQuota: 200000,
+  quotaWindowMs: 24 * 60 * 60 * 1000,
+  // Browser tokens from POST /auth/token: each has its own quota within its key's; without a
+  // secret one is generated per process, and browsers renew their tokens after a restart
+  tokenSecret: undefined,
+  browserTokenTtlMs: 60 * 60 * 1000,
+  browserTokenQuota: 20000,
+  // Per-attempt timeout for WeatherAPI/NewsAPI calls (retries and circuit breaking in resilience.js)
+  httpTimeoutMs: 8000,
+  // How long /readyz reuses its last provider check
+  readinessCacheMs: 10000,
+  // How long a reply stays rateable via POST /feedback
+  replyRetentionMs: 7 * 24 * 60 * 60 * 1000,
+  // Largest audio upload POST /transcribe accepts
+  maxAudioBytes: 10 * 1024 * 1024,
+  // Largest document upload or linked page, and how much of its text is kept
+  maxDocumentBytes: 10 * 1024 * 1024,
+  maxDocumentCharacters: 300000,
+  // Lets linked pages resolve to private/loopback addresses (local development and tests only)
+  allowPrivateUrls: false,
+  // Lets general answers call the weather, news and calculator tools (skills/tools.js);
+  // turn off for models without function calling
+  toolCalling: true,
+  // Time zone for schedules when the client doesn't send one, and how often due ones are checked
+  timeZone: 'UTC',
+  scheduleIntervalMs: 30000
+};
+
+// Builds the Express app around injected clients so it can run against fake providers.
+//   llm:          provider chain from providers/index.js (createLLM)
+//   http:         axios instance used for WeatherAPI/NewsAPI
+//   sessionStore: adapter from sessionStore.js
+//   metrics:      from metrics.js; share it with createLLM's onAttempt to get provider latency
+//   feedback:     store from feedback.js for thumbs up/down on replies
+//   transcriber:  speech-to-text engine from providers/speech.js; without one /transcribe answers 503
+//   documents:    store from documents.js for uploaded files and linked pages, per session
+//   schedules:    store from schedules.js for daily briefings and rain alerts, with their inboxes
+//   config:       overrides for defaultConfig (API keys, base URLs, limits)
+// The scheduler that runs due schedules is app.locals.scheduler; call its start() to run it
+// every scheduleIntervalMs, or tick(now) to run one pass.
+export function createApp({ llm, http = axios, sessionStore = createMemoryStore(), metrics = createAppMetrics(), feedback = createFeedbackStore(), documents = createDocumentStore(), schedules = createScheduleStore(), transcriber, config: overrides = {} }) {
+  const config = { ...defaultConfig };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value !== undefined) config[key] = value;
+  }
+  const app = express();
+  const upstream = createResilientHttp(http, { timeoutMs: config.httpTimeoutMs, onAttempt: metrics.observeUpstream });
+
+  // --- REQUEST ID & ACCESS LOG ---
+  // Reuses a sane incoming X-Request-Id (e.g. from a proxy), else generates one; it is echoed
+  // back in the header and in error bodies, and every log line for the request carries it.
+  app.use((req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = /^[\w.-]{1,64}$/.test(incoming || '') ? incoming : crypto.randomUUID();
+    req.log = logger.child({ requestId: req.id });
+    res.set('X-Request-Id', req.id);
+
+    const startedAt = performance.now();
+    res.on('finish', () => {
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+      metrics.recordRequest({ method: req.method, route, status: res.statusCode });
+      req.log.info('request', { method: req.method, route, status: res.statusCode, durationMs: Math.round(performance.now() - startedAt) });
+    });
+    next();
+  });
+
+  // --- SECURITY & PROXY ---
+  app.set('trust proxy', 1);
+  app.use(helmet());
+  app.use(express.json());
+
+  app.use(cors({
+    origin: (origin, callback) => {
+      if (!origin || config.allowedOrigins.includes(origin)) return callback(null, true);
+      callback(new Error('Not allowed by CORS'));
+    },
+    credentials: true,
+    exposedHeaders: ['X-Request-Id', 'Retry-After']
+  }));
+
+  // Language for canned warnings: the client's preference, else its Accept-Language.
+  app.use((req, res, next) => {
+    req.language = normalizeLanguage(req.body?.language || req.get('Accept-Language'));
+    next();
+  });
+
+  const limiter = rateLimit({
+    ...config.rateLimit,
+    message: (req) => ({ reply: warningReply(t(req.language, 'warning.rateLimited'), req.language) })
+  });
+  app.use(['/chat', '/transcribe', '/auth/token'], limiter);
+
+  // --- AUTH & QUOTAS ---
+  const usageMeter = createUsageMeter({ windowMs: config.quotaWindowMs, defaultQuota: config.tokenQuota });
+  const tokens = createTokenIssuer({ secret: config.tokenSecret, ttlMs: config.browserTokenTtlMs });
+  const clients = { apiKeys: config.apiKeys, browserQuota: config.browserTokenQuota };
+  app.use(['/chat', '/sessions', '/usage', '/feedback', '/transcribe', '/auth'], createAuthenticator(config.apiKeys, { tokens, ...clients }));
+
+  // Exchanges an API key (or a still-valid token) for a token of this browser; send the
+  // previous one as `token` to keep the browser's usage.
+  app.post('/auth/token', (req, res) => {
+    const previous = typeof req.body?.token === 'string' ? req.body.token : undefined;
+    res.status(201).json(tokens.issue((req.client.parent || req.client).id, previous));
+  });
+
+  async function enforceQuota(req, res, next) {
+    const usage = await usageMeter.get(req.client);
+    if (usage.remaining !== 0) return next();
+    res.set('Retry-After', String(Math.max(Math.ceil((Date.parse(usage.resetAt) - Date.now()) / 1000), 1)));
+    res.status(429).json({ error: warningReply(t(req.language, 'warning.quotaExceeded', { resetAt: usage.resetAt }), req.language), code: ERROR_CODES.quotaExceeded, usage });
+  }
+
+  app.get('/usage', async (req, res) => {
+    res.json(await usageMeter.get(req.client));
+  });
+
+  // --- MEMORY STORAGE ---
+  const MAX_HISTORY_TURNS = 6;
+  const MAX_CHECKPOINTS = 20;
+
+  // A session record is { history: [{ role, content }], state: {}, checkpoints: [{ turnId, state }] };
+  // skills keep per-session memory (e.g. the last weather location) under `state`, and each
+  // checkpoint is a copy of `state` from just before a user turn, so that turn can be re-run.
+  async function getSession(sessionId) {
+    const record = await sessionStore.get(sessionId);
+    if (Array.isArray(record)) return { history: record, state: {}, checkpoints: [] };
+    return { history: record?.history || [], state: record?.state || {}, checkpoints: record?.checkpoints || [] };
+  }
+
+  async function getSessionHistory(sessionId) {
+    return (await getSession(sessionId)).history;
+  }
+
+  async function saveSession(sessionId, { history, state, checkpoints = [] }) {
+    await sessionStore.set(sessionId, {
+      history: history.slice(-(MAX_HISTORY_TURNS * 2)),
+      state,
+      checkpoints: checkpoints.slice(-MAX_CHECKPOINTS)
+    });
+  }
+
+  const isValidHistory = (history) => Array.isArray(history) && history.every(h =>
+    ['user', 'assistant'].includes(h?.role) && typeof h.content === 'string');
+
+  // Regenerate and edit-and-resend re-run turn `turnId` on top of the transcript before it:
+  // the session goes back to that turn's checkpoint (or keeps its state if there is none)
+  // and later checkpoints are dropped, since the conversation forks from there.
+  function rewindSession(session, turnId, history) {
+    const index = session.checkpoints.findIndex(c => c.turnId === turnId);
+    if (index === -1) return { ...session, history };
+    return { history, state: session.checkpoints[index].state, checkpoints: session.checkpoints.slice(0, index) };
+  }
+
+  // --- REPLY LOG ---
+  // What produced each reply (intent, skill arguments, models per role), kept for
+  // replyRetentionMs so feedback can be stored against it.
+  const replies = createMemoryStore({ ttlMs: config.replyRetentionMs, maxSessions: 10000 });
+
+
+  // --- SKILLS ---
+  const skills = createDefaultRegistry();
+  const analyzer = createAnalyzer({ llm, skills });
+
+  // --- CHAT PIPELINE ---
+  // Resolves with { reply, replyId, intent, language, models, card?, tools?, safety?, errors?, latencyMs, analysisCached, tokens };
+  // latencyMs has one entry per stage, models maps each LLM role used to its model, card is the
+  // skill's structured payload (weather, news), tools lists the tool calls behind the answer
+  // (skills/tools.js; each is also passed to onToolCall when it finishes) and tokens is what this message cost. A skill that fails with a coded error (errors.js) still produces a
+  // reply: the warning, with the code listed in `errors`.
+  // `locale` is a BCP 47 tag or Accept-Language header, used for the crisis response; `client`
+  // is whose quota is charged; `log` is the request's logger. `turnId` identifies the user turn
+  // (checkpointed before it runs); with `rewindTo` (the transcript before that turn) it is re-run.
+  // `language` is the client's preferred reply language (i18n.js), else the one the analysis detected.
+  // `timeZone` (IANA) is where schedules created by this message run.
+  async function processMessage(message, sessionId, { onIntent, onDelta, onToolCall, signal, locale, client, turnId, rewindTo, language: preferred, timeZone = config.timeZone, log = logger } = {}) {
+    const latencyMs = {};
+    const timed = async (stage, work) => {
+      const startedAt = performance.now();
+      try {
+        return await work();
+      } finally {
+        latencyMs[stage] = Math.round(performance.now() - startedAt);
+      }
+    };
+    const startedAt = performance.now();
+
+    // Every LLM call for this message is metered so its tokens can be charged to `client`.
+    let tokens = 0;
+    const models = {};
+    const meteredLLM = meterUsage(llm, (count, { role, model }) => {
+      tokens += count;
+      if (model) models[role] = model;
+    });
+    try {
+      let session = await getSession(sessionId);
+      if (rewindTo) session = rewindSession(session, turnId, rewindTo);
+      const checkpoints = turnId
+        ? [...session.checkpoints.filter(c => c.turnId !== turnId), { turnId, state: structuredClone(session.state) }]
+        : session.checkpoints;
+
+      // Skill Routing, sarcasm and mood in one call; the prompt is generated from the registered skills.
+      // Explicit self-harm language is checked first, so a failing analysis can't keep the
+      // helplines from the user: such a message goes on with an empty analysis.
+      const selfHarm = mentionsSelfHarm(message);
+      let analysis;
+      try {
+        analysis = await timed('analysis', () => analyzer.analyze(message, { history: session.history, signal, llm: meteredLLM }));
+      } catch (error) {
+        if (!selfHarm || signal?.aborted) throw error;
+        log.warn('Analysis failed on a self-harm message', { code: error.code || ERROR_CODES.internal });
+        analysis = { mood: {} };
+      }
+
+      const language = preferred || analysis.language || DEFAULT_LANGUAGE;
+      let intent, reply, safety, route, card;
+      const errors = [];
+      const tools = [];
+      const risk = assessSeverity(analysis, message);
+      if (risk.severity === 'high') {
+        // Self-harm risk bypasses the skills, including the Gita flow. A reply language that
+        // differs from the client's locale (Hindi from an en-US browser) picks the helplines.
+        const sameLanguage = language === DEFAULT_LANGUAGE || String(locale || '').toLowerCase().startsWith(language.split('-')[0]);
+        safety = { severity: risk.severity, locale: resolveLocale(sameLanguage ? locale : localeFor(language), config.crisisResources) };
+        logCrisisEvent({ ...risk, locale: safety.locale }, log);
+        intent = CRISIS_INTENT;
+        onIntent?.(intent);
+        reply = formatSafetyResponse(config.crisisResources[safety.locale]);
+        onDelta?.(reply);
+      } else {
+        const { skill, args } = skills.resolve(analysis);
+        intent = skill.name;
+        route = { skill: skill.name, args };
+        onIntent?.(intent);
+
+        // Skills that don't stream still reach streaming clients as a single delta.
+        let streamed = false;
+        try {
+          reply = await timed('skill', () => skill.handler(args, {
+            message,
+            sessionId,
+            history: session.history,
+            state: session.state,
+            analysis,
+            language,
+            timeZone,
+            documents: {
+              list: () => documents.list(sessionId),
+              add: (document) => documents.add(sessionId, document),
+              search: (query, options) => documents.search(sessionId, query, options)
+            },
+            schedules: {
+              list: () => schedules.list(sessionId),
+              add: (input) => schedules.add(createSchedule(sessionId, { ...input, clientId: client?.id }))
+            },
+            llm: meteredLLM,
+            http: upstream,
+            config,
+            signal,
+            reportError: (error) => errors.push(describeError(error, language)),
+            attachCard: (attached) => { card = attached; },
+            reportToolCall: (step) => {
+              tools.push(step);
+              onToolCall?.(step);
+            },
+            onDelta: onDelta && ((content) => { streamed = true; onDelta(content); })
+          }));
+        } catch (error) {
+          if (!isAppError(error) || signal?.aborted) throw error;
+          errors.push(describeError(error, language));
+          reply = warningReply(localizeError(error, language), language);
+          card = undefined;
+          streamed = false;
+        }
+        if (!streamed) onDelta?.(reply);
+      }
+
+      await timed('save', () => saveSession(sessionId, {
+        history: [...session.history, { role: "user", content: message }, { role: "assistant", content: reply }],
+        state: session.state,
+        checkpoints
+      }));
+      latencyMs.total = Math.round(performance.now() - startedAt);
+      metrics.recordMessage({ intent, latencyMs });
+
+      // Crisis replies are logged without the message text, as in logCrisisEvent.
+      const replyId = crypto.randomUUID();
+      await replies.set(replyId, {
+        sessionId,
+        turnId,
+        clientId: client?.id,
+        intent,
+        language,
+        models,
+        message: safety ? undefined : message,
+        route,
+        tools: tools.map(({ name, arguments: args, error }) => ({ name, args, ...(error && { error: error.code }) })),
+        errors: errors.map(e => e.code),
+        at: new Date().toISOString()
+      });
+      return { reply, replyId, intent, language, models, ...(card && { card }), ...(tools.length && { tools }), ...(safety && { safety }), ...(errors.length && { errors }), latencyMs, analysisCached: analysis.cached, tokens };
+    } finally {
+      if (client) await usageMeter.record(client, tokens);
+    }
+  }
+
+  // Error body for a failed pipeline: { error, code, retryable, requestId }. Coded errors keep
+  // their (localized) message; anything else is reported as an internal failure.
+  function errorBody(error, requestId, language) {
+    if (isAppError(error)) return { error: warningReply(localizeError(error, language), language), code: error.code, retryable: error.retryable, requestId };
+    return { error: warningReply(t(language, 'warning.internal'), language), code: ERROR_CODES.internal, retryable: false, requestId };
+  }
+
+  // --- MAIN CHAT ENDPOINT ---
+  // Body: { message, sessionId?, locale?, language?, timeZone?, turnId?, rewind?, history? }. With `rewind`, `history` is
+  // the transcript before turn `turnId`, which is re-run (regenerate / edit-and-resend).
+  function readChatRequest(req, res) {
+    const { message, sessionId = 'default', locale = req.get('Accept-Language'), turnId, rewind, history } = req.body;
+    if (typeof message !== 'string' || !message.trim()) {
+      res.status(400).json({ error: "Message required", code: ERROR_CODES.invalidRequest });
+      return null;
+    }
+    if (rewind && (!turnId || !isValidHistory(history))) {
+      res.status(400).json({ error: "Rewinding needs a turnId and the history before that turn", code: ERROR_CODES.invalidRequest });
+      return null;
+    }
+    return { message, sessionId, options: { locale, language: normalizeLanguage(req.body.language), timeZone: isTimeZone(req.body.timeZone) ? req.body.timeZone : undefined, turnId, rewindTo: rewind ? history : undefined, client: req.client, log: req.log } };
+  }
+
+  app.post('/chat', enforceQuota, async (req, res) => {
+    const chat = readChatRequest(req, res);
+    if (!chat) return;
+
+    try {
+      const result = await processMessage(chat.message, chat.sessionId, chat.options);
+      res.json({ ...result, usage: await usageMeter.get(req.client) });
+    } catch (error) {
+      req.log.error('Chat pipeline failed', { error });
+      res.status(isAppError(error) ? error.status : 500).json(errorBody(error, req.id, req.language));
+    }
+  });
+
+  // --- SESSION ENDPOINTS ---
+  app.get('/sessions/:id/history', async (req, res) => {
+    res.json({ sessionId: req.params.id, history: await getSessionHistory(req.params.id) });
+  });
+
+  // Lets the client rehydrate a session (e.g. after switching conversations or a server restart).
+  app.put('/sessions/:id/history', async (req, res) => {
+    const { history } = req.body;
+    if (!isValidHistory(history)) return res.status(400).json({ error: "History must be an array of { role: 'user'|'assistant', content }", code: ERROR_CODES.invalidRequest });
+
+    const session = await getSession(req.params.id);
+    await saveSession(req.params.id, { ...session, history });
+    res.json({ sessionId: req.params.id, history: await getSessionHistory(req.params.id) });
+  });
+
+  app.delete('/sessions/:id', async (req, res) => {
+    const hadDocuments = await documents.clear(req.params.id);
+    const hadSchedules = await schedules.clear(req.params.id);
+    const deleted = await sessionStore.delete(req.params.id);
+    if (!deleted && !hadDocuments && !hadSchedules) return res.status(404).json({ error: "Session not found", code: ERROR_CODES.notFound });
+    res.status(204).end();
+  });
+
+  // --- DOCUMENT ENDPOINTS ---
+  // POST /sessions/:id/documents?filename=report.pdf with the file as the raw body (Content-Type
+  // application/pdf, text/plain or text/markdown) extracts and indexes it for that session's
+  // chat; links pasted in chat land in the same list. Responses describe documents without their text.
+  const documentBody = express.raw({ type: Object.keys(DOCUMENT_TYPES), limit: config.maxDocumentBytes });
+  const readDocument = (req, res, next) => documentBody(req, res, (error) => {
+    if (!error) return next();
+    const tooLarge = error.type === 'entity.too.large';
+    res.status(tooLarge ? 413 : 400).json({ error: tooLarge ? `Document is larger than ${config.maxDocumentBytes} bytes` : "Unreadable document upload", code: ERROR_CODES.invalidRequest });
+  });
+
+  app.post('/sessions/:id/documents', limiter, readDocument, async (req, res) => {
+    const mimeType = req.get('Content-Type')?.split(';')[0].trim().toLowerCase();
+    if (!DOCUMENT_TYPES[mimeType]) {
+      return res.status(415).json({ error: `Send the file as the request body with one of: ${Object.keys(DOCUMENT_TYPES).join(', ')}`, code: ERROR_CODES.unsupportedDocument });
+    }
+    if (!Buffer.isBuffer(req.body) || !req.body.length) {
+      return res.status(400).json({ error: "The document is empty", code: ERROR_CODES.invalidRequest });
+    }
+    const filename = typeof req.query.filename === 'string' ? req.query.filename.slice(0, 200) : undefined;
+    try {
+      const document = await extractDocument(req.body, mimeType, { filename, maxCharacters: config.maxDocumentCharacters });
+      await documents.add(req.params.id, document);
+      res.status(201).json(describeDocument(document));
+    } catch (error) {
+      req.log.error('Document upload failed', { error });
+      res.status(isAppError(error) ? error.status : 500).json(errorBody(error, req.id, req.language));
+    }
+  });
+
+  app.get('/sessions/:id/documents', async (req, res) => {
+    res.json({ sessionId: req.params.id, documents: (await documents.list(req.params.id)).map(describeDocument) });
+  });
+
+  app.delete('/sessions/:id/documents/:documentId', async (req, res) => {
+    const removed = await documents.remove(req.params.id, req.params.documentId);
+    if (!removed) return res.status(404).json({ error: "Document not found", code: ERROR_CODES.notFound });
+    res.status(204).end();
+  });
+
+  // --- SCHEDULED BRIEFINGS ---
+  // A due schedule (schedules.js) is composed from the weather and news handlers for its
+  // session (skills/schedule.js), added to the session's history as an assistant turn so
+  // follow-ups like "summarize #2" work, and delivered to the session's inbox. Its LLM tokens
+  // are charged to the client that created it, and it is skipped while that quota is spent.
+  async function runSchedule(schedule) {
+    const client = schedule.clientId ? clientById(schedule.clientId, clients) : { id: `schedule:${schedule.sessionId}` };
+    if ((await usageMeter.get(client)).remaining === 0) {
+      logger.info('Skipped a schedule run over quota', { scheduleId: schedule.id, clientId: client.id });
+      return null;
+    }
+
+    let tokens = 0;
+    const session = await getSession(schedule.sessionId);
+    const state = { ...session.state };
+    const language = schedule.language || DEFAULT_LANGUAGE;
+    let content;
+    try {
+      content = await composeBriefing(schedule, {
+        message: '',
+        sessionId: schedule.sessionId,
+        history: session.history,
+        state,
+        language,
+        llm: meterUsage(llm, (count) => { tokens += count; }),
+        http: upstream,
+        config
+      });
+    } finally {
+      await usageMeter.record(client, tokens);
+    }
+    if (!content) return null;
+
+    // Chat turns may have been saved while the briefing was composed: add to the latest
+    // session, with only the state entries the briefing replaced (e.g. the news it listed).
+    const latest = await getSession(schedule.sessionId);
+    const replaced = Object.fromEntries(Object.entries(state).filter(([key, value]) => value !== session.state[key]));
+    await saveSession(schedule.sessionId, {
+      ...latest,
+      history: [...latest.history, { role: "assistant", content }],
+      state: { ...latest.state, ...replaced }
+    });
+    return schedules.deliver(schedule.sessionId, { scheduleId: schedule.id, type: schedule.type, language, content });
+  }
+
+  app.locals.scheduler = createScheduler({ store: schedules, run: runSchedule, intervalMs: config.scheduleIntervalMs });
+
+  // POST /sessions/:id/schedules takes { type?, time, timeZone?, language?, location?, news?,
+  // threshold?, day? } (see createSchedule); the schedule skill creates them from chat too.
+  // PATCH takes { paused }.
+  app.get('/sessions/:id/schedules', async (req, res) => {
+    res.json({ sessionId: req.params.id, schedules: await schedules.list(req.params.id) });
+  });
+
+  app.post('/sessions/:id/schedules', async (req, res) => {
+    try {
+      const schedule = await schedules.add(createSchedule(req.params.id, {
+        ...req.body,
+        timeZone: req.body.timeZone ?? config.timeZone,
+        language: req.body.language ? normalizeLanguage(req.body.language) : undefined,
+        clientId: req.client.id
+      }));
+      res.status(201).json(schedule);
+    } catch (error) {
+      req.log.error('Schedule creation failed', { error });
+      res.status(isAppError(error) ? error.status : 500).json(errorBody(error, req.id, req.language));
+    }
+  });
+
+  app.patch('/sessions/:id/schedules/:scheduleId', async (req, res) => {
+    if (typeof req.body.paused !== 'boolean') return res.status(400).json({ error: '"paused" must be true or false', code: ERROR_CODES.invalidRequest });
+    const schedule = await schedules.setPaused(req.params.id, req.params.scheduleId, req.body.paused);
+    if (!schedule) return res.status(404).json({ error: "Schedule not found", code: ERROR_CODES.notFound });
+    res.json(schedule);
+  });
+
+  app.delete('/sessions/:id/schedules/:scheduleId', async (req, res) => {
+    const removed = await schedules.remove(req.params.id, req.params.scheduleId);
+    if (!removed) return res.status(404).json({ error: "Schedule not found", code: ERROR_CODES.notFound });
+    res.status(204).end();
+  });
+
+  // Inbox: GET /sessions/:id/briefings?since=<ISO time> for polling, or
+  // GET /sessions/:id/briefings/stream for `briefing` Server-Sent Events as they are delivered.
+  app.get('/sessions/:id/briefings', async (req, res) => {
+    const since = typeof req.query.since === 'string' ? req.query.since : undefined;
+    res.json({ sessionId: req.params.id, briefings: await schedules.inbox(req.params.id, { since }) });
+  });
+
+  app.get('/sessions/:id/briefings/stream', (req, res) => {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    const unsubscribe = schedules.subscribe(req.params.id, (entry) => sendEvent(res, 'briefing', entry));
+    // Comment lines keep proxies from closing an idle stream.
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  });
+
+  // --- SPEECH-TO-TEXT ENDPOINT ---
+  // POST /transcribe?language=hi with the recording as the raw body (Content-Type audio/webm,
+  // audio/ogg, audio/mp4, audio/wav, ...). Resolves with { text, language?, durationSeconds? }.
+  const audioBody = express.raw({ type: Object.keys(AUDIO_TYPES), limit: config.maxAudioBytes });
+  const readAudio = (req, res, next) => audioBody(req, res, (error) => {
+    if (!error) return next();
+    const tooLarge = error.type === 'entity.too.large';
+    res.status(tooLarge ? 413 : 400).json({ error: tooLarge ? `Recording is larger than ${config.maxAudioBytes} bytes` : "Unreadable audio upload", code: ERROR_CODES.invalidRequest });
+  });
+
+  app.post('/transcribe', enforceQuota, readAudio, async (req, res) => {
+    if (!transcriber?.configured) {
+      return res.status(503).json({ error: "Speech-to-text is not configured on this server", code: ERROR_CODES.missingApiKey });
+    }
+    const mimeType = req.get('Content-Type')?.split(';')[0].trim().toLowerCase();
+    if (!AUDIO_TYPES[mimeType] || !Buffer.isBuffer(req.body) || !req.body.length) {
+      return res.status(400).json({ error: `Send the recording as the request body with one of: ${Object.keys(AUDIO_TYPES).join(', ')}`, code: ERROR_CODES.invalidRequest });
+    }
+    const language = /^[a-z]{2,3}$/i.test(req.query.language || '') ? req.query.language.toLowerCase() : undefined;
+
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) controller.abort();
+    });
+    try {
+      res.json(await transcriber.transcribe(req.body, { mimeType, language, signal: controller.signal }));
+    } catch (error) {
+      if (controller.signal.aborted) return;
+      req.log.error('Transcription failed', { error });
+      res.status(isAppError(error) ? error.status : 500).json(errorBody(error, req.id, req.language));
+    }
+  });
+
+  // --- FEEDBACK ENDPOINTS ---
+  // POST /feedback { replyId, rating: 'up'|'down', comment? } stores the rating with what produced
+  // the reply; GET /feedback?intent=&rating=&limit= lists them, newest first, with per-intent totals.
+  // Both are scoped to the calling client (its API key, or its IP when no keys are set): entries
+  // hold message text, so clients only rate and read back their own replies.
+  app.post('/feedback', async (req, res) => {
+    const { replyId, rating, comment } = req.body;
+    if (!RATINGS.includes(rating) || (comment !== undefined && typeof comment !== 'string')) {
+      return res.status(400).json({ error: "Feedback needs a rating of 'up' or 'down' and an optional comment", code: ERROR_CODES.invalidRequest });
+    }
+    const produced = replyId && await replies.get(replyId);
+    if (!produced || produced.clientId !== req.client.id) return res.status(404).json({ error: "Reply not found or too old to rate", code: ERROR_CODES.notFound });
+
+    const entry = { replyId, rating, comment: comment?.trim().slice(0, 1000) || undefined, clientId: req.client.id, ...produced, ratedAt: new Date().toISOString() };
+    try {
+      await feedback.add(entry);
+      res.status(201).json(entry);
+    } catch (error) {
+      req.log.error('Feedback write failed', { error });
+      res.status(isAppError(error) ? error.status : 500).json(errorBody(error, req.id, req.language));
+    }
+  });
+
+  app.get('/feedback', async (req, res) => {
+    const { intent, rating } = req.query;
+    const limit = Math.max(1, Math.min(Math.floor(Number(req.query.limit)) || 50, 500));
+    res.json(await feedback.list({ clientId: req.client.id, intent, rating, limit }));
+  });
+
+  // --- GITA VERSE ENDPOINTS ---
+  // GET /gita/verses?q=feeling anxious&theme=anxiety&chapter=2&limit=5
+  app.get('/gita/verses', (req, res) => {
+    const { q, theme, chapter } = req.query;
+    // A repeated parameter (?q=a&q=b) arrives as an array.
+    const repeated = ['q', 'theme', 'chapter', 'limit'].find(key => req.query[key] !== undefined && typeof req.query[key] !== 'string');
+    if (repeated) return res.status(400).json({ error: `"${repeated}" must be given once, as text`, code: ERROR_CODES.invalidRequest });
+    const limit = Math.max(1, Math.min(Math.floor(Number(req.query.limit)) || 10, 50));
+    res.json({ themes: THEMES, verses: searchVerses({ q, theme, chapter, limit }) });
+  });
+
+  app.get('/gita/verses/:chapter/:verse', (req, res) => {
+    const verse = findVerse(req.params.chapter, req.params.verse);
+    if (!verse) return res.status(404).json({ error: "Verse not found in the curated corpus", code: ERROR_CODES.notFound });
+    res.json(verse);
+  });
+
+  // --- STREAMING CHAT ENDPOINT (SSE) ---
+  // Events: `intent` -> { intent }, `delta` -> { content }, `tool` -> one finished tool call,
+  // `done` -> /chat's JSON body (with the client's `usage`), `error` -> { error }
+  function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  app.post('/chat/stream', enforceQuota, async (req, res) => {
+    const chat = readChatRequest(req, res);
+    if (!chat) return;
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // Client hit Stop (or went away): cancel the upstream Groq request too.
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) controller.abort();
+    });
+
+    try {
+      const result = await processMessage(chat.message, chat.sessionId, {
+        ...chat.options,
+        signal: controller.signal,
+        onIntent: (intent) => sendEvent(res, 'intent', { intent }),
+        onDelta: (content) => sendEvent(res, 'delta', { content }),
+        onToolCall: (step) => sendEvent(res, 'tool', step)
+      });
+      sendEvent(res, 'done', { ...result, usage: await usageMeter.get(req.client) });
+    } catch (error) {
+      if (controller.signal.aborted) return;
+      req.log.error('Chat pipeline failed', { error });
+      sendEvent(res, 'error', errorBody(error, req.id, req.language));
+    }
+    res.end();
+  });
+
+  // --- HEALTH, READINESS & METRICS ---
+  app.get('/healthz', (req, res) => {
+    res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+  });
+
+  // Ready when at least one LLM provider is configured and reachable. Provider checks are
+  // cached for readinessCacheMs so frequent probes don't hammer the providers.
+  let readiness = { checkedAt: 0, providers: [] };
+  app.get('/readyz', async (req, res) => {
+    if (Date.now() - readiness.checkedAt > config.readinessCacheMs) {
+      readiness = { checkedAt: Date.now(), providers: await llm.status() };
+    }
+    const services = {
+      weather: { configured: Boolean(config.weatherApiKey), circuit: upstream.circuitState('weather') },
+      news: { configured: Boolean(config.newsApiKey), circuit: upstream.circuitState('news') },
+      transcription: { configured: Boolean(transcriber?.configured), circuit: transcriber?.circuitState() }
+    };
+    const ready = readiness.providers.some(p => p.reachable);
+    res.status(ready ? 200 : 503).json({
+      status: ready ? 'ready' : 'unavailable',
+      checkedAt: new Date(readiness.checkedAt).toISOString(),
+      providers: readiness.providers,
+      services
+    });
+  });
+
+  metrics.registry.gauge('nodemesh_active_sessions', 'Sessions currently held in the session store', () => sessionStore.size());
+
+  app.get('/metrics', async (req, res) => {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8').send(await metrics.registry.render());
+  });
+
+  return app;
+}
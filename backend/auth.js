@@ -0,0 +1,89 @@
+import crypto from 'crypto';
+import { ERROR_CODES, warningReply } from './errors.js';
+import { t } from './i18n.js';
+
+// --- API KEYS ---
+// API_KEYS="web:<key>,mobile:<key>:500000" -> [{ id, key, tokenQuota }]
+// The optional third field overrides the default token quota for that client.
+export function parseApiKeys(value = '') {
+  return value.split(',').map(entry => entry.trim()).filter(Boolean).map((entry) => {
+    const [id, key, quota] = entry.split(':');
+    if (!id || !key) throw new Error(`API_KEYS entry "${id}" needs the form id:key[:tokenQuota]`);
+    if (id.includes('/')) throw new Error(`API_KEYS id "${id}" can't contain "/" (browser token ids use it)`);
+    return { id, key, tokenQuota: quota ? Number(quota) : undefined };
+  });
+}
+
+const digest = (value) => crypto.createHash('sha256').update(value).digest();
+
+// --- BROWSER TOKENS ---
+// A key compiled into a public bundle (the web frontend's VITE_API_KEY) is the same for every
+// browser, so POST /auth/token trades it for a short-lived signed token naming one browser:
+// "nmt.<base64url claims>.<HMAC>" with claims { parent, browser, exp }. Renewing with the
+// previous token keeps the browser id, and with it the browser's usage.
+const TOKEN_PREFIX = 'nmt.';
+
+export function createTokenIssuer({ secret = crypto.randomBytes(32), ttlMs }) {
+  const sign = (payload) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+  function verify(token, { allowExpired = false } = {}) {
+    if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) return null;
+    const [payload, signature = ''] = token.slice(TOKEN_PREFIX.length).split('.');
+    const expected = Buffer.from(sign(payload));
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), expected)) return null;
+    try {
+      const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      return allowExpired || claims.exp > Date.now() ? claims : null;
+    } catch {
+      return null;
+    }
+  }
+
+  return {
+    isToken: (value) => typeof value === 'string' && value.startsWith(TOKEN_PREFIX),
+    verify,
+
+    issue(parentId, previous) {
+      const claims = verify(previous, { allowExpired: true });
+      const browser = claims?.parent === parentId ? claims.browser : crypto.randomUUID();
+      const exp = Date.now() + ttlMs;
+      const payload = Buffer.from(JSON.stringify({ parent: parentId, browser, exp })).toString('base64url');
+      return { token: `${TOKEN_PREFIX}${payload}.${sign(payload)}`, expiresAt: new Date(exp).toISOString() };
+    }
+  };
+}
+
+// Rebuilds { id, tokenQuota, parent? } from a client id, e.g. the one that created a schedule.
+// Browser ids are "<key id>/<browser>", and their usage also counts against the key's quota.
+export function clientById(id, { apiKeys = [], browserQuota } = {}) {
+  const slash = id.lastIndexOf('/');
+  if (slash > 0) return { id, tokenQuota: browserQuota, parent: clientById(id.slice(0, slash), { apiKeys }) };
+  return { id, tokenQuota: apiKeys.find(k => k.id === id)?.tokenQuota };
+}
+
+// Sets req.client = { id, tokenQuota, parent? } from `Authorization: Bearer <key or token>` or
+// `X-Api-Key`. With no keys configured the API stays open and clients are told apart by IP
+// (browser tokens then hang off that IP).
+export function createAuthenticator(apiKeys = [], { tokens, browserQuota } = {}) {
+  const known = apiKeys.map(k => ({ ...k, digest: digest(k.key) }));
+  const unauthorized = (req, res) => res.status(401).json({ error: warningReply(t(req.language, 'warning.unauthorized'), req.language), code: ERROR_CODES.unauthorized });
+
+  return (req, res, next) => {
+    const presented = req.get('Authorization')?.replace(/^Bearer\s+/i, '') || req.get('X-Api-Key');
+    if (tokens?.isToken(presented)) {
+      // Expired or signed with another secret: the browser renews it and retries.
+      const claims = tokens.verify(presented);
+      if (!claims) return unauthorized(req, res);
+      req.client = clientById(`${claims.parent}/${claims.browser}`, { apiKeys, browserQuota });
+      return next();
+    }
+    if (!known.length) {
+      req.client = { id: `ip:${req.ip}` };
+      return next();
+    }
+    const match = presented && known.find(k => crypto.timingSafeEqual(k.digest, digest(presented)));
+    if (!match) return unauthorized(req, res);
+    req.client = { id: match.id, tokenQuota: match.tokenQuota };
+    next();
+  };
+}
@@ -0,0 +1,130 @@
+import { appError, ERROR_CODES } from './errors.js';
+
+// --- SAFE CALCULATOR ---
+// Arithmetic for the calculator tool, parsed by hand so nothing the model sends is ever
+// evaluated as JavaScript: numbers, + - * / % ^ (or **), parentheses, the constants
+// pi and e, and the functions below. Degrees are not assumed; trig takes radians.
+
+const MAX_LENGTH = 200;
+
+const CONSTANTS = { pi: Math.PI, e: Math.E };
+
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  cbrt: Math.cbrt,
+  abs: Math.abs,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  exp: Math.exp,
+  ln: Math.log,
+  log: Math.log10,
+  log2: Math.log2,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  min: Math.min,
+  max: Math.max,
+  pow: Math.pow
+};
+
+const invalid = (message) => appError(ERROR_CODES.invalidRequest, message, { status: 400 });
+
+function tokenizeExpression(expression) {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+(?:\.\d*)?(?:e[+-]?\d+)?|\.\d+)|([a-z][a-z0-9]*)|(\*\*|[-+*/%^(),]))/iy;
+  const source = expression.replace(/×|(?<=[\d)]\s*)x(?=\s*[\d.(])/g, '*').replace(/÷/g, '/');
+  while (pattern.lastIndex < source.length) {
+    const start = pattern.lastIndex;
+    const match = pattern.exec(source);
+    if (!match) {
+      if (!source.slice(start).trim()) break;
+      throw invalid(`Unexpected "${source.slice(start).trim()[0]}" in the expression`);
+    }
+    const [, number, name, operator] = match;
+    if (number) tokens.push({ type: 'number', value: Number(number) });
+    else if (name) tokens.push({ type: 'name', value: name.toLowerCase() });
+    else tokens.push({ type: 'operator', value: operator === '**' ? '^' : operator });
+  }
+  return tokens;
+}
+
+// Precedence, lowest first: + -, then * / %, then unary minus, then ^ (right-associative,
+// so -2^2 is -4 and 2^3^2 is 512).
+export function evaluate(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) throw invalid('The expression is empty');
+  if (expression.length > MAX_LENGTH) throw invalid(`The expression is longer than ${MAX_LENGTH} characters`);
+
+  const tokens = tokenizeExpression(expression);
+  let position = 0;
+  const peek = () => tokens[position];
+  const accept = (value) => {
+    if (peek()?.type === 'operator' && peek().value === value) {
+      position++;
+      return true;
+    }
+    return false;
+  };
+  const expect = (value) => {
+    if (!accept(value)) throw invalid(`Expected "${value}" in the expression`);
+  };
+
+  function sum() {
+    let value = product();
+    for (;;) {
+      if (accept('+')) value += product();
+      else if (accept('-')) value -= product();
+      else return value;
+    }
+  }
+
+  function product() {
+    let value = unary();
+    for (;;) {
+      if (accept('*')) value *= unary();
+      else if (accept('/')) value /= unary();
+      else if (accept('%')) value %= unary();
+      else return value;
+    }
+  }
+
+  function unary() {
+    if (accept('-')) return -unary();
+    if (accept('+')) return unary();
+    return power();
+  }
+
+  function power() {
+    const base = primary();
+    return accept('^') ? base ** unary() : base;
+  }
+
+  function primary() {
+    const token = tokens[position++];
+    if (!token) throw invalid('The expression ends too early');
+    if (token.type === 'number') return token.value;
+    if (token.type === 'operator' && token.value === '(') {
+      const value = sum();
+      expect(')');
+      return value;
+    }
+    if (token.type === 'name') {
+      if (Object.hasOwn(FUNCTIONS, token.value)) {
+        expect('(');
+        const args = [sum()];
+        while (accept(',')) args.push(sum());
+        expect(')');
+        return FUNCTIONS[token.value](...args);
+      }
+      if (Object.hasOwn(CONSTANTS, token.value)) return CONSTANTS[token.value];
+      throw invalid(`Unknown name "${token.value}" in the expression`);
+    }
+    throw invalid(`Unexpected "${token.value}" in the expression`);
+  }
+
+  const result = sum();
+  if (position < tokens.length) throw invalid(`Unexpected "${peek().value}" in the expression`);
+  if (!Number.isFinite(result)) throw invalid('The result is not a finite number');
+  // Trims binary floating-point noise: 0.1 + 0.2 gives 0.3.
+  return Number(result.toPrecision(12));
+}
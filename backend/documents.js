@@ -0,0 +1,343 @@
+import crypto from 'crypto';
+import dns from 'dns/promises';
+import { lookup as dnsLookup } from 'dns';
+import { Agent as HttpAgent } from 'http';
+import { Agent as HttpsAgent } from 'https';
+import net from 'net';
+import { extractText, getDocumentProxy, getMeta } from 'unpdf';
+import { createMemoryStore } from './sessionStore.js';
+import { appError, isAppError, ERROR_CODES } from './errors.js';
+
+// --- DOCUMENT Q&A ---
+// Uploaded files and linked web pages are reduced to plain text, split into overlapping
+// chunks and kept per session. Questions are answered from the best-matching chunks, found
+// with a local BM25 index, so no embedding API or vector database is needed.
+
+// Upload types POST /sessions/:id/documents accepts, mapped to the document `type`.
+export const DOCUMENT_TYPES = {
+  'application/pdf': 'pdf',
+  'text/plain': 'text',
+  'text/markdown': 'markdown',
+  'text/x-markdown': 'markdown'
+};
+
+const CHUNK_CHARS = 1000;
+const OVERLAP_CHARS = 150;
+const MAX_REDIRECTS = 3;
+
+// --- TEXT EXTRACTION ---
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+const decodeEntities = (text) => text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (match, entity) => {
+  if (entity[0] !== '#') return ENTITIES[entity.toLowerCase()] ?? match;
+  const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : Number(entity.slice(1));
+  return Number.isFinite(code) && code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+});
+
+// Readable text of an HTML page: the <main>/<article> content when there is one, without
+// scripts, styles or markup, with block elements kept as line breaks.
+export function htmlToText(html) {
+  const title = decodeEntities(html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1] || '').replace(/\s+/g, ' ').trim();
+  const body = html.match(/<(main|article)\b[^>]*>([\s\S]*)<\/\1>/i)?.[2] || html;
+  const text = body
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|svg|template|head|nav|footer)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/?(p|div|section|li|ul|ol|h[1-6]|tr|table|blockquote|pre|header)\b[^>]*>/gi, '\n\n')
+    .replace(/<[^>]+>/g, ' ');
+  return { title, text: decodeEntities(text) };
+}
+
+const firstHeading = (text) => text.match(/^#{1,3}\s+(.+)$/m)?.[1].trim();
+
+// Resolves with { title, type, sections: [{ text, page? }] }; PDFs get one section per page.
+async function extractSections(buffer, type, { filename } = {}) {
+  if (type === 'pdf') {
+    let pdf, text;
+    try {
+      pdf = await getDocumentProxy(new Uint8Array(buffer));
+      ({ text } = await extractText(pdf, { mergePages: false }));
+    } catch (error) {
+      throw appError(ERROR_CODES.documentUnreadable, 'That PDF could not be read.', { status: 422, cause: error });
+    }
+    const { info } = await getMeta(pdf).catch(() => ({}));
+    return { title: info?.Title || filename, type, sections: text.map((page, i) => ({ text: page, page: i + 1 })) };
+  }
+  const text = buffer.toString('utf8');
+  if (type === 'html') {
+    const page = htmlToText(text);
+    return { title: page.title || filename, type, sections: [{ text: page.text }] };
+  }
+  return { title: (type === 'markdown' && firstHeading(text)) || filename, type, sections: [{ text }] };
+}
+
+// --- CHUNKING ---
+
+// Splits a paragraph longer than `size` at sentence ends (Latin or Devanagari), and
+// sentences that are still too long at word boundaries.
+function splitLong(paragraph, size) {
+  if (paragraph.length <= size) return [paragraph];
+  const parts = [];
+  let current = '';
+  for (const sentence of paragraph.split(/(?<=[.!?।])\s+/)) {
+    const words = sentence.length > size ? sentence.split(' ') : [sentence];
+    for (const word of words) {
+      if (current && current.length + word.length + 1 > size) {
+        parts.push(current);
+        current = '';
+      }
+      current = current ? `${current} ${word}` : word.slice(0, size);
+    }
+  }
+  if (current) parts.push(current);
+  return parts;
+}
+
+// Packs paragraphs into chunks of about `size` characters; each chunk repeats the last
+// `overlap` characters of the previous one so an answer split across a boundary is still found.
+export function chunkText(text, { size = CHUNK_CHARS, overlap = OVERLAP_CHARS } = {}) {
+  const paragraphs = text
+    .split(/\n\s*\n/)
+    .map(p => p.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .flatMap(p => splitLong(p, size));
+
+  const chunks = [];
+  let current = '';
+  for (const paragraph of paragraphs) {
+    if (current && current.length + paragraph.length + 2 > size) {
+      chunks.push(current);
+      const tail = overlap > 0 ? current.slice(-overlap) : '';
+      current = tail.slice(tail.indexOf(' ') + 1);
+    }
+    current = current ? `${current}\n\n${paragraph}` : paragraph;
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+// Builds a stored document: { id, title, source, type, pages?, chunks: [{ text, page? }],
+// characters, truncated, addedAt }. Text past `maxCharacters` is dropped (`truncated`).
+function createDocument({ title, source, type, sections }, { maxCharacters }) {
+  let remaining = maxCharacters;
+  const chunks = [];
+  for (const section of sections) {
+    if (remaining <= 0) break;
+    const text = section.text.slice(0, remaining);
+    remaining -= text.length;
+    for (const chunk of chunkText(text)) chunks.push({ text: chunk, ...(section.page && { page: section.page }) });
+  }
+  if (!chunks.length) {
+    throw appError(ERROR_CODES.documentUnreadable, 'No readable text was found in that document.', { status: 422 });
+  }
+  const characters = sections.reduce((sum, s) => sum + s.text.length, 0);
+  return {
+    id: crypto.randomUUID(),
+    title: title?.trim() || source,
+    source,
+    type,
+    ...(type === 'pdf' && { pages: sections.length }),
+    chunks,
+    characters: Math.min(characters, maxCharacters),
+    truncated: characters > maxCharacters,
+    addedAt: new Date().toISOString()
+  };
+}
+
+// An uploaded file (`mimeType` one of DOCUMENT_TYPES) as a stored document.
+export async function extractDocument(buffer, mimeType, { filename, maxCharacters = 300000 } = {}) {
+  const type = DOCUMENT_TYPES[mimeType];
+  if (!type) throw appError(ERROR_CODES.unsupportedDocument, `Unsupported document type "${mimeType}".`, { status: 415, type: mimeType });
+  const source = filename || `upload.${type === 'markdown' ? 'md' : type === 'text' ? 'txt' : 'pdf'}`;
+  return createDocument({ ...await extractSections(buffer, type, { filename: source }), source }, { maxCharacters });
+}
+
+// --- WEB PAGES ---
+
+// Loopback, private, link-local, CGNAT and multicast ranges a pasted link must not reach.
+const PRIVATE_RANGES = new net.BlockList();
+for (const [network, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]]) {
+  PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6');
+}
+
+function isPrivateAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i)?.[1];
+  if (mapped) return PRIVATE_RANGES.check(mapped, 'ipv4');
+  return PRIVATE_RANGES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// Only public http(s) URLs may be fetched, so a pasted link can't probe the server's network.
+async function assertFetchable(url, { allowPrivate }) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw appError(ERROR_CODES.invalidRequest, `"${url}" is not a valid link.`, { status: 400 });
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw appError(ERROR_CODES.invalidRequest, 'Only http and https links can be read.', { status: 400 });
+  }
+  if (allowPrivate) return parsed;
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(hostname) ? [{ address: hostname }] : await dns.lookup(hostname, { all: true }).catch(() => []);
+  if (!addresses.length) throw appError(ERROR_CODES.urlUnavailable, `Could not reach ${parsed.host}.`, { status: 502, url });
+  if (addresses.some(a => isPrivateAddress(a.address))) throw privateLinkError();
+  return parsed;
+}
+
+const privateLinkError = () => appError(ERROR_CODES.invalidRequest, 'Links to private or local addresses cannot be read.', { status: 400 });
+
+// assertFetchable resolves the host once to fail fast with a clear error, but the request
+// resolves it again; checking the addresses the connection actually uses closes the gap a
+// DNS record that changes in between (DNS rebinding) would leave.
+function publicLookup(hostname, options, callback) {
+  dnsLookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address.map(a => a.address) : [address];
+    if (addresses.some(isPrivateAddress)) return callback(privateLinkError());
+    callback(null, address, family);
+  });
+}
+const publicAgents = { httpAgent: new HttpAgent({ lookup: publicLookup }), httpsAgent: new HttpsAgent({ lookup: publicLookup }) };
+
+const WEB_TYPES = { 'text/html': 'html', 'application/xhtml+xml': 'html', ...DOCUMENT_TYPES };
+
+// Fetches a pasted link as a stored document. `http` is the resilient client from
+// resilience.js, used here without retries or a circuit breaker: links point anywhere, and a
+// dead one should only fail itself. Redirects are followed by hand so every hop passes
+// assertFetchable, and the connection only goes to public addresses (publicLookup).
+export async function fetchDocument(url, { http, signal, allowPrivate = false, maxBytes = 10 * 1024 * 1024, maxCharacters = 300000 }) {
+  let current = url;
+  for (let hop = 0; ; hop++) {
+    await assertFetchable(current, { allowPrivate });
+    let response;
+    try {
+      response = await http.get(current, {
+        service: 'web',
+        retries: 0,
+        circuit: false,
+        ...(!allowPrivate && publicAgents),
+        responseType: 'arraybuffer',
+        maxContentLength: maxBytes,
+        maxRedirects: 0,
+        validateStatus: (status) => status < 400,
+        headers: { 'User-Agent': 'NodeMesh/1.0 (+document Q&A)', Accept: 'text/html,application/pdf,text/plain,text/markdown;q=0.9,*/*;q=0.5' },
+        signal
+      });
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      if (isAppError(error.cause)) throw error.cause;
+      throw appError(ERROR_CODES.urlUnavailable, `Could not read ${url}.`, { status: 502, retryable: true, cause: error, url, upstreamStatus: error.response?.status });
+    }
+    if (response.status >= 300) {
+      const location = response.headers.location;
+      if (!location || hop >= MAX_REDIRECTS) throw appError(ERROR_CODES.urlUnavailable, `Could not read ${url}.`, { status: 502, url });
+      current = new URL(location, current).href;
+      continue;
+    }
+    const mimeType = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    const type = WEB_TYPES[mimeType];
+    if (!type) throw appError(ERROR_CODES.unsupportedDocument, `${url} is not a web page, PDF or text file.`, { status: 415, type: mimeType });
+    const filename = new URL(current).pathname.split('/').filter(Boolean).at(-1);
+    return createDocument({ ...await extractSections(Buffer.from(response.data), type, { filename }), source: url }, { maxCharacters });
+  }
+}
+
+// --- BM25 RETRIEVAL ---
+
+const STOPWORDS = new Set(('a an and are as at be but by can do does for from had has have how i if in into is it its ' +
+  'me my of on or our so than that the their them then there these they this to was we were what when where which ' +
+  'who why will with you your about tell say says said please document page file pdf').split(' '));
+
+// Lowercased words (any script, combining marks kept for Devanagari) minus stopwords.
+export function tokenize(text) {
+  return (text.toLowerCase().normalize('NFKC').match(/[\p{L}\p{N}][\p{L}\p{M}\p{N}]*/gu) || [])
+    .filter(word => word.length > 1 && !STOPWORDS.has(word));
+}
+
+// Okapi BM25 over `texts`; search(query, limit) -> [{ index, score }], best first, score > 0.
+export function createBm25Index(texts, { k1 = 1.2, b = 0.75 } = {}) {
+  const docs = texts.map((text) => {
+    const terms = tokenize(text);
+    const frequencies = new Map();
+    for (const term of terms) frequencies.set(term, (frequencies.get(term) || 0) + 1);
+    return { frequencies, length: terms.length };
+  });
+  const documentFrequency = new Map();
+  for (const doc of docs) {
+    for (const term of doc.frequencies.keys()) documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+  }
+  const averageLength = docs.reduce((sum, d) => sum + d.length, 0) / (docs.length || 1) || 1;
+
+  return {
+    search(query, limit = 5) {
+      const terms = [...new Set(tokenize(query))];
+      return docs
+        .map((doc, index) => {
+          let score = 0;
+          for (const term of terms) {
+            const frequency = doc.frequencies.get(term);
+            if (!frequency) continue;
+            const n = documentFrequency.get(term);
+            const idf = Math.log(1 + (docs.length - n + 0.5) / (n + 0.5));
+            score += idf * (frequency * (k1 + 1)) / (frequency + k1 * (1 - b + b * doc.length / averageLength));
+          }
+          return { index, score };
+        })
+        .filter(hit => hit.score > 0)
+        .sort((x, y) => y.score - x.score)
+        .slice(0, limit);
+    }
+  };
+}
+
+// --- PER-SESSION STORE ---
+
+// What the API returns for a document: everything but the chunk text.
+export const describeDocument = ({ chunks, ...document }) => ({ ...document, chunks: chunks.length });
+
+// Documents per session, expiring with the session (same TTL/LRU as sessionStore.js). Adding a
+// document from a source that is already stored replaces it; past maxDocuments the oldest goes.
+export function createDocumentStore({ ttlMs = 24 * 60 * 60 * 1000, maxSessions = 1000, maxDocuments = 10 } = {}) {
+  const store = createMemoryStore({ ttlMs, maxSessions });
+  // Each change stores a new array, so an index is built once per version of a session's documents.
+  const indexes = new WeakMap();
+
+  function indexFor(documents) {
+    if (!indexes.has(documents)) {
+      const entries = documents.flatMap(document => document.chunks.map(chunk => ({ document, chunk })));
+      indexes.set(documents, { entries, bm25: createBm25Index(entries.map(e => e.chunk.text)) });
+    }
+    return indexes.get(documents);
+  }
+
+  const list = async (sessionId) => (await store.get(sessionId)) || [];
+
+  return {
+    list,
+    async add(sessionId, document) {
+      const documents = (await list(sessionId)).filter(d => d.source !== document.source);
+      await store.set(sessionId, [...documents, document].slice(-maxDocuments));
+      return document;
+    },
+    async remove(sessionId, documentId) {
+      const documents = await list(sessionId);
+      const remaining = documents.filter(d => d.id !== documentId);
+      if (remaining.length === documents.length) return false;
+      await store.set(sessionId, remaining);
+      return true;
+    },
+    clear: (sessionId) => store.delete(sessionId),
+    // Resolves with the best chunks for `query`: [{ document, chunk, score }], optionally from one document.
+    async search(sessionId, query, { limit = 5, documentId } = {}) {
+      const { entries, bm25 } = indexFor(await list(sessionId));
+      return bm25.search(query, entries.length)
+        .map(hit => ({ ...entries[hit.index], score: hit.score }))
+        .filter(hit => !documentId || hit.document.id === documentId)
+        .slice(0, limit);
+    }
+  };
+}
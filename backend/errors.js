@@ -0,0 +1,41 @@
+import { t, translate } from './i18n.js';
+
+// --- ERROR MODEL ---
+// Failures carry a stable `code` so clients can branch on it instead of parsing the
+// Markdown warning. `status` is the HTTP status a route should answer with and
+// `retryable` says whether trying again later may help.
+
+export const ERROR_CODES = {
+  invalidRequest: 'invalid_request',
+  unauthorized: 'unauthorized',
+  quotaExceeded: 'quota_exceeded',
+  notFound: 'not_found',
+  missingApiKey: 'missing_api_key',
+  locationNotFound: 'location_not_found',
+  weatherUnavailable: 'weather_unavailable',
+  newsUnavailable: 'news_unavailable',
+  llmUnavailable: 'llm_unavailable',
+  recommendationsUnavailable: 'recommendations_unavailable',
+  reflectionUnavailable: 'reflection_unavailable',
+  transcriptionUnavailable: 'transcription_unavailable',
+  unsupportedDocument: 'unsupported_document',
+  documentUnreadable: 'document_unreadable',
+  urlUnavailable: 'url_unavailable',
+  internal: 'internal_error'
+};
+
+export function appError(code, message, { status = 500, retryable = false, cause, ...details } = {}) {
+  const error = new Error(message, { cause });
+  return Object.assign(error, { code, status, retryable, details });
+}
+
+export const isAppError = (error) => Boolean(error?.code && Object.values(ERROR_CODES).includes(error.code));
+
+// Messages are written in English where the error is thrown; other languages come from the
+// i18n catalogs as `errors.<code>`, filled from the error's details.
+export const localizeError = (error, language) => translate(language, `errors.${error.code}`, error.details) ?? error.message;
+
+// The JSON form used in responses: { code, message, retryable }
+export const describeError = (error, language) => ({ code: error.code, message: localizeError(error, language), retryable: error.retryable });
+
+export const warningReply = (message, language) => t(language, 'warning', { message });
@@ -0,0 +1,51 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from './logger.js';
+
+// --- ANSWER FEEDBACK ---
+// Thumbs up/down on a reply, stored with what produced it (intent, skill arguments,
+// models per role) so misrouted messages can be found later. Entries are kept in
+// memory and, with a filePath, appended to a JSON Lines file.
+
+export const RATINGS = ['up', 'down'];
+
+export function createFeedbackStore({ filePath, maxEntries = 5000 } = {}) {
+  const entries = [];
+
+  async function load() {
+    try {
+      const lines = (await fs.readFile(filePath, 'utf8')).split('\n').filter(Boolean);
+      entries.push(...lines.slice(-maxEntries).map(line => JSON.parse(line)));
+    } catch (error) {
+      if (error.code !== 'ENOENT') logger.error('Feedback store load failed', { error });
+    }
+  }
+  const loaded = filePath ? load() : Promise.resolve();
+
+  return {
+    // Rejects when the file can't be written; the entry is then not kept in memory either.
+    async add(entry) {
+      await loaded;
+      if (filePath) {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.appendFile(filePath, `${JSON.stringify(entry)}\n`);
+      }
+      entries.push(entry);
+      if (entries.length > maxEntries) entries.shift();
+    },
+
+    // Newest first, optionally filtered by rating and intent, plus { intent: { up, down } } totals.
+    // With `clientId`, only that client's entries are listed and counted.
+    async list({ clientId, rating, intent, limit = 50 } = {}) {
+      await loaded;
+      const own = clientId ? entries.filter(e => e.clientId === clientId) : entries;
+      const matches = own.filter(e => (!rating || e.rating === rating) && (!intent || e.intent === intent));
+      const totals = {};
+      for (const e of own) {
+        totals[e.intent] ??= { up: 0, down: 0 };
+        totals[e.intent][e.rating] += 1;
+      }
+      return { totals, entries: matches.slice(-limit).reverse() };
+    }
+  };
+}
@@ -0,0 +1,90 @@
+import { readFileSync } from 'fs';
+
+// --- BHAGAVAD GITA VERSE CORPUS ---
+// Curated verses in data/gita-verses.json: { chapter, verse, sanskrit, transliteration, translation, themes }.
+// Retrieval is theme-based so replies only ever quote real, reviewed verses.
+
+export const verses = JSON.parse(readFileSync(new URL('./data/gita-verses.json', import.meta.url), 'utf8'));
+
+// Everyday words mapped onto corpus themes.
+const THEME_KEYWORDS = {
+  anxiety: /anxi|nervous|panic|worr|tense/,
+  stress: /stress|pressure|overload/,
+  exams: /exam|test|result|marks|grade|interview/,
+  grief: /grie|died|passed away|funeral|mourn|lost (my|a) /,
+  loss: /\blost\b|\bloss\b|breakup|broke up/,
+  anger: /ang(er|ry)|furious|rage|mad at|irritat/,
+  restlessness: /restless|can'?t (sit|focus|sleep)|unsettled/,
+  overthinking: /overthink|racing thoughts|can'?t stop thinking/,
+  'self-doubt': /doubt|not good enough|useless|imposter/,
+  'self-worth': /worthless|hate myself|failure as/,
+  depression: /depress|empty|numb/,
+  hopelessness: /hopeless|no point|give up|pointless/,
+  despair: /despair|miserable|devastat/,
+  sorrow: /\bsad|sorrow|cry|crying|heartbroken/,
+  failure: /fail|rejected|rejection|mistake/,
+  burnout: /burn(ed|t)? ?out|overwork/,
+  exhaustion: /exhaust|tired|drained|fatigue/,
+  loneliness: /lonel|alone|isolat|no friends/,
+  guilt: /guilt|ashamed|shame|regret/,
+  fear: /fear|afraid|scared|terrif/,
+  confusion: /confus|lost in life|don'?t know what to do|directionless/,
+  procrastination: /procrastinat|can'?t start|putting off/,
+  laziness: /lazy|unmotivated|no motivation/,
+  comparison: /compar|jealous|envy|everyone else/,
+  jealousy: /jealous|envy/,
+  uncertainty: /uncertain|future|what if/,
+  relationships: /relationship|partner|friend|family|parents/,
+  betrayal: /betray|cheated|backstab/
+};
+
+export const THEMES = [...new Set(verses.flatMap(v => v.themes))].sort();
+
+export const verseRef = (v) => `${v.chapter}.${v.verse}`;
+
+export function detectThemes(text = '') {
+  const lower = text.toLowerCase();
+  return Object.entries(THEME_KEYWORDS).filter(([, pattern]) => pattern.test(lower)).map(([theme]) => theme);
+}
+
+export function findVerse(chapter, verse) {
+  return verses.find(v => v.chapter === Number(chapter) && v.verse === Number(verse)) || null;
+}
+
+// Ranks verses by theme overlap with `theme` (strongest) and the free text `q`.
+export function searchVerses({ q = '', theme, chapter, limit = 10 } = {}) {
+  const wanted = detectThemes(q);
+  const words = q.toLowerCase().split(/\W+/).filter(w => w.length > 3);
+
+  const scored = verses
+    .filter(v => !chapter || v.chapter === Number(chapter))
+    .map((v) => {
+      let themeScore = 0;
+      if (theme && v.themes.includes(theme)) themeScore += 5;
+      themeScore += 2 * wanted.filter(t => v.themes.includes(t)).length;
+      const text = v.translation.toLowerCase();
+      return { verse: v, themeScore, score: themeScore + words.filter(w => text.includes(w)).length };
+    });
+
+  // Once a theme is known, plain word overlap only breaks ties between themed verses.
+  const themed = Boolean(theme || wanted.length);
+  const hasQuery = themed || Boolean(q.trim());
+  return scored
+    .filter(s => !hasQuery || (themed ? s.themeScore : s.score) > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(s => s.verse);
+}
+
+// Gentle, general-purpose verses used when nothing in the message matches a theme.
+const DEFAULT_REFS = ['2.47', '2.14', '6.5', '2.48'];
+
+// Best verse for the user's emotional state, avoiding the ones in `exclude` (refs like "2.47").
+export function pickVerse(text, { feeling, exclude = [] } = {}) {
+  const fresh = (v) => !exclude.includes(verseRef(v));
+  const themed = Boolean(feeling || detectThemes(text).length);
+  const match = themed && searchVerses({ q: text, theme: feeling, limit: verses.length }).find(fresh);
+  if (match) return match;
+  const fallbacks = DEFAULT_REFS.map(ref => findVerse(...ref.split('.')));
+  return fallbacks.find(fresh) || fallbacks[0];
+}
@@ -0,0 +1,295 @@
+// --- LANGUAGES ---
+// The analysis step detects the message's language (a BCP 47 tag); a client preference
+// overrides it. Model-written text is steered with replyInstruction(); canned strings come
+// from the catalogs below, falling back to English for languages without one.
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// `locale` formats dates/times and picks crisis helplines; `name` goes into model prompts.
+export const LANGUAGES = {
+  en: { name: 'English', locale: 'en-US' },
+  hi: { name: 'Hindi, written in Devanagari script', locale: 'hi-IN' },
+  'hi-Latn': { name: 'Hinglish: Hindi mixed with English, written in Latin script the way the user writes', locale: 'en-IN' }
+};
+
+const MESSAGES = {
+  en: {
+    warning: '⚠️ **WARNING: {message}**',
+    'warning.rateLimited': 'Rate limit exceeded. Please wait 15 minutes.',
+    'warning.quotaExceeded': 'Token quota exceeded. It resets at {resetAt}.',
+    'warning.unauthorized': 'Missing or invalid API key.',
+    'warning.internal': 'Critical processing failure on server.',
+
+    'weather.heading': '**Weather for {place}**',
+    'weather.localTime': 'Local Time',
+    'weather.onlyUntil': '⚠️ **Forecast is only available until {date}.**',
+    'weather.rain': '🌧️ **Rain Expected: {mm}mm total ({chance}% chance)**',
+    'weather.clear': '☀️ **Clear Skies/Sunny Expected**',
+    'weather.status': 'Status',
+    'weather.condition': 'Condition',
+    'weather.temp': 'Temp',
+    'weather.feelsLike': 'Feels like',
+    'weather.humidity': 'Humidity',
+    'weather.wind': 'Wind',
+    'weather.sunrise': 'Sunrise',
+    'weather.sunset': 'Sunset',
+    'weather.hourly': 'Hourly',
+    'weather.noHours': '_No remaining hours in that window._',
+    'weather.forecast': 'Forecast',
+    'weather.airQuality': 'Air Quality',
+    'weather.alert': 'Alert',
+    'weather.until': 'until {time}',
+    'weather.recommendations': 'Smart Recommendations',
+    'aqi.1': 'Good',
+    'aqi.2': 'Moderate',
+    'aqi.3': 'Unhealthy for Sensitive Groups',
+    'aqi.4': 'Unhealthy',
+    'aqi.5': 'Very Unhealthy',
+    'aqi.6': 'Hazardous',
+
+    'news.about': 'News about "{query}"',
+    'news.fromSources': ' from {sources}',
+    'news.topFrom': 'Top Headlines from {sources}',
+    'news.top': 'Top {category} Headlines ({country})',
+    'news.page': 'page {page}',
+    'news.readFull': 'Read Full',
+    'news.hint': '_Say "more" for the next page, or "summarize #2" to summarize an article._',
+    'news.noArticle': "**I don't have an article #{number} yet. Ask for some headlines first.**",
+    'news.noMore': '**No more articles for this search.**',
+    'news.noneAbout': '**No recent news found about "{query}".**',
+    'news.noneRecent': '**No recent {category} news found{where} right now.**',
+    'news.forCountry': ' for {country}',
+    'news.summaryOf': 'Summary of #{number}: {title}',
+
+    'gita.heading': 'Bhagavad Gita Spiritual Support:',
+    'gita.citation': 'Bhagavad Gita {ref}',
+
+    'documents.none': "**There are no documents in this chat yet.** Upload a PDF, text or Markdown file with 📎, or paste a link, and ask me about it.",
+    'documents.sources': 'Sources',
+    'documents.page': 'p. {page}',
+
+    'schedule.created': "⏰ **Scheduled.** Every day at {time} ({timeZone}) I'll send {what} to this chat.",
+    'schedule.rainCreated': "⏰ **Rain alert set.** Every day at {time} ({timeZone}) I'll check the forecast and tell you when there is {what}.",
+    'schedule.needTime': '**What time should I send it?** For example: "every morning at 8".',
+    'schedule.needContent': '**What should I send?** Name a place for the weather and/or the news you want, e.g. "Delhi weather and India business headlines every morning at 8".',
+    'schedule.none': 'There are no scheduled briefings or alerts in this chat yet.',
+    'schedule.list': '**Your schedules** ({timeZone}):',
+    'schedule.paused': 'paused',
+    'schedule.weatherOf': '{place} weather',
+    'schedule.headlines': 'the top headlines',
+    'schedule.headlinesAbout': '{topic} headlines',
+    'schedule.and': ' and ',
+    'schedule.rainWatch': 'a {threshold}%+ chance of rain in {place} {when}',
+    'schedule.today': 'today',
+    'schedule.tomorrow': 'tomorrow',
+    'schedule.briefingTitle': '☀️ **Your {time} briefing**',
+    'schedule.rainAlert': '🌧️ **Rain alert for {place}:** {chance}% chance of rain {when}. Carry an umbrella!'
+  },
+
+  hi: {
+    warning: '⚠️ **चेतावनी: {message}**',
+    'warning.rateLimited': 'अनुरोधों की सीमा पार हो गई है। कृपया 15 मिनट प्रतीक्षा करें।',
+    'warning.quotaExceeded': 'टोकन कोटा समाप्त हो गया है। यह {resetAt} पर रीसेट होगा।',
+    'warning.unauthorized': 'API कुंजी नहीं मिली या अमान्य है।',
+    'warning.internal': 'सर्वर पर प्रोसेसिंग में गंभीर त्रुटि हुई।',
+    'errors.missing_api_key': '{service} सेवा की API कुंजी सेट नहीं है!',
+    'errors.location_not_found': '"{location}" का मौसम नहीं मिला। कृपया वर्तनी जाँचें।',
+    'errors.weather_unavailable': 'मौसम सेवा अभी उपलब्ध नहीं है।',
+    'errors.news_unavailable': 'समाचार सेवा अभी उपलब्ध नहीं है।',
+    'errors.llm_unavailable': 'भाषा मॉडल अभी उपलब्ध नहीं है। कृपया थोड़ी देर बाद फिर कोशिश करें।',
+    'errors.recommendations_unavailable': 'भाषा मॉडल उपलब्ध न होने के कारण स्मार्ट सुझाव छोड़ दिए गए।',
+    'errors.reflection_unavailable': 'भाषा मॉडल उपलब्ध न होने के कारण चिंतन छोड़ दिया गया।',
+    'errors.unsupported_document': 'यह फ़ाइल प्रकार समर्थित नहीं है। PDF, टेक्स्ट, Markdown या वेब पेज भेजें।',
+    'errors.document_unreadable': 'इस दस्तावेज़ में पढ़ने लायक टेक्स्ट नहीं मिला।',
+    'errors.url_unavailable': '{url} नहीं पढ़ा जा सका।',
+
+    'weather.heading': '**{place} का मौसम**',
+    'weather.localTime': 'स्थानीय समय',
+    'weather.onlyUntil': '⚠️ **पूर्वानुमान केवल {date} तक उपलब्ध है।**',
+    'weather.rain': '🌧️ **बारिश की संभावना: कुल {mm}mm ({chance}% संभावना)**',
+    'weather.clear': '☀️ **आसमान साफ़/धूप रहने की संभावना**',
+    'weather.status': 'स्थिति',
+    'weather.condition': 'मौसम',
+    'weather.temp': 'तापमान',
+    'weather.feelsLike': 'महसूस होता है',
+    'weather.humidity': 'नमी',
+    'weather.wind': 'हवा',
+    'weather.sunrise': 'सूर्योदय',
+    'weather.sunset': 'सूर्यास्त',
+    'weather.hourly': 'घंटेवार',
+    'weather.noHours': '_इस समय-सीमा में कोई घंटा बाकी नहीं है।_',
+    'weather.forecast': 'पूर्वानुमान',
+    'weather.airQuality': 'वायु गुणवत्ता',
+    'weather.alert': 'चेतावनी',
+    'weather.until': '{time} तक',
+    'weather.recommendations': 'स्मार्ट सुझाव',
+    'aqi.1': 'अच्छी',
+    'aqi.2': 'मध्यम',
+    'aqi.3': 'संवेदनशील लोगों के लिए हानिकारक',
+    'aqi.4': 'हानिकारक',
+    'aqi.5': 'बहुत हानिकारक',
+    'aqi.6': 'ख़तरनाक',
+
+    'news.about': '"{query}" से जुड़ी ख़बरें',
+    'news.fromSources': ' ({sources} से)',
+    'news.topFrom': '{sources} की मुख्य ख़बरें',
+    'news.top': 'मुख्य {category} ख़बरें ({country})',
+    'news.page': 'पेज {page}',
+    'news.readFull': 'पूरा पढ़ें',
+    'news.hint': '_अगले पेज के लिए "more" कहें, या किसी ख़बर का सार पाने के लिए "summarize #2" कहें।_',
+    'news.noArticle': '**मेरे पास अभी ख़बर #{number} नहीं है। पहले कुछ मुख्य ख़बरें माँगें।**',
+    'news.noMore': '**इस खोज के लिए और ख़बरें नहीं हैं।**',
+    'news.noneAbout': '**"{query}" के बारे में कोई हालिया ख़बर नहीं मिली।**',
+    'news.noneRecent': '**अभी{where} कोई हालिया {category} ख़बर नहीं मिली।**',
+    'news.forCountry': ' {country} के लिए',
+    'news.summaryOf': '#{number} का सार: {title}',
+
+    'gita.heading': 'भगवद् गीता से आध्यात्मिक सहारा:',
+    'gita.citation': 'भगवद् गीता {ref}',
+
+    'documents.none': '**इस चैट में अभी कोई दस्तावेज़ नहीं है।** 📎 से PDF, टेक्स्ट या Markdown फ़ाइल अपलोड करें, या कोई लिंक पेस्ट करें, और फिर उसके बारे में पूछें।',
+    'documents.sources': 'स्रोत',
+    'documents.page': 'पृ. {page}',
+
+    'schedule.created': '⏰ **शेड्यूल हो गया।** हर दिन {time} ({timeZone}) बजे मैं इस चैट में {what} भेजूँगा।',
+    'schedule.rainCreated': '⏰ **बारिश अलर्ट सेट हो गया।** हर दिन {time} ({timeZone}) बजे मैं पूर्वानुमान देखूँगा और {what} होने पर बताऊँगा।',
+    'schedule.needTime': '**इसे किस समय भेजूँ?** जैसे: "हर सुबह 8 बजे"।',
+    'schedule.needContent': '**क्या भेजूँ?** मौसम के लिए कोई जगह और/या ख़बरें बताइए, जैसे "हर सुबह 8 बजे दिल्ली का मौसम और भारत की बिज़नेस ख़बरें"।',
+    'schedule.none': 'इस चैट में अभी कोई शेड्यूल्ड ब्रीफ़िंग या अलर्ट नहीं है।',
+    'schedule.list': '**आपके शेड्यूल** ({timeZone}):',
+    'schedule.paused': 'रुका हुआ',
+    'schedule.weatherOf': '{place} का मौसम',
+    'schedule.headlines': 'मुख्य ख़बरें',
+    'schedule.headlinesAbout': '{topic} की ख़बरें',
+    'schedule.and': ' और ',
+    'schedule.rainWatch': '{when} {place} में {threshold}% या उससे ज़्यादा बारिश की संभावना',
+    'schedule.today': 'आज',
+    'schedule.tomorrow': 'कल',
+    'schedule.briefingTitle': '☀️ **आपकी {time} बजे की ब्रीफ़िंग**',
+    'schedule.rainAlert': '🌧️ **{place} के लिए बारिश अलर्ट:** {when} बारिश की {chance}% संभावना है। छाता साथ रखें!'
+  },
+
+  'hi-Latn': {
+    warning: '⚠️ **WARNING: {message}**',
+    'warning.rateLimited': 'Rate limit cross ho gayi hai. Kripya 15 minute rukiye.',
+    'warning.quotaExceeded': 'Token quota khatam ho gaya hai. Yeh {resetAt} par reset hoga.',
+    'warning.unauthorized': 'API key missing hai ya galat hai.',
+    'warning.internal': 'Server par processing mein badi gadbad ho gayi.',
+    'errors.missing_api_key': '{service} service ki API key set nahi hai!',
+    'errors.location_not_found': '"{location}" ka mausam nahi mila. Spelling check kijiye.',
+    'errors.weather_unavailable': 'Weather service abhi available nahi hai.',
+    'errors.news_unavailable': 'News service abhi available nahi hai.',
+    'errors.llm_unavailable': 'Language model abhi available nahi hai. Thodi der baad try kijiye.',
+    'errors.recommendations_unavailable': 'Language model available na hone se Smart Recommendations skip ho gaye.',
+    'errors.reflection_unavailable': 'Language model available na hone se reflection skip ho gaya.',
+    'errors.unsupported_document': 'Yeh file type supported nahi hai. PDF, text, Markdown ya web page bhejiye.',
+    'errors.document_unreadable': 'Is document mein padhne layak text nahi mila.',
+    'errors.url_unavailable': '{url} padh nahi paaye.',
+
+    'weather.heading': '**{place} ka mausam**',
+    'weather.localTime': 'Local time',
+    'weather.onlyUntil': '⚠️ **Forecast sirf {date} tak available hai.**',
+    'weather.rain': '🌧️ **Baarish ke chances: total {mm}mm ({chance}% chance)**',
+    'weather.clear': '☀️ **Aasmaan saaf/dhoop rehne ke chances**',
+    'weather.status': 'Status',
+    'weather.condition': 'Mausam',
+    'weather.temp': 'Temperature',
+    'weather.feelsLike': 'Feels like',
+    'weather.humidity': 'Humidity',
+    'weather.wind': 'Hawa',
+    'weather.sunrise': 'Sunrise',
+    'weather.sunset': 'Sunset',
+    'weather.hourly': 'Ghante ke hisaab se',
+    'weather.noHours': '_Is time window mein koi ghanta baaki nahi hai._',
+    'weather.forecast': 'Forecast',
+    'weather.airQuality': 'Air Quality',
+    'weather.alert': 'Alert',
+    'weather.until': '{time} tak',
+    'weather.recommendations': 'Smart Recommendations',
+
+    'news.about': '"{query}" ki news',
+    'news.topFrom': '{sources} ki top headlines',
+    'news.top': 'Top {category} headlines ({country})',
+    'news.readFull': 'Poora padhein',
+    'news.hint': '_Agle page ke liye "more" boliye, ya kisi article ka summary ke liye "summarize #2"._',
+    'news.noArticle': '**Abhi mere paas article #{number} nahi hai. Pehle kuch headlines maangiye.**',
+    'news.noMore': '**Is search ke liye aur articles nahi hain.**',
+    'news.noneAbout': '**"{query}" ke baare mein koi recent news nahi mili.**',
+    'news.noneRecent': '**Abhi{where} koi recent {category} news nahi mili.**',
+    'news.forCountry': ' {country} ke liye',
+    'news.summaryOf': '#{number} ka summary: {title}',
+
+    'gita.heading': 'Bhagavad Gita se spiritual support:',
+
+    'documents.none': '**Is chat mein abhi koi document nahi hai.** 📎 se PDF, text ya Markdown file upload kijiye, ya koi link paste kijiye, phir uske baare mein poochiye.',
+
+    'schedule.created': '⏰ **Schedule ho gaya.** Roz {time} ({timeZone}) baje main is chat mein {what} bhejunga.',
+    'schedule.rainCreated': '⏰ **Rain alert set ho gaya.** Roz {time} ({timeZone}) baje main forecast dekhunga aur {what} hone par bataunga.',
+    'schedule.needTime': '**Kis time bhejun?** Jaise: "roz subah 8 baje".',
+    'schedule.needContent': '**Kya bhejun?** Weather ke liye koi jagah aur/ya news bataiye, jaise "roz subah 8 baje Delhi ka weather aur India business headlines".',
+    'schedule.none': 'Is chat mein abhi koi scheduled briefing ya alert nahi hai.',
+    'schedule.list': '**Aapke schedules** ({timeZone}):',
+    'schedule.paused': 'paused',
+    'schedule.weatherOf': '{place} ka weather',
+    'schedule.headlines': 'top headlines',
+    'schedule.headlinesAbout': '{topic} headlines',
+    'schedule.and': ' aur ',
+    'schedule.rainWatch': '{when} {place} mein {threshold}% ya zyada baarish ka chance',
+    'schedule.today': 'aaj',
+    'schedule.tomorrow': 'kal',
+    'schedule.briefingTitle': '☀️ **Aapki {time} baje ki briefing**',
+    'schedule.rainAlert': '🌧️ **{place} ke liye rain alert:** {when} baarish ka {chance}% chance hai. Chhata saath rakhiye!'
+  }
+};
+
+// Canonical tag for a detected or requested language: "hi-Latn" for Hinglish, the bare
+// language for everything else ("en-GB" -> "en"). Accepts Accept-Language lists (first entry wins).
+export function normalizeLanguage(tag) {
+  const first = String(tag || '').split(',')[0].split(';')[0].trim().replace('_', '-');
+  if (/^hinglish$/i.test(first)) return 'hi-Latn';
+  let canonical;
+  try {
+    [canonical] = Intl.getCanonicalLocales(first);
+  } catch {
+    return undefined;
+  }
+  if (!canonical) return undefined;
+  const locale = new Intl.Locale(canonical);
+  if (locale.language === 'hi' && locale.script === 'Latn') return 'hi-Latn';
+  return locale.language;
+}
+
+const catalogFor = (language) => (MESSAGES[language] ? language : DEFAULT_LANGUAGE);
+const fill = (template, params) => template.replace(/\{(\w+)\}/g, (_, name) => params[name] ?? '');
+
+// The string for `key` in `language` only, or undefined when that catalog lacks it.
+export function translate(language, key, params = {}) {
+  const template = MESSAGES[catalogFor(language)][key];
+  return template === undefined ? undefined : fill(template, params);
+}
+
+// The string for `key`, falling back to English.
+export function t(language, key, params = {}) {
+  return translate(language, key, params) ?? fill(MESSAGES.en[key] ?? key, params);
+}
+
+export function languageName(language) {
+  if (LANGUAGES[language]) return LANGUAGES[language].name;
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(language) || 'English';
+  } catch {
+    return 'English';
+  }
+}
+
+// Locale for Intl date/time formatting in replies.
+export function localeFor(language) {
+  if (LANGUAGES[language]) return LANGUAGES[language].locale;
+  return Intl.DateTimeFormat.supportedLocalesOf(language || [])[0] || LANGUAGES.en.locale;
+}
+
+// Appended to system prompts; empty for English so existing prompts are unchanged.
+export function replyInstruction(language) {
+  if (!language || language === DEFAULT_LANGUAGE) return '';
+  return ` Reply in ${languageName(language)}.`;
+}
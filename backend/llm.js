@@ -0,0 +1,87 @@
+// Helpers over the provider layer (see providers/index.js). `role` picks the model.
+
+// Streams through onDelta when given; otherwise resolves with the full completion.
+export async function completeChat(llm, role, params, { onDelta, signal } = {}) {
+  if (!onDelta) {
+    const completion = await llm.complete(role, params, { signal });
+    return completion.choices[0].message.content;
+  }
+  const stream = await llm.complete(role, { ...params, stream: true }, { signal });
+  let content = '';
+  for await (const chunk of stream) {
+    const delta = chunk.choices[0]?.delta?.content;
+    if (!delta) continue;
+    content += delta;
+    onDelta(delta);
+  }
+  return content;
+}
+
+// Like completeChat for requests that offer `tools`: resolves with { content, toolCalls }.
+// Streamed tool calls arrive in pieces keyed by `index`; their ids, names and argument
+// strings are concatenated back into whole calls.
+export async function completeTurn(llm, role, params, { onDelta, signal } = {}) {
+  if (!onDelta) {
+    const { message } = (await llm.complete(role, params, { signal })).choices[0];
+    return { content: message.content || '', toolCalls: message.tool_calls || [] };
+  }
+  const stream = await llm.complete(role, { ...params, stream: true }, { signal });
+  let content = '';
+  const toolCalls = [];
+  for await (const chunk of stream) {
+    const delta = chunk.choices[0]?.delta;
+    if (!delta) continue;
+    if (delta.content) {
+      content += delta.content;
+      onDelta(delta.content);
+    }
+    for (const part of delta.tool_calls || []) {
+      const call = toolCalls[part.index ?? toolCalls.length] ??= { id: '', type: 'function', function: { name: '', arguments: '' } };
+      if (part.id) call.id = part.id;
+      call.function.name += part.function?.name || '';
+      call.function.arguments += part.function?.arguments || '';
+    }
+  }
+  return { content, toolCalls: toolCalls.filter(Boolean) };
+}
+
+const estimateTokens = (params, output = '') => Math.ceil((JSON.stringify(params.messages).length + output.length) / 4);
+
+// Wraps `llm` so every completion reports onUsage(tokens, { role, model }). Uses the provider's
+// `usage` (Groq streams send it as x_groq.usage); otherwise estimates ~4 chars/token.
+export function meterUsage(llm, onUsage) {
+  return {
+    ...llm,
+    async complete(role, params, options) {
+      const result = await llm.complete(role, params, options);
+      if (!params.stream) {
+        onUsage(result.usage?.total_tokens ?? estimateTokens(params, result.choices[0]?.message?.content), { role, model: result.model });
+        return result;
+      }
+      return (async function* () {
+        let usage;
+        let model;
+        let content = '';
+        try {
+          for await (const chunk of result) {
+            usage = chunk.usage || chunk.x_groq?.usage || usage;
+            model = chunk.model || model;
+            content += chunk.choices?.[0]?.delta?.content || '';
+            yield chunk;
+          }
+        } finally {
+          onUsage(usage?.total_tokens ?? estimateTokens(params, content), { role, model });
+        }
+      })();
+    }
+  };
+}
+
+// Asks for a JSON object response and parses it.
+export async function completeJson(llm, role, params, { signal } = {}) {
+  const completion = await llm.complete(role, {
+    ...params,
+    response_format: { type: "json_object" }
+  }, { signal });
+  return JSON.parse(completion.choices[0].message.content);
+}
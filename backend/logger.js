@@ -0,0 +1,37 @@
+// --- STRUCTURED LOGGING ---
+// One JSON object per line: { time, level, msg, ...fields }. child() adds fields
+// (e.g. the request ID) to every line it writes.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+function serialize(value) {
+  if (value instanceof Error) {
+    return { message: value.message, code: value.code, status: value.status, stack: value.stack };
+  }
+  return value;
+}
+
+// `level` defaults to LOG_LEVEL, read on each write so it can be set after import (dotenv).
+export function createLogger({ level, fields = {} } = {}) {
+  const threshold = () => LEVELS[level || process.env.LOG_LEVEL] ?? LEVELS.info;
+
+  const write = (lvl, msg, extra = {}) => {
+    if (LEVELS[lvl] < threshold()) return;
+    const entry = { time: new Date().toISOString(), level: lvl, msg, ...fields };
+    for (const [key, value] of Object.entries(extra)) entry[key] = serialize(value);
+    const line = JSON.stringify(entry);
+    if (lvl === 'error') console.error(line);
+    else if (lvl === 'warn') console.warn(line);
+    else console.log(line);
+  };
+
+  return {
+    debug: (msg, extra) => write('debug', msg, extra),
+    info: (msg, extra) => write('info', msg, extra),
+    warn: (msg, extra) => write('warn', msg, extra),
+    error: (msg, extra) => write('error', msg, extra),
+    child: (more) => createLogger({ level, fields: { ...fields, ...more } })
+  };
+}
+
+export const logger = createLogger();
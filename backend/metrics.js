@@ -0,0 +1,111 @@
+// --- PROMETHEUS METRICS ---
+// A small in-process registry that renders the Prometheus text exposition format
+// (version 0.0.4); enough for counters, histograms and gauges read at scrape time.
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  return entries.length ? `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}` : '';
+};
+const keyOf = (labels) => JSON.stringify(Object.entries(labels).sort());
+
+export function createRegistry() {
+  const metrics = [];
+
+  function counter(name, help) {
+    const series = new Map();
+    metrics.push({
+      name, help, type: 'counter',
+      lines: () => [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+    });
+    return {
+      inc(labels = {}, amount = 1) {
+        const key = keyOf(labels);
+        const entry = series.get(key) || { labels, value: 0 };
+        entry.value += amount;
+        series.set(key, entry);
+      }
+    };
+  }
+
+  function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const series = new Map();
+    metrics.push({
+      name, help, type: 'histogram',
+      lines: () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map((le, i) => `${name}_bucket${formatLabels({ ...labels, le })} ${counts[i]}`),
+        `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+        `${name}_sum${formatLabels(labels)} ${sum}`,
+        `${name}_count${formatLabels(labels)} ${count}`
+      ])
+    });
+    return {
+      observe(labels, value) {
+        const key = keyOf(labels);
+        const entry = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        buckets.forEach((le, i) => { if (value <= le) entry.counts[i] += 1; });
+        entry.sum += value;
+        entry.count += 1;
+        series.set(key, entry);
+      }
+    };
+  }
+
+  // `collect` returns [{ labels, value }] (or a number) when /metrics is scraped.
+  function gauge(name, help, collect) {
+    metrics.push({
+      name, help, type: 'gauge',
+      lines: async () => {
+        const result = await collect();
+        const samples = typeof result === 'number' ? [{ labels: {}, value: result }] : result;
+        return samples.map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`);
+      }
+    });
+  }
+
+  return {
+    counter,
+    histogram,
+    gauge,
+    async render() {
+      const blocks = await Promise.all(metrics.map(async (m) => [
+        `# HELP ${m.name} ${m.help}`,
+        `# TYPE ${m.name} ${m.type}`,
+        ...await m.lines()
+      ].join('\n')));
+      return `${blocks.join('\n')}\n`;
+    }
+  };
+}
+
+// The metrics the app records. `observeUpstream` is the hook handed to createLLM and
+// createResilientHttp so provider latency and failures are counted where they happen.
+export function createAppMetrics() {
+  const registry = createRegistry();
+  const httpRequests = registry.counter('nodemesh_http_requests_total', 'HTTP requests by method, route and status');
+  const messages = registry.counter('nodemesh_chat_messages_total', 'Chat messages answered, by intent');
+  const stageSeconds = registry.histogram('nodemesh_chat_stage_duration_seconds', 'Chat pipeline latency by stage');
+  const upstreamSeconds = registry.histogram('nodemesh_upstream_request_duration_seconds', 'Latency of calls to LLM providers, speech-to-text and WeatherAPI/NewsAPI');
+  const upstreamErrors = registry.counter('nodemesh_upstream_errors_total', 'Failed upstream calls by upstream and reason');
+
+  return {
+    registry,
+    recordRequest: ({ method, route, status }) => httpRequests.inc({ method, route, status }),
+    recordMessage({ intent, latencyMs }) {
+      messages.inc({ intent });
+      for (const [stage, ms] of Object.entries(latencyMs)) stageSeconds.observe({ stage }, ms / 1000);
+    },
+    // ({ upstream, durationMs, error }) -> reason is the HTTP status, "timeout", "circuit_open" or "network".
+    observeUpstream({ upstream, durationMs, error }) {
+      if (durationMs !== undefined) upstreamSeconds.observe({ upstream }, durationMs / 1000);
+      if (!error) return;
+      const status = error.response?.status ?? error.status;
+      const reason = error.circuitOpen ? 'circuit_open'
+        : status ? String(status)
+          : /timeout|ECONNABORTED/i.test(`${error.name} ${error.code}`) ? 'timeout' : 'network';
+      upstreamErrors.inc({ upstream, reason });
+    }
+  };
+}
@@ -0,0 +1,15 @@
+import Groq from 'groq-sdk';
+
+// Retries are left to createLLM (providers/index.js), so the SDK's own are off by default.
+export function createGroqProvider({ apiKey, baseURL, maxRetries = 0, timeoutMs, models }) {
+  const client = new Groq({ apiKey, baseURL, maxRetries, timeout: timeoutMs });
+  return {
+    name: 'groq',
+    models,
+    configured: Boolean(apiKey),
+    // Returns a completion, or an async iterable of chunks when params.stream is set.
+    createCompletion: (params, { signal } = {}) => client.chat.completions.create(params, { signal }),
+    // Cheap reachability check for /readyz.
+    ping: ({ signal } = {}) => client.models.list({ signal, timeout: 5000 })
+  };
+}
@@ -0,0 +1,126 @@
+import { createGroqProvider } from './groq.js';
+import { createOpenAICompatibleProvider } from './openaiCompatible.js';
+import { withRetry, createCircuitBreaker, isTransient, observed } from '../resilience.js';
+import { appError, ERROR_CODES } from '../errors.js';
+import { logger } from '../logger.js';
+
+// Every LLM call names the role it plays; each provider maps roles to its own models.
+export const ROLES = ['classifier', 'chat', 'gita', 'utility'];
+
+const PRESETS = {
+  groq: {
+    models: { default: 'llama-3.1-8b-instant', chat: 'llama-3.3-70b-versatile', gita: 'llama-3.3-70b-versatile' }
+  },
+  gemini: {
+    baseURL: 'https://generativelanguage.googleapis.com/v1beta/openai',
+    models: { default: 'gemini-2.0-flash' }
+  },
+  openai: {
+    baseURL: 'https://api.openai.com/v1',
+    models: { default: 'gpt-4o-mini', chat: 'gpt-4o', gita: 'gpt-4o' }
+  },
+  ollama: {
+    baseURL: 'http://localhost:11434/v1',
+    requiresKey: false,
+    models: { default: 'llama3.1' }
+  }
+};
+
+export const PROVIDER_NAMES = Object.keys(PRESETS);
+
+// Model for each role: <NAME>_MODEL_<ROLE>, then <NAME>_MODEL, then the preset.
+function modelsFromEnv(name, env) {
+  const prefix = name.toUpperCase();
+  const preset = PRESETS[name].models;
+  const baseModel = env[`${prefix}_MODEL`];
+  const models = { default: baseModel || preset.default };
+  for (const role of ROLES) {
+    const override = env[`${prefix}_MODEL_${role.toUpperCase()}`];
+    if (override) models[role] = override;
+    else if (!baseModel && preset[role]) models[role] = preset[role];
+  }
+  return models;
+}
+
+export function createProviderFromEnv(name, env = process.env) {
+  if (!PRESETS[name]) throw new Error(`Unknown LLM provider "${name}" (expected one of: ${PROVIDER_NAMES.join(', ')})`);
+  const prefix = name.toUpperCase();
+  const options = {
+    name,
+    apiKey: env[`${prefix}_API_KEY`],
+    baseURL: env[`${prefix}_BASE_URL`] || PRESETS[name].baseURL,
+    timeoutMs: Number(env.LLM_TIMEOUT_MS) || 30000,
+    requiresKey: PRESETS[name].requiresKey ?? true,
+    models: modelsFromEnv(name, env)
+  };
+  return name === 'groq' ? createGroqProvider(options) : createOpenAICompatibleProvider(options);
+}
+
+const modelFor = (provider, role) => provider.models[role] || provider.models.default;
+
+// Tries each provider in order, retrying transient failures with backoff first; a
+// provider that keeps failing moves the call to the next one. Each provider has its own
+// circuit breaker, so one that is down is skipped until it recovers. Aborted calls are
+// never retried. When the whole chain fails the error has code `llm_unavailable`.
+// `onAttempt({ upstream, role, durationMs, error? })` sees every provider call (see metrics.js).
+export function createLLM(providers, { retries = 2, baseDelayMs = 250, failureThreshold = 5, resetMs = 30000, onAttempt } = {}) {
+  const chain = providers.filter(Boolean);
+  if (!chain.length) throw new Error('At least one LLM provider is required');
+  const breakers = new Map(chain.map(p => [p, createCircuitBreaker({ name: p.name, failureThreshold, resetMs })]));
+
+  return {
+    providers: chain,
+    circuitState: (name) => breakers.get(chain.find(p => p.name === name))?.state(),
+
+    // [{ name, configured, reachable, circuit, error? }] for /readyz.
+    status({ signal } = {}) {
+      return Promise.all(chain.map(async (provider) => {
+        const base = { name: provider.name, configured: provider.configured, circuit: breakers.get(provider).state() };
+        if (!provider.configured) return { ...base, reachable: false };
+        try {
+          await provider.ping({ signal });
+          return { ...base, reachable: true };
+        } catch (error) {
+          return { ...base, reachable: false, error: error.status ? `HTTP ${error.status}` : error.message };
+        }
+      }));
+    },
+
+    async complete(role, params, { signal } = {}) {
+      let lastError;
+      for (const [index, provider] of chain.entries()) {
+        const next = chain[index + 1];
+        // A rate-limited provider with a fallback behind it is skipped rather than waited on.
+        const shouldRetry = (error) => isTransient(error) && !(next && error.status === 429);
+        try {
+          return await withRetry(
+            () => observed(provider.name, onAttempt,
+              () => breakers.get(provider).exec(() => provider.createCompletion({ ...params, model: modelFor(provider, role) }, { signal }), { signal }),
+              { signal, role }),
+            { retries, baseDelayMs, shouldRetry, signal }
+          );
+        } catch (error) {
+          if (signal?.aborted) throw error;
+          lastError = error;
+          if (next) logger.warn('LLM provider failed, falling back', { provider: provider.name, role, reason: error.status ?? error.message, fallback: next.name });
+        }
+      }
+      throw appError(ERROR_CODES.llmUnavailable, 'The language model is currently unavailable. Please try again shortly.', {
+        status: 503,
+        retryable: lastError.circuitOpen || isTransient(lastError),
+        cause: lastError,
+        upstreamStatus: lastError.status
+      });
+    }
+  };
+}
+
+// LLM_PROVIDER picks the primary (default groq); LLM_FALLBACK_PROVIDER the optional secondary.
+// `options` are passed to createLLM.
+export function createLLMFromEnv(env = process.env, options) {
+  const primary = createProviderFromEnv(env.LLM_PROVIDER || 'groq', env);
+  const fallback = env.LLM_FALLBACK_PROVIDER ? createProviderFromEnv(env.LLM_FALLBACK_PROVIDER, env) : null;
+  return createLLM([primary, fallback], options);
+}
+
+export { createGroqProvider, createOpenAICompatibleProvider };
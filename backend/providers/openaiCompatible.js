@@ -0,0 +1,65 @@
+// Talks to any OpenAI-style `/chat/completions` endpoint: OpenAI itself, Gemini's
+// OpenAI-compatible API, Ollama, vLLM, LM Studio or another self-hosted server.
+
+async function* parseEventStream(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      for (const line of rawEvent.split('\n')) {
+        if (!line.startsWith('data:')) continue;
+        const data = line.slice(5).trim();
+        if (data === '[DONE]') return;
+        yield JSON.parse(data);
+      }
+    }
+  }
+}
+
+// `timeoutMs` bounds the wait for response headers; a stream may then run as long as it needs.
+// `requiresKey` is false for local servers such as Ollama.
+export function createOpenAICompatibleProvider({ name = 'openai', baseURL, apiKey, timeoutMs = 30000, requiresKey = true, models }) {
+  const root = baseURL.replace(/\/+$/, '');
+  const endpoint = `${root}/chat/completions`;
+  const headers = {
+    'Content-Type': 'application/json',
+    ...(apiKey && { Authorization: `Bearer ${apiKey}` })
+  };
+
+  return {
+    name,
+    models,
+    configured: !requiresKey || Boolean(apiKey),
+    async createCompletion(params, { signal } = {}) {
+      const timeout = new AbortController();
+      const timer = setTimeout(() => timeout.abort(new DOMException(`${name} timed out after ${timeoutMs}ms`, 'TimeoutError')), timeoutMs);
+      let response;
+      try {
+        response = await fetch(endpoint, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify(params),
+          signal: signal ? AbortSignal.any([signal, timeout.signal]) : timeout.signal
+        });
+      } finally {
+        clearTimeout(timer);
+      }
+      if (!response.ok) {
+        const error = new Error(`${name} responded with ${response.status}: ${(await response.text()).slice(0, 200)}`);
+        error.status = response.status;
+        throw error;
+      }
+      return params.stream ? parseEventStream(response.body) : response.json();
+    },
+    // Cheap reachability check for /readyz.
+    async ping({ signal } = {}) {
+      const timeout = AbortSignal.timeout(5000);
+      const response = await fetch(`${root}/models`, { headers, signal: signal ? AbortSignal.any([signal, timeout]) : timeout });
+      if (!response.ok) throw Object.assign(new Error(`${name} responded with ${response.status}`), { status: response.status });
+    }
+  };
+}
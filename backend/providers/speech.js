@@ -0,0 +1,98 @@
+import { withRetry, createCircuitBreaker, observed } from '../resilience.js';
+import { appError, ERROR_CODES } from '../errors.js';
+
+// --- SPEECH-TO-TEXT ---
+// Every engine speaks the OpenAI-style multipart `/audio/transcriptions` API: Groq Whisper,
+// OpenAI, or a local server such as faster-whisper-server, LocalAI or Speaches.
+
+const PRESETS = {
+  groq: { baseURL: 'https://api.groq.com/openai/v1', model: 'whisper-large-v3-turbo' },
+  openai: { baseURL: 'https://api.openai.com/v1', model: 'whisper-1' },
+  local: { baseURL: 'http://localhost:8000/v1', model: 'Systran/faster-whisper-small', requiresKey: false }
+};
+
+export const STT_ENGINES = Object.keys(PRESETS);
+
+// Container types browsers record (MediaRecorder) plus common uploads; the extension
+// tells the engine how to decode the file.
+export const AUDIO_TYPES = {
+  'audio/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/mp4': 'm4a',
+  'audio/x-m4a': 'm4a',
+  'audio/mpeg': 'mp3',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/flac': 'flac'
+};
+
+// transcribe(audio: Buffer, { mimeType, language?, signal }) resolves with { text, language?, durationSeconds? }.
+// Transient failures are retried with backoff behind a circuit breaker; the final error has
+// code `transcription_unavailable`. `onAttempt` reports to metrics like the LLM providers do.
+export function createTranscriber({ name, baseURL, apiKey, model, timeoutMs = 30000, requiresKey = true, retries = 1, onAttempt }) {
+  const endpoint = `${baseURL.replace(/\/+$/, '')}/audio/transcriptions`;
+  const breaker = createCircuitBreaker({ name: `stt:${name}` });
+
+  async function request(audio, { mimeType, language, signal }) {
+    const form = new FormData();
+    form.append('file', new Blob([audio], { type: mimeType }), `speech.${AUDIO_TYPES[mimeType] || 'webm'}`);
+    form.append('model', model);
+    form.append('response_format', 'verbose_json');
+    if (language) form.append('language', language);
+
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+      body: form,
+      signal: signal ? AbortSignal.any([signal, AbortSignal.timeout(timeoutMs)]) : AbortSignal.timeout(timeoutMs)
+    });
+    if (!response.ok) {
+      const error = new Error(`${name} transcription responded with ${response.status}: ${(await response.text()).slice(0, 200)}`);
+      error.status = response.status;
+      throw error;
+    }
+    const data = await response.json();
+    return { text: (data.text || '').trim(), language: data.language, durationSeconds: data.duration };
+  }
+
+  return {
+    name,
+    model,
+    configured: !requiresKey || Boolean(apiKey),
+    circuitState: () => breaker.state(),
+    async transcribe(audio, { mimeType, language, signal } = {}) {
+      try {
+        return await withRetry(
+          () => observed(`stt:${name}`, onAttempt, () => breaker.exec(() => request(audio, { mimeType, language, signal }), { signal }), { signal }),
+          { retries, signal }
+        );
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        throw appError(ERROR_CODES.transcriptionUnavailable, 'Speech-to-text is currently unavailable.', {
+          status: 503,
+          retryable: error.status !== 400,
+          cause: error,
+          upstreamStatus: error.status
+        });
+      }
+    }
+  };
+}
+
+// STT_ENGINE (groq | openai | local, default groq) with STT_BASE_URL / STT_MODEL overrides.
+// Cloud engines reuse the LLM provider's <NAME>_API_KEY; Groq also follows GROQ_BASE_URL.
+export function createTranscriberFromEnv(env = process.env, options = {}) {
+  const name = env.STT_ENGINE || 'groq';
+  const preset = PRESETS[name];
+  if (!preset) throw new Error(`Unknown speech-to-text engine "${name}" (expected one of: ${STT_ENGINES.join(', ')})`);
+  const groqBaseURL = name === 'groq' && env.GROQ_BASE_URL ? `${env.GROQ_BASE_URL.replace(/\/+$/, '')}/openai/v1` : undefined;
+  return createTranscriber({
+    name,
+    baseURL: env.STT_BASE_URL || groqBaseURL || env[`${name.toUpperCase()}_BASE_URL`] || preset.baseURL,
+    apiKey: env.STT_API_KEY || env[`${name.toUpperCase()}_API_KEY`],
+    model: env.STT_MODEL || preset.model,
+    timeoutMs: Number(env.STT_TIMEOUT_MS) || 30000,
+    requiresKey: preset.requiresKey ?? true,
+    ...options
+  });
+}
@@ -0,0 +1,109 @@
+// --- UPSTREAM RESILIENCE ---
+// Retry with exponential backoff for transient failures, and a circuit breaker per
+// upstream so a dead provider fails fast instead of stalling every request.
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => { clearTimeout(timer); reject(signal.reason); }, { once: true });
+});
+
+// Network errors, timeouts, 429 and 5xx are worth retrying; other 4xx, caller aborts
+// and open circuits are not. SDK aborts (Groq's APIUserAbortError) keep name "Error".
+export function isTransient(error) {
+  if (error?.circuitOpen) return false;
+  const status = error?.response?.status ?? error?.status;
+  if (status) return status === 429 || status >= 500;
+  return !['AbortError', 'CanceledError'].includes(error?.name) && error?.constructor?.name !== 'APIUserAbortError';
+}
+
+// Runs fn() and reports { upstream, durationMs, error? } to onAttempt (see metrics.js).
+// Calls refused by an open circuit report no duration; caller aborts report nothing.
+export async function observed(upstream, onAttempt, fn, { signal, ...extra } = {}) {
+  const startedAt = performance.now();
+  try {
+    const result = await fn();
+    onAttempt?.({ upstream, durationMs: performance.now() - startedAt, ...extra });
+    return result;
+  } catch (error) {
+    if (!signal?.aborted) {
+      onAttempt?.({ upstream, durationMs: error.circuitOpen ? undefined : performance.now() - startedAt, error, ...extra });
+    }
+    throw error;
+  }
+}
+
+// Runs attempt(n) up to retries + 1 times, waiting baseDelayMs * 2^n (with jitter) between tries.
+export async function withRetry(attempt, { retries = 2, baseDelayMs = 250, maxDelayMs = 4000, shouldRetry = isTransient, signal } = {}) {
+  for (let n = 0; ; n++) {
+    try {
+      return await attempt(n);
+    } catch (error) {
+      if (n >= retries || signal?.aborted || !shouldRetry(error)) throw error;
+      const delay = Math.min(baseDelayMs * 2 ** n, maxDelayMs);
+      await sleep(delay / 2 + Math.random() * delay / 2, signal);
+    }
+  }
+}
+
+// closed -> (failureThreshold consecutive failures) -> open -> (after resetMs) -> half-open,
+// where one trial call either closes the circuit again or re-opens it. Calls refused
+// while open reject with an error flagged `circuitOpen`. A call whose own `signal` was
+// aborted (the user pressed Stop) is never counted as a failure.
+export function createCircuitBreaker({ name, failureThreshold = 5, resetMs = 30000, isFailure = isTransient } = {}) {
+  let failures = 0;
+  let openedAt = 0;
+  let trialInFlight = false;
+
+  const state = () => {
+    if (failures < failureThreshold) return 'closed';
+    return Date.now() - openedAt >= resetMs ? 'half-open' : 'open';
+  };
+
+  return {
+    name,
+    state,
+    async exec(fn, { signal } = {}) {
+      const current = state();
+      if (current === 'open' || (current === 'half-open' && trialInFlight)) {
+        throw Object.assign(new Error(`${name} circuit is open`), { circuitOpen: true });
+      }
+      trialInFlight = current === 'half-open';
+      try {
+        const result = await fn();
+        failures = 0;
+        return result;
+      } catch (error) {
+        if (!signal?.aborted && isFailure(error)) {
+          failures += 1;
+          if (failures >= failureThreshold) openedAt = Date.now();
+        }
+        throw error;
+      } finally {
+        trialInFlight = false;
+      }
+    }
+  };
+}
+
+// Wraps an axios-like client: every GET gets a timeout, retries and the breaker for its
+// upstream (`options.service`, else the URL's host). Each attempt is reported to onAttempt.
+// Per call, `retries` overrides the default and `circuit: false` skips the breaker, for
+// user-supplied hosts where one shared breaker would let a few dead links block all of them.
+export function createResilientHttp(http, { timeoutMs = 8000, retries = 2, baseDelayMs = 250, failureThreshold = 5, resetMs = 30000, onAttempt } = {}) {
+  const breakers = new Map();
+  const breakerFor = (service) => {
+    if (!breakers.has(service)) breakers.set(service, createCircuitBreaker({ name: service, failureThreshold, resetMs }));
+    return breakers.get(service);
+  };
+
+  return {
+    circuitState: (service) => breakers.get(service)?.state() || 'closed',
+    get(url, { service = new URL(url).host, retries: attempts = retries, circuit = true, ...options } = {}) {
+      const call = () => http.get(url, { timeout: timeoutMs, ...options });
+      return withRetry(
+        () => observed(service, onAttempt, () => (circuit ? breakerFor(service).exec(call, { signal: options.signal }) : call()), { signal: options.signal }),
+        { retries: attempts, baseDelayMs, signal: options.signal }
+      );
+    }
+  };
+}
@@ -0,0 +1,64 @@
+import { readFileSync } from 'fs';
+import { logger } from './logger.js';
+
+// --- CRISIS SAFETY ---
+// Messages that signal self-harm risk skip the skills (no shloka, no model-written
+// reply) and get a fixed safety response with helplines for the user's locale.
+
+export const SEVERITIES = ['none', 'mild', 'moderate', 'high'];
+export const CRISIS_INTENT = 'crisis';
+const DEFAULT_LOCALE = 'en';
+
+// Safety net for when the analysis under-rates explicit self-harm language, and the only
+// check when the analysis fails: English, Hinglish (romanized Hindi) and Devanagari Hindi.
+// Devanagari is matched without nukta marks (see mentionsSelfHarm), so ख़/ख both match.
+const CRISIS_PATTERNS = [
+  /\b(kill(ing)? myself|suicid|end(ing)? my life|self[- ]?harm|hurt(ing)? myself|cut(ting)? myself|(don'?t|do not) want to (live|be alive)|no reason to live)/i,
+  /\b(marn[ae] chaht[ai]|mar jaa?n[ae] chaht[ai]|aa?tm[ae] ?hatya|khud ?ko (maar|khatam|khatm)|apni jaan (le|de)|jaan de (du|doo?n|dunga|dungi)\b|jee?na nahi?n? chaht[ai]|zi?n?dagi khatam kar)/i,
+  /(मरना चाहत[ाी]|मर जाना चाहत[ाी]|आत्महत्या|खुद को (मार|खत्म)|अपनी जान (ले|दे)|जान दे (दूँ|दूं|दूंगा|दूँगा|दूंगी|दूँगी)|जीना नहीं चाहत[ाी]|(जिंदगी|जिन्दगी) खत्म कर)/
+];
+
+// Resources are keyed by locale ("en-IN", "hi-IN", ...); each entry is
+// { message, helplines: [{ name, contact }], emergency }.
+export function loadCrisisResources(filePath = new URL('./data/crisis-resources.json', import.meta.url)) {
+  return JSON.parse(readFileSync(filePath, 'utf8'));
+}
+
+// The keyword check alone; it needs no analysis, so it still works when the model is down.
+export function mentionsSelfHarm(message) {
+  const text = String(message).normalize('NFC').replace(/\u093C/g, '');
+  return CRISIS_PATTERNS.some(pattern => pattern.test(text));
+}
+
+// Resolves with { severity, source } where source says which check raised it.
+export function assessSeverity(analysis, message) {
+  const severity = analysis.mood?.severity || 'none';
+  if (severity !== 'high' && mentionsSelfHarm(message)) return { severity: 'high', source: 'keywords' };
+  return { severity, source: 'analysis' };
+}
+
+// Picks the best resource entry for a locale or Accept-Language header: exact tag,
+// then any entry for the same region (the helplines matter most), then the language.
+export function resolveLocale(requested, resources) {
+  const keys = Object.keys(resources);
+  const find = (tag) => keys.find(k => k.toLowerCase() === tag.toLowerCase());
+  const tags = String(requested || '').split(',').map(t => t.split(';')[0].trim().replace('_', '-')).filter(Boolean);
+
+  for (const tag of tags) {
+    const [language, region] = tag.split('-');
+    const sameRegion = region && (find(`${DEFAULT_LOCALE}-${region}`) || keys.find(k => k.toLowerCase().endsWith(`-${region.toLowerCase()}`)));
+    const match = find(tag) || sameRegion || find(language);
+    if (match) return match;
+  }
+  return find(DEFAULT_LOCALE) || keys[0];
+}
+
+export function formatSafetyResponse({ message, helplines = [], emergency }) {
+  const lines = helplines.map(h => `- **${h.name}:** ${h.contact}`).join('\n');
+  return `${message}\n\n${lines}${emergency ? `\n\n**${emergency}**` : ''}`;
+}
+
+// Never log the message itself: only that an escalation happened and why.
+export function logCrisisEvent({ severity, source, locale }, log = logger) {
+  log.warn('Crisis escalation', { severity, source, locale });
+}
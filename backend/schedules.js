@@ -0,0 +1,259 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { appError, ERROR_CODES } from './errors.js';
+import { logger } from './logger.js';
+
+// --- SCHEDULES ---
+// Daily jobs per session: a `briefing` (weather for a place and/or headlines) or a `rain`
+// alert that only fires when the day's daily_chance_of_rain reaches its threshold. Each runs
+// at a wall-clock time in its own time zone. What a run delivers lands in the session's inbox,
+// read by polling or an SSE subscription. Schedules and inboxes are kept in memory and, with a
+// filePath, written to a JSON snapshot after every change so they survive restarts.
+
+export const SCHEDULE_TYPES = ['briefing', 'rain'];
+export const RAIN_DAYS = ['today', 'tomorrow'];
+
+const TIME = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+// "8", "8:30", "08:00", "8am", "7.30 pm" -> "HH:MM" (24h), else undefined.
+export function parseTime(input) {
+  const match = String(input ?? '').trim().toLowerCase().match(/^(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?$/);
+  if (!match) return undefined;
+  let hour = Number(match[1]);
+  const minute = match[2] ?? '00';
+  if (match[3]) {
+    if (hour < 1 || hour > 12) return undefined;
+    hour = (hour % 12) + (match[3] === 'pm' ? 12 : 0);
+  }
+  const time = `${String(hour).padStart(2, '0')}:${minute}`;
+  return TIME.test(time) ? time : undefined;
+}
+
+export function isTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return typeof timeZone === 'string';
+  } catch {
+    return false;
+  }
+}
+
+function wallClock(instant, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric'
+  }).formatToParts(instant).map(({ type, value }) => [type, Number(value)]));
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+}
+
+// The first instant after `after` (ms) when it is `time` in `timeZone`. The zone's offset is
+// read back from Intl twice, so days that change to or from daylight saving time land right.
+export function nextRunAt(time, timeZone, after = Date.now()) {
+  const [hour, minute] = time.split(':').map(Number);
+  const today = new Date(wallClock(after, timeZone));
+  for (let days = 0; days <= 2; days++) {
+    const wall = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() + days, hour, minute);
+    let at = wall - (wallClock(wall, timeZone) - wall);
+    at = wall - (wallClock(at, timeZone) - at);
+    if (at > after) return at;
+  }
+  throw new Error(`No next run for ${time} in ${timeZone}`);
+}
+
+const invalid = (message) => appError(ERROR_CODES.invalidRequest, message, { status: 400 });
+
+// Validates the fields a client or the schedule skill may set and returns a new schedule.
+// `clientId` is whose token quota its runs are charged to (set by the server, not the client).
+//   briefing: { location?, news?: { country?, category?, query? } } (at least one of them)
+//   rain:     { location, threshold = 60 (percent), day = 'today' | 'tomorrow' }
+export function createSchedule(sessionId, input, { now = Date.now() } = {}) {
+  const type = input.type ?? 'briefing';
+  if (!SCHEDULE_TYPES.includes(type)) throw invalid(`"type" must be one of: ${SCHEDULE_TYPES.join(', ')}`);
+  const time = parseTime(input.time);
+  if (!time) throw invalid('"time" must be a time of day such as 08:00');
+  if (!isTimeZone(input.timeZone)) throw invalid('"timeZone" must be an IANA time zone such as Asia/Kolkata');
+  const location = typeof input.location === 'string' && input.location.trim() ? input.location.trim() : undefined;
+
+  const schedule = { id: crypto.randomUUID(), sessionId, type, time, timeZone: input.timeZone, ...(input.clientId && { clientId: input.clientId }), ...(input.language && { language: input.language }), ...(location && { location }) };
+  if (type === 'rain') {
+    if (!location) throw invalid('A rain alert needs a "location"');
+    const threshold = input.threshold ?? 60;
+    if (!Number.isInteger(threshold) || threshold < 1 || threshold > 100) throw invalid('"threshold" must be a percentage from 1 to 100');
+    const day = input.day ?? 'today';
+    if (!RAIN_DAYS.includes(day)) throw invalid(`"day" must be one of: ${RAIN_DAYS.join(', ')}`);
+    Object.assign(schedule, { threshold, day });
+  } else {
+    const news = Object.fromEntries(['country', 'category', 'query']
+      .map(key => [key, input.news?.[key]])
+      .filter(([, value]) => typeof value === 'string' && value.trim()));
+    if (input.news && typeof input.news === 'object') schedule.news = news;
+    if (!location && !schedule.news) throw invalid('A briefing needs a "location" for the weather, "news", or both');
+  }
+  return { ...schedule, paused: false, createdAt: new Date(now).toISOString(), nextRunAt: nextRunAt(time, schedule.timeZone, now) };
+}
+
+export function createScheduleStore({ filePath, maxPerSession = 10, maxInbox = 20 } = {}) {
+  const schedules = new Map();
+  const inboxes = new Map();
+  const listeners = new Map();
+  let pendingWrite = Promise.resolve();
+
+  async function load() {
+    try {
+      const snapshot = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      for (const schedule of snapshot.schedules || []) schedules.set(schedule.id, schedule);
+      for (const [sessionId, entries] of Object.entries(snapshot.inboxes || {})) inboxes.set(sessionId, entries);
+    } catch (error) {
+      if (error.code !== 'ENOENT') logger.error('Schedule store load failed', { error });
+    }
+  }
+  const loaded = filePath ? load() : Promise.resolve();
+
+  const persist = () => {
+    if (!filePath) return pendingWrite;
+    pendingWrite = pendingWrite
+      .then(async () => {
+        const tmpPath = `${filePath}.tmp`;
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(tmpPath, JSON.stringify({ schedules: [...schedules.values()], inboxes: Object.fromEntries(inboxes) }));
+        await fs.rename(tmpPath, filePath);
+      })
+      .catch((error) => logger.error('Schedule store write failed', { error }));
+    return pendingWrite;
+  };
+
+  const find = (sessionId, id) => {
+    const schedule = schedules.get(id);
+    return schedule?.sessionId === sessionId ? schedule : undefined;
+  };
+
+  return {
+    async list(sessionId) {
+      await loaded;
+      return [...schedules.values()].filter(s => s.sessionId === sessionId);
+    },
+
+    async add(schedule) {
+      await loaded;
+      if ((await this.list(schedule.sessionId)).length >= maxPerSession) {
+        throw appError(ERROR_CODES.invalidRequest, `A session can have at most ${maxPerSession} schedules`, { status: 409 });
+      }
+      schedules.set(schedule.id, schedule);
+      await persist();
+      return schedule;
+    },
+
+    // Pausing or resuming; a resumed schedule next runs at its time after `now`.
+    async setPaused(sessionId, id, paused, { now = Date.now() } = {}) {
+      await loaded;
+      const schedule = find(sessionId, id);
+      if (!schedule) return null;
+      const updated = { ...schedule, paused, nextRunAt: paused ? schedule.nextRunAt : nextRunAt(schedule.time, schedule.timeZone, now) };
+      schedules.set(id, updated);
+      await persist();
+      return updated;
+    },
+
+    async remove(sessionId, id) {
+      await loaded;
+      if (!find(sessionId, id)) return false;
+      schedules.delete(id);
+      await persist();
+      return true;
+    },
+
+    // Drops a session's schedules and inbox (DELETE /sessions/:id); false if it had neither.
+    async clear(sessionId) {
+      await loaded;
+      let cleared = inboxes.delete(sessionId);
+      for (const schedule of schedules.values()) {
+        if (schedule.sessionId === sessionId) cleared = schedules.delete(schedule.id);
+      }
+      if (cleared) await persist();
+      return cleared;
+    },
+
+    async due(now = Date.now()) {
+      await loaded;
+      return [...schedules.values()].filter(s => !s.paused && s.nextRunAt <= now);
+    },
+
+    async markRun(id, { lastRunAt, nextRunAt: next }) {
+      const schedule = schedules.get(id);
+      if (!schedule) return;
+      schedules.set(id, { ...schedule, lastRunAt, nextRunAt: next });
+      await persist();
+    },
+
+    // Adds { id, scheduleId, type, language, content, at } to the session's inbox (newest maxInbox kept)
+    // and passes it to the session's subscribers.
+    async deliver(sessionId, { scheduleId, type, language, content, at = new Date().toISOString() }) {
+      await loaded;
+      const entry = { id: crypto.randomUUID(), scheduleId, type, ...(language && { language }), content, at };
+      inboxes.set(sessionId, [...(inboxes.get(sessionId) || []), entry].slice(-maxInbox));
+      await persist();
+      for (const listener of listeners.get(sessionId) || []) listener(entry);
+      return entry;
+    },
+
+    // Entries delivered after `since` (an ISO timestamp), oldest first.
+    async inbox(sessionId, { since } = {}) {
+      await loaded;
+      return (inboxes.get(sessionId) || []).filter(entry => !since || entry.at > since);
+    },
+
+    // Calls listener(entry) for every delivery to the session; returns the unsubscribe function.
+    subscribe(sessionId, listener) {
+      if (!listeners.has(sessionId)) listeners.set(sessionId, new Set());
+      listeners.get(sessionId).add(listener);
+      return () => {
+        listeners.get(sessionId)?.delete(listener);
+        if (!listeners.get(sessionId)?.size) listeners.delete(sessionId);
+      };
+    },
+
+    flush: () => pendingWrite
+  };
+}
+
+// Checks for due schedules every intervalMs and hands each to run(schedule). The next run is
+// booked before the job starts, so a failing job can't fire again on the next tick. Runs
+// missed by more than maxLatenessMs (the server was down at 8:00) are skipped, not sent late.
+export function createScheduler({ store, run, intervalMs = 30000, maxLatenessMs = 60 * 60 * 1000 }) {
+  let timer;
+  let running = Promise.resolve();
+
+  async function runDue(now) {
+    for (const schedule of await store.due(now)) {
+      await store.markRun(schedule.id, { lastRunAt: new Date(now).toISOString(), nextRunAt: nextRunAt(schedule.time, schedule.timeZone, now) });
+      if (now - schedule.nextRunAt > maxLatenessMs) {
+        logger.info('Skipped a missed schedule run', { scheduleId: schedule.id });
+        continue;
+      }
+      try {
+        await run(schedule);
+      } catch (error) {
+        logger.error('Scheduled run failed', { scheduleId: schedule.id, error });
+      }
+    }
+  }
+
+  return {
+    // One pass over due schedules; ticks never overlap.
+    tick(now = Date.now()) {
+      running = running
+        .then(() => runDue(now))
+        .catch((error) => logger.error('Schedule check failed', { error }));
+      return running;
+    },
+    start() {
+      timer ??= setInterval(() => this.tick(), intervalMs);
+      timer.unref?.();
+      return this;
+    },
+    stop() {
+      clearInterval(timer);
+      timer = undefined;
+    }
+  };
+}
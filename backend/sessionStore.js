@@ -0,0 +1,108 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from './logger.js';
+
+// Every adapter implements the same async interface over session records:
+//   get(id) -> record | null, set(id, record), delete(id) -> bool, size() -> live sessions
+
+// --- IN-MEMORY ADAPTER (TTL + LRU) ---
+export function createMemoryStore({ ttlMs = 0, maxSessions = 0, onChange } = {}) {
+  // Map keeps insertion order, so the first key is always the least recently used.
+  const sessions = new Map();
+
+  const isExpired = (entry) => ttlMs > 0 && Date.now() - entry.updatedAt > ttlMs;
+
+  function evict() {
+    for (const [id, entry] of sessions) {
+      if (isExpired(entry)) sessions.delete(id);
+    }
+    while (maxSessions > 0 && sessions.size > maxSessions) {
+      sessions.delete(sessions.keys().next().value);
+    }
+  }
+
+  return {
+    async get(id) {
+      const entry = sessions.get(id);
+      if (!entry) return null;
+      if (isExpired(entry)) {
+        sessions.delete(id);
+        onChange?.();
+        return null;
+      }
+      sessions.delete(id);
+      sessions.set(id, entry);
+      return entry.record;
+    },
+    async set(id, record) {
+      sessions.delete(id);
+      sessions.set(id, { record, updatedAt: Date.now() });
+      evict();
+      onChange?.();
+    },
+    async delete(id) {
+      const existed = sessions.delete(id);
+      if (existed) onChange?.();
+      return existed;
+    },
+    async size() {
+      evict();
+      return sessions.size;
+    },
+    snapshot() {
+      evict();
+      return Object.fromEntries(sessions);
+    },
+    load(snapshot) {
+      for (const [id, entry] of Object.entries(snapshot)) sessions.set(id, entry);
+      evict();
+    }
+  };
+}
+
+// --- FILE ADAPTER ---
+// Keeps the working set in memory and writes a JSON snapshot after every change,
+// so history survives restarts without an external database.
+export async function createFileStore({ filePath, ttlMs, maxSessions }) {
+  let pendingWrite = Promise.resolve();
+
+  const persist = () => {
+    pendingWrite = pendingWrite
+      .then(async () => {
+        const tmpPath = `${filePath}.tmp`;
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(tmpPath, JSON.stringify(memory.snapshot()));
+        await fs.rename(tmpPath, filePath);
+      })
+      .catch((error) => logger.error('Session store write failed', { error }));
+    return pendingWrite;
+  };
+
+  const memory = createMemoryStore({ ttlMs, maxSessions, onChange: persist });
+
+  try {
+    memory.load(JSON.parse(await fs.readFile(filePath, 'utf8')));
+  } catch (error) {
+    if (error.code !== 'ENOENT') logger.error('Session store load failed', { error });
+  }
+
+  return {
+    get: memory.get,
+    set: memory.set,
+    delete: memory.delete,
+    size: memory.size,
+    flush: () => pendingWrite
+  };
+}
+
+// --- FACTORY ---
+export async function createSessionStore(env = process.env) {
+  const ttlMs = Number(env.SESSION_TTL_MINUTES || 0) * 60 * 1000;
+  const maxSessions = Number(env.SESSION_MAX_COUNT || 1000);
+
+  if (env.SESSION_STORE === 'file') {
+    const filePath = env.SESSION_FILE || path.join(process.cwd(), 'data', 'sessions.json');
+    return createFileStore({ filePath, ttlMs, maxSessions });
+  }
+  return createMemoryStore({ ttlMs, maxSessions });
+}
@@ -0,0 +1,95 @@
+import { completeChat } from '../llm.js';
+import { fetchDocument } from '../documents.js';
+import { t, replyInstruction } from '../i18n.js';
+
+const URL_PATTERN = /https?:\/\/[^\s<>"'`]+/i;
+const MAX_EXCERPTS = 5;
+
+// The first link in `text`, without trailing punctuation or an unbalanced closing bracket.
+export function findUrl(text = '') {
+  const url = text.match(URL_PATTERN)?.[0].replace(/[.,;:!?]+$/, '');
+  if (!url) return undefined;
+  return url.endsWith(')') && !url.includes('(') ? url.slice(0, -1) : url;
+}
+
+const withoutUrl = (text) => text.replace(URL_PATTERN, ' ').replace(/\s+/g, ' ').trim() || undefined;
+
+const formatSource = ({ document, chunk }, language) => {
+  const page = chunk.page ? `, ${t(language, 'documents.page', { page: chunk.page })}` : '';
+  return /^https?:/.test(document.source) ? `[${document.title}](${document.source})${page}` : `_${document.title}_${page}`;
+};
+
+// Answers from the session's documents (ctx.documents: uploads from POST
+// /sessions/:id/documents plus pages linked in chat). A link in the message is fetched and
+// stored first, and that question is then answered from it alone. The best BM25 chunks go
+// to the model as numbered excerpts it must cite inline as [n]; the cited ones are listed
+// under the answer. Questions that match no chunk (e.g. "summarize this") get the opening
+// chunks of the targeted or newest document.
+export async function handleDocuments({ url, question }, ctx) {
+  const { documents, history = [], llm, http, config, signal, onDelta, language } = ctx;
+
+  let target;
+  if (url) {
+    target = (await documents.list()).find(d => d.source === url)
+      || await documents.add(await fetchDocument(url, {
+        http,
+        signal,
+        allowPrivate: config.allowPrivateUrls,
+        maxBytes: config.maxDocumentBytes,
+        maxCharacters: config.maxDocumentCharacters
+      }));
+  }
+  const stored = await documents.list();
+  if (!stored.length) return t(language, 'documents.none');
+
+  let hits = question ? await documents.search(question, { limit: MAX_EXCERPTS, documentId: target?.id }) : [];
+  if (!hits.length) {
+    const document = target || stored.at(-1);
+    hits = document.chunks.slice(0, MAX_EXCERPTS).map(chunk => ({ document, chunk }));
+  }
+
+  const excerpts = hits
+    .map((hit, i) => `[${i + 1}] ${hit.document.title}${hit.chunk.page ? ` (page ${hit.chunk.page})` : ''}\n${hit.chunk.text}`)
+    .join('\n\n');
+  const answer = await completeChat(llm, 'chat', {
+    messages: [
+      {
+        role: "system",
+        content: `Answer using only the numbered excerpts below. Cite the excerpt behind each statement inline as [1], [2]. If the excerpts don't contain the answer, say so instead of guessing.${replyInstruction(language)}\n\nExcerpts:\n${excerpts}`
+      },
+      ...history.slice(-4).map(h => ({ role: h.role === 'assistant' ? 'assistant' : 'user', content: h.content })),
+      { role: "user", content: question || 'Summarize this document.' }
+    ],
+    max_tokens: 700
+  }, { onDelta, signal });
+
+  // Only the excerpts the answer cites; all of them when it cites none.
+  const cited = hits.map((hit, i) => ({ hit, number: i + 1 })).filter(({ number }) => answer.includes(`[${number}]`));
+  const sources = (cited.length ? cited : hits.map((hit, i) => ({ hit, number: i + 1 })))
+    .map(({ hit, number }) => `[${number}] ${formatSource(hit, language)}`)
+    .join('  \n');
+  const footer = `\n\n**${t(language, 'documents.sources')}:**  \n${sources}`;
+  onDelta?.(footer);
+  return answer + footer;
+}
+
+export default {
+  name: 'documents',
+  description: 'Questions about a file the user uploaded (PDF, text, Markdown) or a web page they pasted a link to: summaries, facts, quotes and follow-ups about it. Always used when the message contains a URL.',
+  parameters: {
+    type: 'object',
+    properties: {
+      url: { type: 'string', description: 'The http(s) link from the message, if any' },
+      question: { type: 'string', description: 'What the user wants to know, without the link; empty for a plain summary' }
+    }
+  },
+  // A pasted link always means "read this", whatever the classifier picked.
+  detect: (message) => {
+    const url = findUrl(message);
+    return url ? { url, question: withoutUrl(message) } : null;
+  },
+  handler: (args, ctx) => handleDocuments({
+    url: args.url ? findUrl(args.url) : undefined,
+    question: args.question ?? withoutUrl(ctx.message)
+  }, ctx)
+};
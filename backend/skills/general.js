@@ -0,0 +1,27 @@
+import { completeChat } from '../llm.js';
+import { replyInstruction } from '../i18n.js';
+import { completeWithTools } from './tools.js';
+
+// With config.toolCalling the model may call the weather, news and calculator tools
+// (tools.js), so a message that asks for several of those gets one combined answer.
+export default {
+  name: 'general',
+  description: 'General knowledge, explanations, writing, essays, opinions and small talk (including sarcastic remarks). Also messages that combine several requests (e.g. weather and news together) or need exact arithmetic.',
+  parameters: { type: 'object', properties: {} },
+  handler: async (args, ctx) => {
+    const { message, history, analysis, llm, config, onDelta, signal, language } = ctx;
+    const { sarcasm, mood } = analysis;
+    const isEssay = /essay|elaborate|detailed/i.test(message);
+    const tone = mood.low ? " The user seems low; be warm and gentle." : "";
+    const params = {
+      messages: [
+        { role: "system", content: (isEssay ? "Detailed Essay mode." : "You are NodeMesh. Answer crisp/concise (max 200 words).") + tone + replyInstruction(language) },
+        ...history.map(h => ({ role: h.role === 'assistant' ? 'assistant' : 'user', content: h.content })),
+        { role: "user", content: sarcasm.is_sarcastic ? `(User meant: ${sarcasm.intended_meaning}) ${message}` : message }
+      ],
+      max_tokens: isEssay ? 2000 : 400
+    };
+    if (config.toolCalling) return completeWithTools('chat', params, ctx);
+    return completeChat(llm, 'chat', params, { onDelta, signal });
+  }
+};
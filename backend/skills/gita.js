@@ -0,0 +1,48 @@
+import { completeChat } from '../llm.js';
+import { pickVerse, verseRef } from '../gitaVerses.js';
+import { appError, ERROR_CODES } from '../errors.js';
+import { t, replyInstruction } from '../i18n.js';
+
+const FEELINGS = ['anxiety', 'stress', 'grief', 'anger', 'restlessness', 'overthinking', 'self-doubt', 'hopelessness', 'failure', 'burnout', 'loneliness', 'guilt', 'fear', 'confusion', 'procrastination', 'comparison'];
+const RECENT_VERSES = 5;
+
+// A short, personal bridge between the verse and the user's situation. The verse
+// itself always comes from the curated corpus, never from the model, so a failed call
+// only drops the reflection.
+async function reflectOnVerse(verse, userMessage, { llm, signal, reportError, language }) {
+  try {
+    return await completeChat(llm, 'gita', {
+      messages: [
+        { role: "system", content: `Wise, gentle spiritual guide. In 2-3 sentences, relate Bhagavad Gita ${verseRef(verse)} ("${verse.translation}") to what the user shared. Do not quote or cite any other verse.${replyInstruction(language)}` },
+        { role: "user", content: userMessage }
+      ],
+      max_tokens: 200
+    }, { signal });
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    reportError?.(appError(ERROR_CODES.reflectionUnavailable, 'The reflection was skipped because the language model is unavailable.', { retryable: true, cause: error }));
+    return null;
+  }
+}
+
+export default {
+  name: 'gita',
+  description: 'The user sounds low, stressed, anxious, sad, restless or hopeless and needs emotional or spiritual support.',
+  parameters: {
+    type: 'object',
+    properties: {
+      feeling: { type: 'string', enum: FEELINGS, description: 'Closest match to what the user is going through' }
+    }
+  },
+  handler: async (args, ctx) => {
+    const { message, state = {}, language } = ctx;
+    const shown = state.gita?.shown || [];
+    const verse = pickVerse(message, { feeling: args.feeling, exclude: shown });
+    state.gita = { shown: [...shown, verseRef(verse)].slice(-RECENT_VERSES) };
+
+    const reflection = await reflectOnVerse(verse, message, ctx);
+    let reply = `**${t(language, 'gita.heading')}**\n\n**${verse.sanskrit}**\n*${verse.transliteration}*\n\n${verse.translation}\n— _${t(language, 'gita.citation', { ref: verseRef(verse) })}_`;
+    if (reflection) reply += `\n\n${reflection}`;
+    return reply;
+  }
+};
@@ -0,0 +1,20 @@
+import { createSkillRegistry } from './registry.js';
+import weather from './weather.js';
+import news from './news.js';
+import gita from './gita.js';
+import documents from './documents.js';
+import schedule from './schedule.js';
+import general from './general.js';
+
+export { createSkillRegistry, validateArgs } from './registry.js';
+
+// New skills (currency conversion, calculator, ...) only need to be added here.
+export function createDefaultRegistry() {
+  return createSkillRegistry({ fallback: general.name })
+    .register(weather)
+    .register(news)
+    .register(gita)
+    .register(documents)
+    .register(schedule)
+    .register(general);
+}
@@ -0,0 +1,191 @@
+import { completeChat } from '../llm.js';
+import { appError, ERROR_CODES } from '../errors.js';
+import { t, replyInstruction } from '../i18n.js';
+
+const PAGE_SIZE = 5;
+export const CATEGORIES = ['general', 'business', 'entertainment', 'health', 'science', 'sports', 'technology'];
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Fallback when the classifier didn't extract a country or category.
+function guessRegionAndCategory(message) {
+  const lowerMsg = message.toLowerCase();
+
+  // Regional Detection
+  const country = /india|indian|delhi|mumbai|bangalore/i.test(lowerMsg) ? 'in' : 'us';
+
+  // Categorization
+  let category = 'general';
+  if (/business|finance|stock|market/i.test(lowerMsg)) category = 'business';
+  else if (/health|medical|doctor|virus/i.test(lowerMsg)) category = 'health';
+  else if (/tech|software|gadget|ai|coding/i.test(lowerMsg)) category = 'technology';
+  else if (/education|school|university|exam/i.test(lowerMsg)) category = 'science';
+
+  return { country, category };
+}
+
+// Topic, source or date-range questions go to `everything`; plain headline requests to `top-headlines`.
+function buildRequest({ query, country, category, sources, from, to }, message) {
+  if (query || from || to) {
+    return {
+      endpoint: 'everything',
+      params: {
+        q: query || category || guessRegionAndCategory(message).category,
+        sources,
+        from: ISO_DATE.test(from || '') ? from : undefined,
+        to: ISO_DATE.test(to || '') ? to : undefined,
+        sortBy: 'publishedAt',
+        language: 'en'
+      }
+    };
+  }
+  if (sources) return { endpoint: 'top-headlines', params: { sources } };
+
+  const guess = guessRegionAndCategory(message);
+  return {
+    endpoint: 'top-headlines',
+    params: {
+      country: /^[a-z]{2}$/i.test(country || '') ? country.toLowerCase() : guess.country,
+      category: CATEGORIES.includes(category) ? category : guess.category
+    }
+  };
+}
+
+function describeRequest({ endpoint, params }, language) {
+  if (endpoint === 'everything') {
+    const range = params.from || params.to ? ` (${params.from || '…'} → ${params.to || 'today'})` : '';
+    return `${t(language, 'news.about', { query: params.q })}${params.sources ? t(language, 'news.fromSources', { sources: params.sources }) : ''}${range}`;
+  }
+  if (params.sources) return t(language, 'news.topFrom', { sources: params.sources });
+  return t(language, 'news.top', { category: params.category.toUpperCase(), country: params.country.toUpperCase() });
+}
+
+const formatHeading = (request, language) => `**📰 ${describeRequest(request, language)}:**`;
+const formatArticle = (a, number, language) => `**${number}. ${a.title}**\n   📰 _${a.source}_ • [${t(language, 'news.readFull')}](${a.url})`;
+
+// The listed articles as a structured card for the frontend; `offset` is how many came before.
+function newsCard(request, page, articles, offset, language) {
+  return {
+    type: 'news',
+    title: describeRequest(request, language),
+    page,
+    articles: articles.map((a, i) => ({
+      number: offset + i + 1,
+      title: a.title,
+      source: a.source,
+      url: a.url,
+      image: a.image || undefined,
+      description: a.description || undefined,
+      publishedAt: a.publishedAt
+    }))
+  };
+}
+
+async function fetchPage(request, page, { http, config, signal }) {
+  let data;
+  try {
+    ({ data } = await http.get(`${config.newsBaseUrl}/${request.endpoint}`, {
+      params: { ...request.params, page, pageSize: PAGE_SIZE },
+      headers: { 'X-Api-Key': config.newsApiKey },
+      service: 'news',
+      signal
+    }));
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    throw appError(ERROR_CODES.newsUnavailable, 'News service is currently unreachable.', { status: 502, retryable: true, cause: error });
+  }
+  return (data.articles || []).map(a => ({
+    title: a.title,
+    source: a.source?.name,
+    url: a.url,
+    image: a.urlToImage,
+    description: a.description,
+    content: a.content,
+    publishedAt: a.publishedAt
+  }));
+}
+
+async function summarizeArticle(article, number, { llm, signal, language }) {
+  const summary = await completeChat(llm, 'utility', {
+    messages: [
+      { role: "system", content: `Summarize this news article in 3 short bullet points using only the text given. If the text is too short, say what is known.${replyInstruction(language)}` },
+      { role: "user", content: `Title: ${article.title}\nSource: ${article.source}\nPublished: ${article.publishedAt}\nDescription: ${article.description || ''}\nContent: ${article.content || ''}` }
+    ],
+    max_tokens: 300
+  }, { signal });
+  return `**📝 ${t(language, 'news.summaryOf', { number, title: article.title })}**\n\n${summary}\n\n[${t(language, 'news.readFull')}](${article.url})`;
+}
+
+// `query.action` is one of headlines | search | more | summarize. Results are cached in
+// `ctx.state.news` so "more" and "summarize #3" can work from earlier pages.
+// Throws coded errors (errors.js) for a missing key or an unreachable NewsAPI. Article lists
+// are also attached as a structured card via ctx.attachCard. Canned text follows ctx.language;
+// headlines stay in the language NewsAPI returns them in.
+export async function handleNews(query, ctx) {
+  const { config, state = {}, language } = ctx;
+  if (!config.newsApiKey) throw appError(ERROR_CODES.missingApiKey, 'News API Key is missing!', { status: 503, service: 'News' });
+
+  const cached = state.news;
+
+  if (query.action === 'summarize') {
+    const number = query.articleNumber;
+    const article = cached?.articles[number - 1];
+    if (!article) return t(language, 'news.noArticle', { number: number ?? '?' });
+    return await summarizeArticle(article, number, ctx);
+  }
+
+  if (query.action === 'more' && cached) {
+    const page = cached.page + 1;
+    const articles = await fetchPage(cached.request, page, ctx);
+    if (!articles.length) return t(language, 'news.noMore');
+
+    const offset = cached.articles.length;
+    state.news = { ...cached, page, articles: [...cached.articles, ...articles] };
+    const list = articles.map((a, i) => formatArticle(a, offset + i + 1, language)).join('\n\n');
+    ctx.attachCard?.(newsCard(cached.request, page, articles, offset, language));
+    return `${formatHeading(cached.request, language)} _(${t(language, 'news.page', { page })})_\n\n${list}\n\n${t(language, 'news.hint')}`;
+  }
+
+  const request = buildRequest(query, ctx.message);
+  const articles = await fetchPage(request, 1, ctx);
+  if (!articles.length) {
+    return request.endpoint === 'everything'
+      ? t(language, 'news.noneAbout', { query: request.params.q })
+      : t(language, 'news.noneRecent', {
+        category: request.params.category || '',
+        where: request.params.country ? t(language, 'news.forCountry', { country: request.params.country.toUpperCase() }) : ''
+      });
+  }
+
+  state.news = { request, page: 1, articles };
+  const list = articles.map((a, i) => formatArticle(a, i + 1, language)).join('\n\n');
+  ctx.attachCard?.(newsCard(request, 1, articles, 0, language));
+  return `${formatHeading(request, language)}\n\n${list}\n\n${t(language, 'news.hint')}`;
+}
+
+export default {
+  name: 'news',
+  description: 'Latest news or headlines on any topic, region, source or date range, plus follow-ups like "more" or "summarize #3" on articles already shown.',
+  parameters: {
+    type: 'object',
+    properties: {
+      action: { type: 'string', enum: ['headlines', 'search', 'more', 'summarize'], default: 'headlines', description: 'search for a specific topic, more for the next page, summarize for one shown article' },
+      query: { type: 'string', description: 'Specific topic or keywords, e.g. "Chandrayaan" or "RBI repo rate"' },
+      country: { type: 'string', description: 'ISO 3166 two-letter country code, e.g. in, us, gb' },
+      category: { type: 'string', enum: CATEGORIES, description: 'Broad headline category' },
+      sources: { type: 'string', description: 'Comma-separated NewsAPI source ids, e.g. bbc-news' },
+      from: { type: 'string', description: 'Oldest publish date (YYYY-MM-DD)' },
+      to: { type: 'string', description: 'Newest publish date (YYYY-MM-DD)' },
+      article_number: { type: 'integer', description: 'Which shown article to summarize (1-based)' }
+    }
+  },
+  handler: (args, ctx) => handleNews({
+    action: args.action,
+    query: args.query,
+    country: args.country,
+    category: args.category,
+    sources: args.sources,
+    from: args.from,
+    to: args.to,
+    articleNumber: args.article_number ?? (Number(ctx.message.match(/#\s*(\d+)/)?.[1]) || undefined)
+  }, ctx)
+};
@@ -0,0 +1,123 @@
+import { logger } from '../logger.js';
+
+// --- SKILL REGISTRY ---
+// A skill is { name, description, parameters, handler(args, ctx) -> reply, detect? }.
+// `parameters` is a small JSON-Schema subset: an object schema whose properties
+// declare `type`, optional `enum`, `default` and `description`. `detect(message)` lets a
+// skill claim a message outright (returning its args, else null), overriding the classifier.
+
+const typeChecks = {
+  string: (v) => typeof v === 'string',
+  number: (v) => typeof v === 'number' && Number.isFinite(v),
+  integer: (v) => Number.isInteger(v),
+  boolean: (v) => typeof v === 'boolean',
+  array: (v) => Array.isArray(v),
+  object: (v) => v !== null && typeof v === 'object' && !Array.isArray(v)
+};
+
+// Models often send numbers and booleans as strings ("17", "true") or an enum value in
+// another case; those are converted before checking. Returns the value, or undefined.
+function coerce(prop, v) {
+  if (typeof v !== 'string') return v;
+  const text = v.trim();
+  if ((prop.type === 'number' || prop.type === 'integer') && /^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+  if (prop.type === 'boolean' && /^(true|false)$/i.test(text)) return text.toLowerCase() === 'true';
+  if (prop.enum) return prop.enum.find(option => typeof option === 'string' && option.toLowerCase() === text.toLowerCase()) ?? v;
+  return v;
+}
+
+function checkValue(key, prop, v) {
+  if (prop.type && !typeChecks[prop.type]?.(v)) return `"${key}" must be of type ${prop.type}`;
+  if (prop.enum && !prop.enum.includes(v)) return `"${key}" must be one of: ${prop.enum.join(', ')}`;
+  return null;
+}
+
+// Returns { valid, errors, ignored, value } where `value` holds only declared properties (with
+// defaults applied). Only a missing or invalid required argument makes the args invalid; an
+// invalid optional one is left out (or set to its default) and listed in `ignored`.
+export function validateArgs(schema = {}, args = {}) {
+  const errors = [];
+  const ignored = [];
+  const value = {};
+  const properties = schema.properties || {};
+  const input = typeChecks.object(args) ? args : {};
+
+  for (const [key, prop] of Object.entries(properties)) {
+    let v = input[key];
+    // LLMs like to emit "" or null for "not mentioned"; treat those as missing.
+    if (v === undefined || v === null || v === '') v = prop.default;
+    if (v === undefined) {
+      if (schema.required?.includes(key)) errors.push(`"${key}" is required`);
+      continue;
+    }
+    v = coerce(prop, v);
+    const error = checkValue(key, prop, v);
+    if (!error) {
+      value[key] = v;
+    } else if (schema.required?.includes(key)) {
+      errors.push(error);
+    } else {
+      ignored.push(error);
+      if (prop.default !== undefined) value[key] = prop.default;
+    }
+  }
+  return { valid: errors.length === 0, errors, ignored, value };
+}
+
+function describeParameters(schema = {}) {
+  const entries = Object.entries(schema.properties || {});
+  if (!entries.length) return 'none';
+  return entries.map(([key, prop]) => {
+    const required = schema.required?.includes(key) ? 'required' : 'optional';
+    const allowed = prop.enum ? ` one of ${prop.enum.join('|')}` : '';
+    return `"${key}" (${prop.type}, ${required}${allowed}) ${prop.description || ''}`.trim();
+  }).join('; ');
+}
+
+export function createSkillRegistry({ fallback = 'general' } = {}) {
+  const skills = new Map();
+
+  return {
+    fallback,
+    register(skill) {
+      if (!skill?.name || typeof skill.handler !== 'function') {
+        throw new Error('A skill needs a name and a handler');
+      }
+      if (skills.has(skill.name)) throw new Error(`Skill "${skill.name}" is already registered`);
+      skills.set(skill.name, skill);
+      return this;
+    },
+    get: (name) => skills.get(name),
+    list: () => [...skills.values()],
+
+    // Skill catalogue for the analysis prompt (see analysis.js).
+    describe() {
+      return [...skills.values()]
+        .map(s => `- ${s.name}: ${s.description}\n  Arguments: ${describeParameters(s.parameters)}`)
+        .join('\n');
+    },
+
+    // { skill, args } from the first skill whose detect() claims `message`, else null.
+    detect(message) {
+      for (const skill of skills.values()) {
+        const args = skill.detect?.(message);
+        if (args) return { skill: skill.name, args };
+      }
+      return null;
+    },
+
+    // Resolves the analysis' skill choice to a registered skill with validated args. Invalid
+    // optional arguments are dropped; it falls back only when the skill is unknown or a
+    // required argument is missing or invalid.
+    resolve(choice = {}) {
+      const skill = skills.get(choice.skill);
+      if (skill) {
+        const { valid, errors, ignored, value } = validateArgs(skill.parameters, choice.args);
+        if (ignored.length) logger.warn('Skill ignored arguments', { skill: skill.name, errors: ignored });
+        if (valid) return { skill, args: value };
+        logger.warn('Skill rejected arguments', { skill: skill.name, errors });
+      }
+      return { skill: skills.get(fallback), args: {} };
+    }
+  };
+}
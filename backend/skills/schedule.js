@@ -0,0 +1,102 @@
+import { handleWeather } from './weather.js';
+import { handleNews, CATEGORIES } from './news.js';
+import { parseTime, SCHEDULE_TYPES, RAIN_DAYS } from '../schedules.js';
+import { isAppError, localizeError, warningReply } from '../errors.js';
+import { t } from '../i18n.js';
+
+// "Delhi weather and IN business headlines", for confirmations and the schedule list.
+export function describeSchedule(schedule, language) {
+  if (schedule.type === 'rain') {
+    return t(language, 'schedule.rainWatch', { place: schedule.location, threshold: schedule.threshold, when: t(language, `schedule.${schedule.day}`) });
+  }
+  const { country, category, query } = schedule.news || {};
+  const topic = query || [country?.toUpperCase(), category].filter(Boolean).join(' ');
+  return [
+    schedule.location && t(language, 'schedule.weatherOf', { place: schedule.location }),
+    schedule.news && t(language, topic ? 'schedule.headlinesAbout' : 'schedule.headlines', { topic })
+  ].filter(Boolean).join(t(language, 'schedule.and'));
+}
+
+// What a run of `schedule` delivers, or null when a rain alert's threshold isn't reached.
+// Reuses handleWeather (without the LLM recommendations) and handleNews with a skill-like
+// ctx for the schedule's session; a briefing part that fails with a coded error becomes a
+// warning inside the briefing, so the rest still arrives.
+export async function composeBriefing(schedule, ctx) {
+  const { language } = ctx;
+  const weather = (query, extra = {}) => handleWeather({ location: schedule.location, recommendations: false, ...query }, { ...ctx, ...extra });
+
+  if (schedule.type === 'rain') {
+    let card;
+    const forecast = await weather({ granularity: 'daily' }, { attachCard: (attached) => { card = attached; } });
+    const day = card?.days[RAIN_DAYS.indexOf(schedule.day)];
+    if (!day || day.chanceOfRain < schedule.threshold) return null;
+    const alert = t(language, 'schedule.rainAlert', { place: card.location.name, chance: day.chanceOfRain, when: t(language, `schedule.${schedule.day}`) });
+    return `${alert}\n\n${forecast}`;
+  }
+
+  const parts = await Promise.all([
+    schedule.location && weather({ granularity: 'current' }),
+    schedule.news && handleNews({ action: schedule.news.query ? 'search' : 'headlines', ...schedule.news }, ctx)
+  ].filter(Boolean).map(part => part.catch((error) => {
+    if (!isAppError(error)) throw error;
+    return warningReply(localizeError(error, language), language);
+  })));
+  return [t(language, 'schedule.briefingTitle', { time: schedule.time }), ...parts].join('\n\n');
+}
+
+// Creates daily briefings and rain alerts from chat (ctx.schedules: the session's view of
+// the schedule store, see schedules.js) in the client's time zone (ctx.timeZone), or lists them.
+// Pausing and deleting go through the /sessions/:id/schedules endpoints.
+export async function handleSchedule(args, ctx) {
+  const { schedules, timeZone, language, state } = ctx;
+  const numbered = (schedule, i) => `${i + 1}. **${schedule.time}** — ${describeSchedule(schedule, language)}${schedule.paused ? ` _(${t(language, 'schedule.paused')})_` : ''}`;
+
+  if (args.action === 'list') {
+    const list = await schedules.list();
+    if (!list.length) return t(language, 'schedule.none');
+    return `${t(language, 'schedule.list', { timeZone: list[0].timeZone })}\n\n${list.map(numbered).join('\n')}`;
+  }
+
+  const time = parseTime(args.time);
+  if (!time) return t(language, 'schedule.needTime');
+  const wantsNews = Boolean(args.headlines || args.country || args.category || args.query);
+  const location = args.location || (args.type === 'rain' ? state?.weather?.location : undefined);
+  if (!location && !wantsNews) return t(language, 'schedule.needContent');
+
+  const schedule = await schedules.add({
+    type: args.type,
+    time,
+    timeZone,
+    language,
+    location,
+    threshold: args.threshold,
+    day: args.day,
+    news: wantsNews ? { country: args.country, category: args.category, query: args.query } : undefined
+  });
+  return t(language, schedule.type === 'rain' ? 'schedule.rainCreated' : 'schedule.created', {
+    time: schedule.time,
+    timeZone: schedule.timeZone,
+    what: describeSchedule(schedule, language)
+  });
+}
+
+export default {
+  name: 'schedule',
+  description: 'Requests for something to be sent regularly, e.g. "send me Delhi weather and India business headlines every morning at 8" or "alert me at 7 if it will rain in Pune", and "what are my schedules?".',
+  parameters: {
+    type: 'object',
+    properties: {
+      action: { type: 'string', enum: ['create', 'list'], default: 'create', description: 'list to show the existing schedules' },
+      type: { type: 'string', enum: SCHEDULE_TYPES, default: 'briefing', description: 'rain for an alert that is only sent when rain is likely' },
+      time: { type: 'string', description: 'Time of day in 24-hour HH:MM, e.g. 08:00 for "every morning at 8"' },
+      location: { type: 'string', description: 'Place for the weather part or the rain alert' },
+      headlines: { type: 'boolean', description: 'true when the user wants news in the briefing' },
+      country: { type: 'string', description: 'News: ISO 3166 two-letter country code, e.g. in' },
+      category: { type: 'string', enum: CATEGORIES, description: 'News: headline category' },
+      query: { type: 'string', description: 'News: a specific topic to search for' },
+      threshold: { type: 'integer', description: 'Rain alerts: chance of rain in percent that triggers the alert (default 60)' },
+      day: { type: 'string', enum: RAIN_DAYS, description: 'Rain alerts: whether the forecast for today or tomorrow is checked' }
+    }
+  },
+  handler: handleSchedule
+};
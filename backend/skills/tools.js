@@ -0,0 +1,128 @@
+import { completeTurn } from '../llm.js';
+import { evaluate } from '../calculator.js';
+import { appError, isAppError, describeError, ERROR_CODES } from '../errors.js';
+import { validateArgs } from './registry.js';
+import weather, { handleWeather } from './weather.js';
+import news, { handleNews } from './news.js';
+
+// --- TOOLS ---
+// Functions the general chat path offers the model (OpenAI-style function calling), so one
+// message can combine e.g. a forecast and headlines. A tool is { name, description,
+// parameters, run(args, ctx) -> text for the model }; `parameters` is the registry's
+// JSON-Schema subset and is validated the same way.
+
+const MAX_ROUNDS = 3;
+// Tool output kept for the model and for the step shown to the client.
+const MAX_OUTPUT = 4000;
+
+export const TOOLS = [
+  {
+    name: 'weather',
+    description: 'Current weather or forecast for a place: rain, temperature, wind, air quality and alerts.',
+    parameters: { ...weather.parameters, required: ['location'] },
+    run: (args, ctx) => handleWeather({
+      location: args.location,
+      startDate: args.start_date,
+      endDate: args.end_date,
+      granularity: args.granularity,
+      startHour: args.start_hour,
+      endHour: args.end_hour,
+      recommendations: false
+    }, ctx)
+  },
+  {
+    name: 'news',
+    description: 'Latest headlines, or articles about a topic, region or source.',
+    parameters: {
+      type: 'object',
+      properties: Object.fromEntries(Object.entries(news.parameters.properties).filter(([key]) => !['action', 'article_number'].includes(key)))
+    },
+    run: (args, ctx) => handleNews({ ...args, action: args.query ? 'search' : 'headlines' }, ctx)
+  },
+  {
+    name: 'calculator',
+    description: 'Exact arithmetic. Supports + - * / % ^, parentheses, pi, e and sqrt, abs, round, floor, ceil, exp, ln, log, sin, cos, tan, min, max, pow.',
+    parameters: {
+      type: 'object',
+      properties: { expression: { type: 'string', description: 'The expression to evaluate, e.g. "(1200 * 18 / 100) + 45"' } },
+      required: ['expression']
+    },
+    run: ({ expression }) => `${expression} = ${evaluate(expression)}`
+  }
+];
+
+const toolsByName = new Map(TOOLS.map(tool => [tool.name, tool]));
+
+const definitions = TOOLS.map(({ name, description, parameters }) => ({ type: 'function', function: { name, description, parameters } }));
+
+// Runs one call and describes it as a step: { id, name, arguments, output?, error?, latencyMs },
+// plus the `result` text sent back to the model. Coded failures (a missing key, an unknown
+// city, a bad expression) become that result so the model can say so; anything else fails
+// the message.
+async function runTool(call, ctx) {
+  const startedAt = performance.now();
+  const step = { id: call.id, name: call.function.name, arguments: {} };
+  let result;
+  try {
+    const tool = toolsByName.get(step.name);
+    if (!tool) throw appError(ERROR_CODES.invalidRequest, `There is no tool called "${step.name}"`, { status: 400 });
+    let args;
+    try {
+      args = JSON.parse(call.function.arguments || '{}');
+    } catch {
+      throw appError(ERROR_CODES.invalidRequest, 'The tool arguments are not valid JSON', { status: 400 });
+    }
+    const { valid, errors, value } = validateArgs(tool.parameters, args);
+    step.arguments = value;
+    if (!valid) throw appError(ERROR_CODES.invalidRequest, `Invalid tool arguments: ${errors.join('; ')}`, { status: 400 });
+    step.output = String(await tool.run(value, ctx)).slice(0, MAX_OUTPUT);
+  } catch (error) {
+    if (!isAppError(error) || ctx.signal?.aborted) throw error;
+    step.error = describeError(error, ctx.language);
+    result = `Error (${error.code}): ${error.message}`;
+  }
+  step.latencyMs = Math.round(performance.now() - startedAt);
+  return { step, result: result ?? step.output };
+}
+
+// A chat completion that may call TOOLS: every call the model asks for in a round runs in
+// parallel, the results go back as `tool` messages, and it continues until the model answers
+// (tool use is switched off for the last of MAX_ROUNDS). Text streams through ctx.onDelta as
+// it arrives and each step is passed to ctx.reportToolCall as it finishes. Resolves with the answer.
+export async function completeWithTools(role, params, ctx) {
+  const { llm, signal, onDelta } = ctx;
+  // Tools see the skill context without the streaming and card hooks: their output is
+  // material for the answer, not the answer itself.
+  const toolCtx = { ...ctx, onDelta: undefined, attachCard: undefined };
+  const messages = [...params.messages];
+  let reply = '';
+
+  for (let round = 1; ; round++) {
+    // Text from an earlier round (e.g. "Let me check.") is kept, separated from what follows.
+    const separator = reply ? '\n\n' : '';
+    let started = false;
+    const { content, toolCalls } = await completeTurn(llm, role, {
+      ...params,
+      messages,
+      tools: definitions,
+      tool_choice: round < MAX_ROUNDS ? 'auto' : 'none'
+    }, {
+      signal,
+      onDelta: onDelta && ((delta) => {
+        if (!started && separator) onDelta(separator);
+        started = true;
+        onDelta(delta);
+      })
+    });
+    if (content) reply += separator + content;
+    if (!toolCalls.length || round === MAX_ROUNDS) return reply;
+
+    const results = await Promise.all(toolCalls.map(async (call) => {
+      const ran = await runTool(call, toolCtx);
+      ctx.reportToolCall?.(ran.step);
+      return ran;
+    }));
+    messages.push({ role: 'assistant', content: content || null, tool_calls: toolCalls });
+    for (const { step, result } of results) messages.push({ role: 'tool', tool_call_id: step.id, content: result });
+  }
+}
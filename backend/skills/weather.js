@@ -0,0 +1,246 @@
+import { completeChat } from '../llm.js';
+import { appError, ERROR_CODES } from '../errors.js';
+import { t, localeFor, replyInstruction } from '../i18n.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DAILY_SPAN = 3;
+const MAX_HOURLY_DAYS = 2;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+// Languages WeatherAPI can write condition texts in (its `lang` parameter).
+const WEATHER_API_LANGUAGES = ['ar', 'bn', 'de', 'es', 'fr', 'hi', 'it', 'ja', 'ko', 'mr', 'pa', 'pt', 'ru', 'ta', 'te', 'tr', 'ur', 'zh'];
+
+const toLocalDate = (localtime) => new Date(localtime.replace(' ', 'T'));
+const formatDay = (date, locale) => toLocalDate(`${date} 00:00`).toLocaleDateString(locale, { weekday: 'short', month: 'short', day: 'numeric' });
+const formatHour = (time, locale) => toLocalDate(time).toLocaleTimeString(locale, { hour: 'numeric', hour12: true });
+
+function describeRain(day, language) {
+  // daily_will_it_rain: 1 for yes, 0 for no; totalprecip_mm: total precipitation in mm
+  if (day.daily_will_it_rain === 1 || day.totalprecip_mm > 0) {
+    return t(language, 'weather.rain', { mm: day.totalprecip_mm, chance: day.daily_chance_of_rain });
+  }
+  return t(language, 'weather.clear');
+}
+
+function formatAirQuality(airQuality, language) {
+  const index = airQuality?.['us-epa-index'];
+  if (!index) return '';
+  return `🫁 **${t(language, 'weather.airQuality')}:** ${t(language, `aqi.${index}`)} (US EPA ${index}) • PM2.5 ${Math.round(airQuality.pm2_5)} µg/m³\n`;
+}
+
+// WeatherAPI repeats an alert once per affected area; keep the first three distinct ones.
+function distinctAlerts(alerts = []) {
+  return [...new Map(alerts.map(a => [a.headline || a.event, a])).values()]
+    .slice(0, 3)
+    .map(a => ({ headline: a.headline || a.event, severity: a.severity || undefined, expires: a.expires || undefined }));
+}
+
+function formatAlerts(alerts, language) {
+  return alerts
+    .map(a => `🚨 **${t(language, 'weather.alert')}:** ${a.headline}${a.severity ? ` (${a.severity})` : ''}${a.expires ? ` — ${t(language, 'weather.until', { time: a.expires })}` : ''}`)
+    .join('\n');
+}
+
+// Same data as the Markdown reply, for the frontend's weather card. `hours` maps a date to
+// the hours shown for it (hourly questions only).
+function weatherCard({ loc, current, days, hours, granularity, alerts, language }) {
+  const aqi = current.air_quality?.['us-epa-index'];
+  return {
+    type: 'weather',
+    granularity,
+    location: { name: loc.name, region: loc.region, country: loc.country, localtime: loc.localtime },
+    current: granularity === 'current' ? {
+      condition: current.condition.text,
+      icon: current.condition.icon,
+      tempC: current.temp_c,
+      feelsLikeC: current.feelslike_c,
+      humidity: current.humidity,
+      windKph: current.wind_kph,
+      windDir: current.wind_dir
+    } : undefined,
+    days: days.map(({ date, day, astro }) => ({
+      date,
+      condition: day.condition.text,
+      icon: day.condition.icon,
+      minC: day.mintemp_c,
+      maxC: day.maxtemp_c,
+      chanceOfRain: day.daily_chance_of_rain,
+      precipMm: day.totalprecip_mm,
+      sunrise: astro.sunrise,
+      sunset: astro.sunset,
+      hours: hours?.get(date)?.map(h => ({ time: h.time, tempC: h.temp_c, condition: h.condition.text, icon: h.condition.icon, chanceOfRain: h.chance_of_rain }))
+    })),
+    airQuality: aqi ? { index: aqi, label: t(language, `aqi.${aqi}`), pm25: Math.round(current.air_quality.pm2_5) } : undefined,
+    alerts
+  };
+}
+
+// How many forecast days to request so `endDate` is covered; the extra day
+// absorbs the gap between the server's date and the location's local date.
+function forecastDaysFor(endDate, granularity, maxDays) {
+  let days = granularity === 'daily' ? DEFAULT_DAILY_SPAN : 1;
+  if (endDate) days = Math.round((Date.parse(endDate) - Date.parse(new Date().toISOString().slice(0, 10))) / DAY_MS) + 2;
+  return Math.min(Math.max(days, 1), maxDays);
+}
+
+// WeatherAPI answers 400 with error code 1006 when it can't match the location.
+async function fetchForecast(params, { http, config, signal }) {
+  try {
+    const { data } = await http.get(`${config.weatherBaseUrl}/forecast.json`, {
+      params: { key: config.weatherApiKey, aqi: 'yes', alerts: 'yes', ...params },
+      service: 'weather',
+      signal
+    });
+    return data;
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    if (error.response?.data?.error?.code === 1006) {
+      throw appError(ERROR_CODES.locationNotFound, `Could not find weather for "${params.q}". Check spelling.`, { status: 404, location: params.q });
+    }
+    throw appError(ERROR_CODES.weatherUnavailable, 'Weather service is currently unreachable.', { status: 502, retryable: true, cause: error });
+  }
+}
+
+// Throws coded errors (errors.js) for a missing key, unknown location or outage. Only the
+// recommendations depend on the LLM; if that step fails the forecast is returned without them.
+// The forecast is also attached as a structured card via ctx.attachCard. Labels, dates and the
+// recommendations follow ctx.language; `query.recommendations: false` skips them.
+export async function handleWeather(query, ctx) {
+  const { llm, config, state, signal, language } = ctx;
+  const locale = localeFor(language);
+  const { location, granularity = 'current', startHour, endHour, recommendations = true } = query;
+  const startDate = ISO_DATE.test(query.startDate || '') ? query.startDate : undefined;
+  const endDate = ISO_DATE.test(query.endDate || '') ? query.endDate : startDate;
+
+  if (!config.weatherApiKey) throw appError(ERROR_CODES.missingApiKey, 'Weather API Key is missing!', { status: 503, service: 'Weather' });
+  const data = await fetchForecast({
+    q: location,
+    days: forecastDaysFor(endDate, granularity, config.weatherMaxDays),
+    lang: WEATHER_API_LANGUAGES.includes(language) ? language : undefined
+  }, ctx);
+
+  const loc = data.location;
+  const current = data.current;
+  const forecastDays = data.forecast.forecastday;
+  const localToday = loc.localtime.slice(0, 10);
+
+  // Remember where the user asked about, so "and tomorrow?" works without the city.
+  if (state) state.weather = { location: `${loc.name}, ${loc.region || loc.country}` };
+
+  const from = startDate || localToday;
+  const to = endDate || (granularity === 'daily' ? forecastDays[forecastDays.length - 1].date : from);
+  const selectedDays = forecastDays.filter(d => d.date >= from && d.date <= to);
+
+  const localDate = toLocalDate(loc.localtime);
+  const timeStr = localDate.toLocaleTimeString(locale, { hour: 'numeric', minute: '2-digit', hour12: true });
+
+  let response = `${t(language, 'weather.heading', { place: `${loc.name}, ${loc.region}` })}\n`;
+  response += `📅 ${localDate.toLocaleDateString(locale, { year: 'numeric', month: 'long', day: 'numeric' })}\n🕐 ${t(language, 'weather.localTime')}: ${timeStr}\n\n`;
+
+  if (!selectedDays.length) {
+    const lastDate = forecastDays[forecastDays.length - 1].date;
+    return `${response}${t(language, 'weather.onlyUntil', { date: formatDay(lastDate, locale) })}`;
+  }
+
+  const firstDay = selectedDays[0];
+  const showCurrent = granularity === 'current' && firstDay.date === localToday;
+  const hours = new Map();
+
+  if (showCurrent) {
+    response += `**${t(language, 'weather.status')}:** ${describeRain(firstDay.day, language)}\n`;
+    response += `**${t(language, 'weather.condition')}:** ${current.condition.text}\n`;
+    response += `🌡️ **${t(language, 'weather.temp')}:** ${current.temp_c}°C (${t(language, 'weather.feelsLike')}: ${current.feelslike_c}°C)\n`;
+    response += `💧 **${t(language, 'weather.humidity')}:** ${current.humidity}% | 💨 **${t(language, 'weather.wind')}:** ${current.wind_kph} km/h ${current.wind_dir}\n`;
+    response += `🌅 **${t(language, 'weather.sunrise')}:** ${firstDay.astro.sunrise} | 🌇 **${t(language, 'weather.sunset')}:** ${firstDay.astro.sunset}`;
+  } else if (granularity === 'hourly') {
+    const currentHour = localDate.getHours();
+    response += selectedDays.slice(0, MAX_HOURLY_DAYS).map(({ date, hour }) => {
+      const shown = hour.filter((h) => {
+        const hourOfDay = toLocalDate(h.time).getHours();
+        if (date === localToday && hourOfDay < currentHour) return false;
+        if (startHour !== undefined && hourOfDay < startHour) return false;
+        if (endHour !== undefined && hourOfDay > endHour) return false;
+        return true;
+      });
+      hours.set(date, shown);
+      const lines = shown.map(h => `- ${formatHour(h.time, locale)}: ${h.temp_c}°C, ${h.condition.text}, 🌧️ ${h.chance_of_rain}%`);
+      return `**🕐 ${t(language, 'weather.hourly')} — ${formatDay(date, locale)}**\n${lines.join('\n') || t(language, 'weather.noHours')}`;
+    }).join('\n\n');
+  } else {
+    response += `**📆 ${t(language, 'weather.forecast')}:**\n`;
+    response += selectedDays.map(({ date, day, astro }) => (
+      `**${formatDay(date, locale)}:** ${day.condition.text}, ${day.mintemp_c}–${day.maxtemp_c}°C\n` +
+      `   ${describeRain(day, language)} • 🌅 ${astro.sunrise} | 🌇 ${astro.sunset}`
+    )).join('\n');
+  }
+
+  const airQuality = formatAirQuality(current.air_quality, language);
+  if (airQuality) response += `\n\n${airQuality.trimEnd()}`;
+  const alerts = distinctAlerts(data.alerts?.alert);
+  if (alerts.length) response += `\n\n${formatAlerts(alerts, language)}`;
+
+  const card = weatherCard({
+    loc,
+    current,
+    days: granularity === 'hourly' ? selectedDays.slice(0, MAX_HOURLY_DAYS) : selectedDays,
+    hours: granularity === 'hourly' ? hours : undefined,
+    granularity: showCurrent ? 'current' : granularity === 'hourly' ? 'hourly' : 'daily',
+    alerts,
+    language
+  });
+
+  if (!recommendations) {
+    ctx.attachCard?.(card);
+    return response;
+  }
+
+  // --- ENHANCED RECOMMENDATION LOGIC ---
+  const day = firstDay.day;
+  const activityPrompt = `
+    Weather Condition: ${showCurrent ? current.condition.text : day.condition.text}
+    Expectation: ${describeRain(day, language)}
+    Rain Amount: ${day.totalprecip_mm}mm
+    Temperature: ${showCurrent ? current.temp_c : day.avgtemp_c}°C
+
+    Instructions:
+    1. If Rain Amount is 0mm and Will_it_rain is 0: Suggest outdoor activities like visiting monuments, swimming, or fishing.
+    2. If Rain Amount > 0mm or Will_it_rain is 1: Suggest indoor activities like shopping malls, indoor museums, or cozy cafes.
+    Provide 3 brief, engaging points.${replyInstruction(language)}`;
+
+  try {
+    const activities = await completeChat(llm, 'utility', {
+      messages: [{ role: "user", content: activityPrompt }]
+    }, { signal });
+    response += `\n\n**🏃 ${t(language, 'weather.recommendations')}:**\n${activities}`;
+    card.recommendations = activities;
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    ctx.reportError?.(appError(ERROR_CODES.recommendationsUnavailable, 'Smart Recommendations were skipped because the language model is unavailable.', { retryable: true, cause: error }));
+  }
+
+  ctx.attachCard?.(card);
+  return response;
+}
+
+export default {
+  name: 'weather',
+  description: 'Current weather, rain, temperature, air quality or forecast questions for a place, including follow-ups like "and tomorrow?".',
+  parameters: {
+    type: 'object',
+    properties: {
+      location: { type: 'string', description: 'City or place the user asked about; omit if they did not name one' },
+      start_date: { type: 'string', description: 'First day asked about (YYYY-MM-DD); omit for right now' },
+      end_date: { type: 'string', description: 'Last day of a range (YYYY-MM-DD); omit for a single day' },
+      granularity: { type: 'string', enum: ['current', 'daily', 'hourly'], default: 'current', description: 'hourly for times of day ("this evening"), daily for days or ranges' },
+      start_hour: { type: 'integer', description: 'Earliest hour 0-23 for hourly questions ("this evening" = 17)' },
+      end_hour: { type: 'integer', description: 'Latest hour 0-23 for hourly questions' }
+    }
+  },
+  handler: (args, ctx) => handleWeather({
+    location: args.location || ctx.state?.weather?.location || ctx.message,
+    startDate: args.start_date,
+    endDate: args.end_date,
+    granularity: args.granularity,
+    startHour: args.start_hour,
+    endHour: args.end_hour
+  }, ctx)
+};
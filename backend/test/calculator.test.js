@@ -0,0 +1,28 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluate } from '../calculator.js';
+
+describe('calculator', () => {
+  it('follows the usual precedence', () => {
+    assert.equal(evaluate('2 + 3 * 4'), 14);
+    assert.equal(evaluate('(2 + 3) * 4'), 20);
+    assert.equal(evaluate('-2^2'), -4);
+    assert.equal(evaluate('2 ** 3 ^ 2'), 512);
+    assert.equal(evaluate('17 % 5 - 10 / 4'), -0.5);
+    assert.equal(evaluate('0.1 + 0.2'), 0.3);
+    assert.equal(evaluate('1.5e3 × 2 ÷ 4'), 750);
+  });
+
+  it('knows a few constants and functions', () => {
+    assert.equal(evaluate('sqrt(16) + abs(-3)'), 7);
+    assert.equal(evaluate('max(1, 7, 3) * min(2, 5)'), 14);
+    assert.equal(evaluate('round(pi * 100) / 100'), 3.14);
+    assert.equal(evaluate('log(1000) + ln(e)'), 4);
+  });
+
+  it('rejects anything that is not arithmetic', () => {
+    for (const expression of ['', '2 +', '(1 + 2', '2 3', 'process.exit()', 'constructor', '1 / 0', '2; 3', 'x'.repeat(201)]) {
+      assert.throws(() => evaluate(expression), { code: 'invalid_request' }, expression);
+    }
+  });
+});
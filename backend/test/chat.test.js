@@ -0,0 +1,1025 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createApp } from '../app.js';
+import { parseApiKeys } from '../auth.js';
+import { createAppMetrics } from '../metrics.js';
+import { createFeedbackStore } from '../feedback.js';
+import { createLLM, createProviderFromEnv } from '../providers/index.js';
+import { createTranscriberFromEnv } from '../providers/speech.js';
+import {
+  startFakeProviders,
+  FAKE_WEATHER_KEY,
+  FAKE_NEWS_KEY,
+  UNKNOWN_LOCATION,
+  FLAKY_LOCATION,
+  DOWN_LOCATION,
+  BROKEN_CLASSIFIER_MESSAGE,
+  FAKE_TRANSCRIPT,
+  pdfFixture
+} from './fakeProviders.js';
+
+// Keep per-request access logs out of the test output.
+process.env.LOG_LEVEL ??= 'warn';
+
+let fake;
+
+// `sttEnv` overrides the environment the speech-to-text engine is built from; `stores` replaces
+// createApp's stores (feedback, schedules, ...).
+async function startApp(config = {}, wrapLLM = (llm) => llm, sttEnv = {}, stores = {}) {
+  const metrics = createAppMetrics();
+  const env = { GROQ_API_KEY: 'test-key', GROQ_BASE_URL: fake.groqBaseUrl };
+  const llm = wrapLLM(createLLM([createProviderFromEnv('groq', env)], { onAttempt: metrics.observeUpstream }));
+  const app = createApp({
+    llm,
+    metrics,
+    transcriber: createTranscriberFromEnv({ ...env, ...sttEnv }, { onAttempt: metrics.observeUpstream }),
+    ...stores,
+    config: {
+      weatherApiKey: FAKE_WEATHER_KEY,
+      newsApiKey: FAKE_NEWS_KEY,
+      weatherBaseUrl: fake.weatherBaseUrl,
+      newsBaseUrl: fake.newsBaseUrl,
+      ...config
+    }
+  });
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    scheduler: app.locals.scheduler,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+async function chat(baseUrl, message, sessionId = 'test-session') {
+  const response = await fetch(`${baseUrl}/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ message, sessionId })
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// The Server-Sent Events of a finished /chat/stream response as [{ event, data }].
+async function readEvents(response) {
+  return (await response.text()).trim().split('\n\n').map((raw) => {
+    const [eventLine, dataLine] = raw.split('\n');
+    return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+  });
+}
+
+const isAnalysis = (request) => request.messages.at(-1).content.startsWith("Analyze the user's message");
+// The last non-analysis completion request the app sent to Groq.
+const lastChatRequest = () => fake.requests.groq.filter(r => !isAnalysis(r)).at(-1);
+
+before(async () => {
+  fake = await startFakeProviders();
+});
+
+after(async () => {
+  await fake.close();
+});
+
+beforeEach(() => fake.reset());
+
+describe('POST /chat', () => {
+  let server;
+  before(async () => { server = await startApp(); });
+  after(() => server.close());
+
+  it('rejects a request without a message', async () => {
+    for (const message of ['', '   ', 123, ['hi'], { text: 'hi' }]) {
+      const { status, body } = await chat(server.url, message);
+      assert.equal(status, 400);
+      assert.deepEqual([body.error, body.code], ['Message required', 'invalid_request']);
+    }
+  });
+
+  it('routes weather questions to WeatherAPI and adds recommendations', async () => {
+    const { status, body } = await chat(server.url, 'What is the weather in Pune?');
+    assert.equal(status, 200);
+    assert.equal(body.intent, 'weather');
+    assert.match(body.reply, /\*\*Weather for Pune, Maharashtra\*\*/);
+    assert.match(body.reply, /Smart Recommendations/);
+    assert.equal(fake.requests.weather[0].q, 'Pune');
+    assert.equal(fake.requests.weather[0].aqi, 'yes');
+  });
+
+  it('returns the forecast as a structured weather card', async () => {
+    const { body } = await chat(server.url, 'What is the weather in Pune?', 'weather-card');
+    assert.equal(body.card.type, 'weather');
+    assert.equal(body.card.granularity, 'current');
+    assert.equal(body.card.location.name, 'Pune');
+    assert.deepEqual(body.card.current, { condition: 'Partly cloudy', tempC: 29, feelsLikeC: 32, humidity: 60, windKph: 12, windDir: 'WSW' });
+    assert.deepEqual(body.card.days.map(d => [d.date, d.sunrise]), [['2026-10-19', '06:15 AM']]);
+    assert.deepEqual(body.card.airQuality, { index: 2, label: 'Moderate', pm25: 32 });
+    assert.match(body.card.recommendations, /Visit a museum/);
+  });
+
+  it('remembers the last weather location for follow-ups', async () => {
+    await chat(server.url, 'What is the weather in Nagpur?', 'weather-memory');
+    const { body } = await chat(server.url, 'and the rain?', 'weather-memory');
+    assert.equal(body.intent, 'weather');
+    assert.equal(fake.requests.weather[1].q, 'Nagpur, Maharashtra');
+  });
+
+  it('reports an unknown weather location', async () => {
+    const { body } = await chat(server.url, `What is the weather in ${UNKNOWN_LOCATION}?`);
+    assert.equal(body.intent, 'weather');
+    assert.match(body.reply, /Could not find weather for "Atlantis"/);
+    assert.deepEqual(body.errors, [{ code: 'location_not_found', message: 'Could not find weather for "Atlantis". Check spelling.', retryable: false }]);
+    assert.equal(fake.requests.weather.length, 1);
+  });
+
+  it('retries a flaky weather upstream', async () => {
+    const { body } = await chat(server.url, `What is the weather in ${FLAKY_LOCATION}?`);
+    assert.match(body.reply, /\*\*Weather for Cherrapunji/);
+    assert.equal(body.errors, undefined);
+    assert.equal(fake.requests.weather.length, 2);
+  });
+
+  it('reports an unreachable weather service with its own code', async () => {
+    const { status, body } = await chat(server.url, `What is the weather in ${DOWN_LOCATION}?`);
+    assert.equal(status, 200);
+    assert.match(body.reply, /Weather service is currently unreachable/);
+    assert.equal(body.errors[0].code, 'weather_unavailable');
+    assert.equal(body.errors[0].retryable, true);
+    assert.equal(fake.requests.weather.length, 3);
+  });
+
+  it('routes news questions to NewsAPI headlines', async () => {
+    const { status, body } = await chat(server.url, 'Show me india business news');
+    assert.equal(status, 200);
+    assert.equal(body.intent, 'news');
+    assert.match(body.reply, /Top BUSINESS Headlines \(IN\)/);
+    assert.match(body.reply, /\*\*1\. Headline 1\*\*/);
+    assert.equal(fake.requests.news[0].path, '/news/v2/top-headlines');
+    assert.equal(fake.requests.news[0].country, 'in');
+    assert.equal(body.card.type, 'news');
+    assert.equal(body.card.title, 'Top BUSINESS Headlines (IN)');
+    assert.deepEqual(body.card.articles[0], {
+      number: 1, title: 'Headline 1', source: 'Fake Times', url: 'https://news.example/1',
+      description: 'Something happened.', publishedAt: '2026-10-19T08:00:00Z'
+    });
+  });
+
+  it('passes the intended meaning of sarcastic messages to the model', async () => {
+    const { body } = await chat(server.url, 'Oh great, another Monday');
+    assert.equal(body.intent, 'general');
+    assert.match(lastChatRequest().messages.at(-1).content, /^\(User meant: The user is annoyed/);
+  });
+
+  it('makes one analysis call before the answer and reports stage latency', async () => {
+    const { body } = await chat(server.url, 'How far is the moon?', 'latency-session');
+    assert.equal(fake.requests.groq.length, 2);
+    assert.ok(isAnalysis(fake.requests.groq[0]));
+    assert.equal(body.analysisCached, false);
+    for (const stage of ['analysis', 'skill', 'save', 'total']) {
+      assert.equal(typeof body.latencyMs[stage], 'number');
+    }
+  });
+
+  it('reuses the analysis for an identical recent message', async () => {
+    await chat(server.url, 'How tall is Everest?', 'cache-a');
+    const { body } = await chat(server.url, 'How tall is Everest?', 'cache-b');
+    assert.equal(body.analysisCached, true);
+    assert.equal(fake.requests.groq.filter(isAnalysis).length, 1);
+  });
+
+  it('answers low-mood messages with a cited verse from the corpus', async () => {
+    const { body } = await chat(server.url, 'I am so anxious about my exam results', 'gita-session');
+    assert.equal(body.intent, 'gita');
+    assert.match(body.reply, /Bhagavad Gita Spiritual Support/);
+    assert.match(body.reply, /कर्मण्येवाधिकारस्ते/);
+    assert.match(body.reply, /— _Bhagavad Gita 2\.47_/);
+    assert.match(body.reply, /Take this one step at a time\./);
+  });
+
+  it('does not repeat the verse it just shared', async () => {
+    const { body } = await chat(server.url, 'I am so anxious about my exam results', 'gita-session');
+    assert.doesNotMatch(body.reply, /Bhagavad Gita 2\.47_/);
+    assert.match(body.reply, /— _Bhagavad Gita \d+\.\d+_/);
+  });
+
+  it('uses a concise answer by default', async () => {
+    const { body } = await chat(server.url, 'What is a black hole?');
+    assert.equal(body.reply, 'General answer (max_tokens=400)');
+    assert.match(lastChatRequest().messages[0].content, /max 200 words/);
+  });
+
+  it('switches to essay mode for detailed requests', async () => {
+    const { body } = await chat(server.url, 'Write a detailed essay on monsoons');
+    assert.equal(body.reply, 'General answer (max_tokens=2000)');
+    assert.equal(lastChatRequest().messages[0].content, 'Detailed Essay mode.');
+  });
+
+  it('sends earlier turns of the session as context', async () => {
+    await chat(server.url, 'What is a black hole?', 'history-session');
+    await chat(server.url, 'Who discovered it?', 'history-session');
+    const roles = lastChatRequest().messages.map(m => m.role);
+    assert.deepEqual(roles, ['system', 'user', 'assistant', 'user']);
+  });
+
+  it('returns 500 when the pipeline fails', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const { status, body } = await chat(server.url, BROKEN_CLASSIFIER_MESSAGE);
+    assert.equal(status, 500);
+    assert.match(body.error, /Critical processing failure/);
+    assert.equal(body.code, 'internal_error');
+    assert.match(body.requestId, /^[0-9a-f-]{36}$/);
+  });
+});
+
+describe('POST /chat without provider keys', () => {
+  let server;
+  before(async () => { server = await startApp({ weatherApiKey: '', newsApiKey: '' }); });
+  after(() => server.close());
+
+  it('warns when the weather key is missing', async () => {
+    const { body } = await chat(server.url, 'What is the weather in Pune?');
+    assert.match(body.reply, /Weather API Key is missing/);
+    assert.equal(body.errors[0].code, 'missing_api_key');
+    assert.equal(fake.requests.weather.length, 0);
+  });
+
+  it('warns when the news key is missing', async () => {
+    const { body } = await chat(server.url, 'latest news please');
+    assert.match(body.reply, /News API Key is missing/);
+    assert.equal(fake.requests.news.length, 0);
+  });
+});
+
+describe('API keys and token quotas', () => {
+  let server;
+  // Each fake completion reports 15 tokens: analysis + answer = 30 per message.
+  before(async () => { server = await startApp({ apiKeys: parseApiKeys('web:web-secret:50,ops:ops-secret') }); });
+  after(() => server.close());
+
+  const post = (path, key, message, sessionId) => fetch(`${server.url}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(key && { Authorization: `Bearer ${key}` }) },
+    body: JSON.stringify({ message, sessionId })
+  });
+
+  it('rejects missing or unknown keys', async () => {
+    for (const key of [undefined, 'not-a-key']) {
+      const response = await post('/chat', key, 'What is a black hole?');
+      assert.equal(response.status, 401);
+      assert.equal((await response.json()).code, 'unauthorized');
+    }
+    assert.equal((await fetch(`${server.url}/usage`)).status, 401);
+  });
+
+  it('charges LLM tokens to the key and refuses once the quota is spent', async () => {
+    let response = await post('/chat', 'web-secret', 'What is a black hole?', 'quota-a');
+    let body = await response.json();
+    assert.equal(body.tokens, 30);
+    assert.deepEqual([body.usage.used, body.usage.remaining], [30, 20]);
+
+    response = await fetch(`${server.url}/usage`, { headers: { 'X-Api-Key': 'web-secret' } });
+    assert.equal((await response.json()).used, 30);
+
+    await post('/chat/stream', 'web-secret', 'Why is the sky blue?', 'quota-b').then(r => r.text());
+    response = await post('/chat', 'web-secret', 'One more?', 'quota-c');
+    assert.equal(response.status, 429);
+    assert.ok(Number(response.headers.get('retry-after')) > 0);
+    body = await response.json();
+    assert.equal(body.code, 'quota_exceeded');
+    assert.equal(body.usage.used, 60);
+
+    response = await fetch(`${server.url}/usage`, { headers: { 'X-Api-Key': 'ops-secret' } });
+    assert.deepEqual(await response.json().then(u => [u.used, u.limit]), [0, 200000]);
+  });
+
+  it('keeps feedback to the client that produced the reply', async () => {
+    const rate = (key, body) => fetch(`${server.url}/feedback`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Api-Key': key },
+      body: JSON.stringify(body)
+    });
+    const list = (key) => fetch(`${server.url}/feedback`, { headers: { 'X-Api-Key': key } }).then(r => r.json());
+
+    const { replyId } = await (await post('/chat', 'ops-secret', 'What is a black hole?', 'rated-by-ops')).json();
+    assert.equal((await rate('web-secret', { replyId, rating: 'down' })).status, 404);
+    assert.equal((await rate('ops-secret', { replyId, rating: 'up' })).status, 201);
+
+    assert.deepEqual((await list('ops-secret')).entries.map(e => [e.message, e.clientId]), [['What is a black hole?', 'ops']]);
+    assert.deepEqual(await list('web-secret'), { totals: {}, entries: [] });
+  });
+
+  it('gives each browser token its own quota inside the key\'s', async (t) => {
+    const keyed = await startApp({ apiKeys: parseApiKeys('web:web-secret:90'), browserTokenQuota: 40 });
+    t.after(() => keyed.close());
+    const call = (path, credential, body) => fetch(`${keyed.url}${path}`, {
+      method: body ? 'POST' : 'GET',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${credential}` },
+      body: body && JSON.stringify(body)
+    });
+    const issue = async (previous) => {
+      const response = await call('/auth/token', 'web-secret', { token: previous });
+      assert.equal(response.status, 201);
+      return (await response.json()).token;
+    };
+    const usage = (credential) => call('/usage', credential).then(r => r.json());
+    const ask = (credential, sessionId) => call('/chat', credential, { message: `What is ${sessionId}?`, sessionId });
+
+    assert.equal((await call('/auth/token', 'not-a-key', {})).status, 401);
+    const first = await issue();
+    assert.equal((await ask(first, 'browser-a1')).status, 200);
+    assert.equal((await ask(first, 'browser-a2')).status, 200);
+    assert.equal((await ask(first, 'browser-a3')).status, 429);
+    // Renewing keeps the browser's usage; a new browser starts at 0 but the key caps both.
+    assert.deepEqual(await usage(await issue(first)).then(u => [u.used, u.remaining]), [60, 0]);
+    const second = await issue();
+    assert.deepEqual(await usage(second).then(u => [u.used, u.limit, u.remaining]), [0, 40, 30]);
+    assert.equal((await ask(second, 'browser-b1')).status, 200);
+    assert.equal((await ask(second, 'browser-b2')).status, 429);
+    assert.deepEqual(await usage('web-secret').then(u => [u.used, u.remaining]), [90, 0]);
+
+    const [payload, signature] = second.slice('nmt.'.length).split('.');
+    const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url')), browser: 'someone-else' })).toString('base64url');
+    assert.equal((await usage(`nmt.${forged}.${signature}`)).code, 'unauthorized');
+  });
+});
+
+describe('POST /transcribe', () => {
+  let server;
+  before(async () => { server = await startApp({ maxAudioBytes: 1024 }); });
+  after(() => server.close());
+
+  const upload = (url, body, type = 'audio/webm;codecs=opus', query = '') => fetch(`${url}/transcribe${query}`, {
+    method: 'POST',
+    headers: { 'Content-Type': type },
+    body
+  });
+
+  it('sends the recording to the speech-to-text engine', async () => {
+    const response = await upload(server.url, new Uint8Array(64), 'audio/webm;codecs=opus', '?language=hi');
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { text: FAKE_TRANSCRIPT, language: 'english', durationSeconds: 2.4 });
+    assert.deepEqual(fake.requests.transcriptions[0], { model: 'whisper-large-v3-turbo', language: 'hi', filename: 'speech.webm' });
+  });
+
+  it('rejects uploads that are not audio, empty or too large', async () => {
+    for (const [body, type, status] of [['{}', 'application/json', 400], [new Uint8Array(0), 'audio/ogg', 400], [new Uint8Array(2048), 'audio/wav', 413]]) {
+      const response = await upload(server.url, body, type);
+      assert.equal(response.status, status);
+      assert.equal((await response.json()).code, 'invalid_request');
+    }
+    assert.equal(fake.requests.transcriptions.length, 0);
+  });
+
+  it('answers 503 when no engine is configured', async () => {
+    const unconfigured = await startApp({}, undefined, { GROQ_API_KEY: '' });
+    try {
+      const response = await upload(unconfigured.url, new Uint8Array(64));
+      assert.equal(response.status, 503);
+      assert.equal((await response.json()).code, 'missing_api_key');
+    } finally {
+      await unconfigured.close();
+    }
+  });
+});
+
+describe('regenerate, edit-and-resend and feedback', () => {
+  let server;
+  before(async () => { server = await startApp(); });
+  after(() => server.close());
+
+  const post = (path, body) => fetch(`${server.url}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  }).then(async (response) => ({ status: response.status, body: await response.json() }));
+
+  it('re-runs a turn against the session state from before it', async () => {
+    const sessionId = 'fork-me';
+    const first = await post('/chat', { message: 'What is the weather in Pune?', sessionId, turnId: 't1' });
+    await post('/chat', { message: 'What is the weather in Mumbai?', sessionId, turnId: 't2' });
+
+    // Editing turn t2 to drop the city falls back to the location remembered before t2.
+    const history = [{ role: 'user', content: 'What is the weather in Pune?' }, { role: 'assistant', content: first.body.reply }];
+    const { status } = await post('/chat', { message: 'What about the weather?', sessionId, turnId: 't2', rewind: true, history });
+    assert.equal(status, 200);
+    assert.equal(fake.requests.weather.at(-1).q, 'Pune, Maharashtra');
+
+    const response = await fetch(`${server.url}/sessions/${sessionId}/history`);
+    assert.deepEqual((await response.json()).history.map(h => h.content).slice(0, 3), [...history.map(h => h.content), 'What about the weather?']);
+  });
+
+  it('rejects a rewind without a turnId or a valid history', async () => {
+    const { status, body } = await post('/chat', { message: 'again', rewind: true, history: 'nope' });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'invalid_request');
+  });
+
+  it('stores feedback with the intent and models that produced the reply', async () => {
+    const { body: answer } = await post('/chat', { message: 'What is a black hole?', sessionId: 'rate-me' });
+    assert.deepEqual(answer.models, { classifier: 'llama-3.1-8b-instant', chat: 'llama-3.3-70b-versatile' });
+
+    const { status, body } = await post('/feedback', { replyId: answer.replyId, rating: 'down', comment: 'Too short' });
+    assert.equal(status, 201);
+    assert.equal(body.intent, 'general');
+    assert.deepEqual(body.route, { skill: 'general', args: {} });
+    assert.equal(body.models.chat, 'llama-3.3-70b-versatile');
+
+    const list = await fetch(`${server.url}/feedback?rating=down`).then(r => r.json());
+    assert.equal(list.entries[0].comment, 'Too short');
+    assert.deepEqual(list.totals.general, { up: 0, down: 1 });
+    for (const limit of ['-1', '0.5', 'lots']) {
+      const limited = await fetch(`${server.url}/feedback?limit=${limit}`).then(r => r.json());
+      assert.equal(limited.entries[0].comment, 'Too short', limit);
+    }
+
+    assert.equal((await post('/feedback', { replyId: 'unknown', rating: 'up' })).status, 404);
+    assert.equal((await post('/feedback', { replyId: answer.replyId, rating: 'meh' })).status, 400);
+  });
+
+  it('answers a coded 500 when feedback cannot be written', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    // A file inside /dev/null can never be created.
+    const unwritable = await startApp({}, undefined, {}, { feedback: createFeedbackStore({ filePath: '/dev/null/feedback.jsonl' }) });
+    t.after(() => unwritable.close());
+    const ask = await fetch(`${unwritable.url}/chat`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ message: 'What is a black hole?' }) });
+    const { replyId } = await ask.json();
+
+    const response = await fetch(`${unwritable.url}/feedback`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ replyId, rating: 'up' }),
+      signal: AbortSignal.timeout(5000)
+    });
+    assert.equal(response.status, 500);
+    assert.equal((await response.json()).code, 'internal_error');
+    assert.deepEqual((await fetch(`${unwritable.url}/feedback`).then(r => r.json())).entries, []);
+  });
+});
+
+describe('document Q&A', () => {
+  let server;
+  before(async () => { server = await startApp({ allowPrivateUrls: true }); });
+  after(() => server.close());
+
+  const upload = (sessionId, body, type, filename) => fetch(`${server.url}/sessions/${sessionId}/documents?filename=${filename}`, {
+    method: 'POST',
+    headers: { 'Content-Type': type },
+    body
+  });
+  const ask = (sessionId, message, url = server.url) => fetch(`${url}/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ message, sessionId })
+  }).then(response => response.json());
+
+  it('answers from an uploaded PDF with cited excerpts', async () => {
+    const sessionId = 'docs-upload';
+    const response = await upload(sessionId, pdfFixture([['Quarterly report'], ['Revenue grew 12 percent to 40 crore.']]), 'application/pdf', 'report.pdf');
+    assert.equal(response.status, 201);
+    const document = await response.json();
+    assert.equal(document.pages, 2);
+    assert.equal(document.chunks, 2);
+
+    const body = await ask(sessionId, 'What does the PDF say about revenue?');
+    assert.equal(body.intent, 'documents');
+    assert.match(lastChatRequest().messages[0].content, /\[1\] report\.pdf \(page 2\)\nRevenue grew 12 percent/);
+    assert.match(body.reply, /first excerpt \[1\]/);
+    assert.match(body.reply, /\*\*Sources:\*\* {2}\n\[1\] _report\.pdf_, p\. 2$/);
+
+    const listed = await (await fetch(`${server.url}/sessions/${sessionId}/documents`)).json();
+    assert.deepEqual(listed.documents.map(d => d.title), ['report.pdf']);
+    const removed = await fetch(`${server.url}/sessions/${sessionId}/documents/${document.id}`, { method: 'DELETE' });
+    assert.equal(removed.status, 204);
+    assert.match((await ask(sessionId, 'What does the PDF say about revenue?')).reply, /no documents in this chat/);
+  });
+
+  it('rejects uploads it cannot read', async () => {
+    const image = await upload('docs-bad', Buffer.from('png'), 'image/png', 'logo.png');
+    assert.equal(image.status, 415);
+    assert.equal((await image.json()).code, 'unsupported_document');
+    const blank = await upload('docs-bad', '   \n\n  ', 'text/plain', 'blank.txt');
+    assert.equal(blank.status, 422);
+    assert.equal((await blank.json()).code, 'document_unreadable');
+  });
+
+  it('routes a pasted link to the page, following redirects, and keeps it for follow-ups', async () => {
+    const sessionId = 'docs-link';
+    const link = `${fake.url}/pages/moved`;
+    const body = await ask(sessionId, `Can you summarize ${link}?`);
+    assert.equal(body.intent, 'documents');
+    assert.deepEqual(fake.requests.pages, ['/moved', '/monsoon.html']);
+    const prompt = lastChatRequest().messages[0].content;
+    assert.match(prompt, /Monsoon & Farming\nMonsoon outlook\n\nThe monsoon is expected to reach Kerala/);
+    assert.doesNotMatch(prompt, /tracking|Home \| About|Copyright/);
+    assert.match(body.reply, new RegExp(`\\[1\\] \\[Monsoon & Farming\\]\\(${link}\\)`));
+
+    await ask(sessionId, 'According to the document, when do farmers sow soybean?');
+    assert.equal(fake.requests.pages.length, 2);
+    assert.match(lastChatRequest().messages[0].content, /\[1\][^\n]*\n[^[]*sow soybean once 100 mm/);
+  });
+
+  it('refuses private addresses unless allowed and pages that are not documents', async (t) => {
+    const strict = await startApp();
+    t.after(() => strict.close());
+    const blocked = await ask('docs-private', `Read ${fake.url}/pages/monsoon.html`, strict.url);
+    assert.equal(blocked.errors[0].code, 'invalid_request');
+    assert.match(blocked.reply, /private or local addresses/);
+    assert.equal(fake.requests.pages.length, 0);
+
+    const image = await ask('docs-image', `What is in ${fake.url}/pages/logo.png`);
+    assert.equal(image.errors[0].code, 'unsupported_document');
+  });
+});
+
+describe('tool calling', () => {
+  let server;
+  before(async () => { server = await startApp(); });
+  after(() => server.close());
+
+  const stream = async (message, sessionId = 'tools') => {
+    const response = await fetch(`${server.url}/chat/stream`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message, sessionId })
+    });
+    return readEvents(response);
+  };
+
+  it('answers a combined weather and news question from parallel tool calls', async () => {
+    const events = await stream("Should I carry an umbrella to the Mumbai tech meetup, and what's in tech news today?");
+    const done = events.at(-1).data;
+    assert.equal(done.intent, 'general');
+
+    // Each step is streamed as it finishes and listed again in the done event.
+    const steps = events.filter(e => e.event === 'tool').map(e => e.data);
+    assert.deepEqual(steps.map(s => s.name).sort(), ['news', 'weather']);
+    assert.deepEqual(done.tools, steps);
+    const weather = steps.find(s => s.name === 'weather');
+    assert.deepEqual(weather.arguments, { location: 'Mumbai', granularity: 'current' });
+    assert.match(weather.output, /Mumbai/);
+    assert.equal(typeof weather.latencyMs, 'number');
+    assert.equal(fake.requests.weather[0].q, 'Mumbai');
+    assert.equal(fake.requests.news[0].category, 'technology');
+
+    // The tool results go back to the model, which composes one answer without a card.
+    const [first, second] = fake.requests.groq.filter(r => !isAnalysis(r));
+    assert.deepEqual(first.tools.map(t => t.function.name), ['weather', 'news', 'calculator']);
+    assert.deepEqual(second.messages.filter(m => m.role === 'tool').map(m => m.tool_call_id), ['call_weather', 'call_news']);
+    assert.equal(fake.requests.groq.some(r => r.messages.at(-1).content?.includes('Provide 3 brief')), false);
+    assert.match(done.reply, /^From 2 tool results: .*Mumbai/);
+    assert.equal(done.reply, events.filter(e => e.event === 'delta').map(e => e.data.content).join(''));
+    assert.equal(done.card, undefined);
+  });
+
+  it('does arithmetic with the calculator and reports a bad expression on the step', async () => {
+    const { body } = await chat(server.url, 'Please calculate (1200 * 18 / 100) + 45', 'tools-calc');
+    assert.equal(body.tools[0].name, 'calculator');
+    assert.equal(body.tools[0].output, '(1200 * 18 / 100) + 45 = 261');
+    assert.match(body.reply, /= 261/);
+
+    const failed = (await chat(server.url, 'calculate 2 * (3 +', 'tools-calc')).body;
+    assert.equal(failed.tools[0].error.code, 'invalid_request');
+    assert.match(failed.reply, /Error \(invalid_request\): The expression ends too early/);
+    assert.equal(failed.errors, undefined);
+  });
+
+  it('answers plain questions without tool steps, and can be switched off', async (t) => {
+    const { body } = await chat(server.url, 'What is a black hole?', 'tools-plain');
+    assert.equal(body.reply, 'General answer (max_tokens=400)');
+    assert.equal(body.tools, undefined);
+
+    const plain = await startApp({ toolCalling: false });
+    t.after(() => plain.close());
+    await chat(plain.url, 'Please calculate 2 + 2', 'tools-off');
+    assert.equal(lastChatRequest().tools, undefined);
+  });
+});
+
+describe('scheduled briefings', () => {
+  let server;
+  before(async () => { server = await startApp(); });
+  after(() => server.close());
+
+  const DAY = 24 * 60 * 60 * 1000;
+  const api = (path, options = {}) => fetch(`${server.url}${path}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json' },
+    body: options.body && JSON.stringify(options.body)
+  });
+  const ask = (sessionId, message) => api('/chat', { method: 'POST', body: { message, sessionId, timeZone: 'Asia/Kolkata' } }).then(r => r.json());
+  const listSchedules = async (sessionId) => (await (await api(`/sessions/${sessionId}/schedules`)).json()).schedules;
+  const inbox = async (sessionId, since = '') => (await (await api(`/sessions/${sessionId}/briefings?since=${since}`)).json()).briefings;
+
+  it('creates a daily briefing from chat and delivers it to the conversation', async () => {
+    const sessionId = 'briefing-chat';
+    const body = await ask(sessionId, 'Send me Delhi weather and India business headlines every morning at 8');
+    assert.equal(body.intent, 'schedule');
+    assert.match(body.reply, /Every day at 08:00 \(Asia\/Kolkata\) I'll send Delhi weather and IN business headlines to this chat/);
+
+    const [schedule] = await listSchedules(sessionId);
+    assert.deepEqual(schedule.news, { country: 'in', category: 'business' });
+    // 08:00 in India is 02:30 UTC.
+    assert.equal(new Date(schedule.nextRunAt).toISOString().slice(11, 16), '02:30');
+
+    fake.reset();
+    await server.scheduler.tick(schedule.nextRunAt - 1000);
+    assert.deepEqual(await inbox(sessionId), []);
+    await server.scheduler.tick(schedule.nextRunAt);
+
+    const [briefing] = await inbox(sessionId);
+    assert.deepEqual([briefing.scheduleId, briefing.language], [schedule.id, 'en']);
+    assert.match(briefing.content, /^☀️ \*\*Your 08:00 briefing\*\*\n\n.*Delhi/);
+    assert.equal(fake.requests.weather[0].q, 'Delhi');
+    assert.deepEqual([fake.requests.news[0].country, fake.requests.news[0].category], ['in', 'business']);
+    // Briefings reuse the handlers without the LLM recommendations.
+    assert.equal(fake.requests.groq.length, 0);
+
+    const { history } = await (await api(`/sessions/${sessionId}/history`)).json();
+    assert.deepEqual(history.at(-1), { role: 'assistant', content: briefing.content });
+    assert.deepEqual(await inbox(sessionId, briefing.at), []);
+    assert.equal((await listSchedules(sessionId))[0].nextRunAt, schedule.nextRunAt + DAY);
+  });
+
+  it('pauses, resumes and deletes schedules over the API and lists them in chat', async () => {
+    const sessionId = 'briefing-api';
+    const invalid = await api(`/sessions/${sessionId}/schedules`, { method: 'POST', body: { time: '25:00', location: 'London' } });
+    assert.equal(invalid.status, 400);
+    assert.equal((await invalid.json()).code, 'invalid_request');
+
+    const created = await api(`/sessions/${sessionId}/schedules`, { method: 'POST', body: { time: '7:30', timeZone: 'Europe/London', location: 'London' } });
+    assert.equal(created.status, 201);
+    const schedule = await created.json();
+
+    const paused = await (await api(`/sessions/${sessionId}/schedules/${schedule.id}`, { method: 'PATCH', body: { paused: true } })).json();
+    assert.equal(paused.paused, true);
+    await server.scheduler.tick(schedule.nextRunAt);
+    assert.deepEqual(await inbox(sessionId), []);
+    assert.match((await ask(sessionId, 'What are my schedules?')).reply, /\*\*Your schedules\*\* \(Europe\/London\):\n\n1\. \*\*07:30\*\* — London weather _\(paused\)_$/);
+
+    const resumed = await (await api(`/sessions/${sessionId}/schedules/${schedule.id}`, { method: 'PATCH', body: { paused: false } })).json();
+    assert.equal(resumed.paused, false);
+    assert.ok(resumed.nextRunAt > Date.now());
+
+    assert.equal((await api(`/sessions/${sessionId}/schedules/${schedule.id}`, { method: 'DELETE' })).status, 204);
+    assert.equal((await api(`/sessions/${sessionId}/schedules/${schedule.id}`, { method: 'DELETE' })).status, 404);
+    assert.deepEqual(await listSchedules(sessionId), []);
+  });
+
+  it('sends a rain alert only when the chance of rain reaches the threshold, also over SSE', async () => {
+    const sessionId = 'briefing-rain';
+    const body = await ask(sessionId, 'Alert me at 9 pm if it will rain in Pune tomorrow');
+    assert.match(body.reply, /Rain alert set.*21:00.*60%\+ chance of rain in Pune tomorrow/);
+    // The fixture has no rain today and an 80% chance tomorrow.
+    await api(`/sessions/${sessionId}/schedules`, { method: 'POST', body: { type: 'rain', time: '21:00', timeZone: 'Asia/Kolkata', location: 'Pune' } });
+    const [tomorrow, today] = await listSchedules(sessionId);
+    assert.equal(today.day, 'today');
+
+    const controller = new AbortController();
+    const stream = await fetch(`${server.url}/sessions/${sessionId}/briefings/stream`, { signal: controller.signal });
+    await server.scheduler.tick(tomorrow.nextRunAt);
+
+    const reader = stream.body.pipeThrough(new TextDecoderStream()).getReader();
+    let text = '';
+    while (!text.includes('\n\n')) text += (await reader.read()).value;
+    controller.abort();
+    const event = JSON.parse(text.match(/^event: briefing\ndata: (.*)$/m)[1]);
+
+    const briefings = await inbox(sessionId);
+    assert.deepEqual(briefings.map(b => b.scheduleId), [tomorrow.id]);
+    assert.deepEqual(event, briefings[0]);
+    assert.match(event.content, /^🌧️ \*\*Rain alert for Pune:\*\* 80% chance of rain tomorrow/);
+  });
+
+  it('keeps chat turns that arrive while a briefing is being composed', async () => {
+    const sessionId = 'briefing-race';
+    const created = await api(`/sessions/${sessionId}/schedules`, { method: 'POST', body: { time: '08:00', timeZone: 'UTC', location: FLAKY_LOCATION } });
+    const schedule = await created.json();
+    assert.equal(schedule.clientId, 'ip:127.0.0.1');
+
+    // The flaky weather upstream fails once, so the briefing waits for a retry while the chat turn is saved.
+    const running = server.scheduler.tick(schedule.nextRunAt);
+    const answer = await ask(sessionId, 'What is a black hole?');
+    await running;
+
+    const { history } = await (await api(`/sessions/${sessionId}/history`)).json();
+    const [briefing] = await inbox(sessionId);
+    assert.deepEqual(history.map(h => h.content), ['What is a black hole?', answer.reply, briefing.content]);
+  });
+
+  it('charges the client that created a schedule and skips runs once its quota is spent', async (t) => {
+    const keyed = await startApp({ apiKeys: parseApiKeys('web:web-secret:30') });
+    t.after(() => keyed.close());
+    const call = (path, options = {}) => fetch(`${keyed.url}${path}`, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', 'X-Api-Key': 'web-secret' },
+      body: options.body && JSON.stringify(options.body)
+    });
+    const sessionId = 'briefing-quota';
+    const schedule = await (await call(`/sessions/${sessionId}/schedules`, { method: 'POST', body: { time: '08:00', timeZone: 'UTC', location: 'Pune', clientId: 'someone-else' } })).json();
+    assert.equal(schedule.clientId, 'web');
+
+    await call('/chat', { method: 'POST', body: { message: 'What is a black hole?', sessionId } });
+    assert.equal((await (await call('/usage')).json()).remaining, 0);
+    await keyed.scheduler.tick(schedule.nextRunAt);
+    assert.deepEqual((await (await call(`/sessions/${sessionId}/briefings`)).json()).briefings, []);
+  });
+});
+
+describe('reply language', () => {
+  let server;
+  before(async () => { server = await startApp(); });
+  after(() => server.close());
+
+  const post = (body, config = {}) => fetch(`${config.url || server.url}/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ sessionId: 'language', ...body })
+  }).then(response => response.json());
+
+  it('replies in the language the analysis detected', async () => {
+    const body = await post({ message: 'नमस्ते, आप कैसे हैं?' });
+    assert.equal(body.language, 'hi');
+    assert.match(lastChatRequest().messages[0].content, /Reply in Hindi/);
+
+    assert.equal((await post({ message: 'aaj mausam kaisa hai' })).language, 'hi-Latn');
+    assert.equal((await post({ message: 'Tell me a joke' })).language, 'en');
+    assert.doesNotMatch(lastChatRequest().messages[0].content, /Reply in/);
+  });
+
+  it('lets the client preference override detection', async () => {
+    const body = await post({ message: 'What is the weather in Pune?', language: 'hi' });
+    assert.equal(body.language, 'hi');
+    assert.match(body.reply, /का मौसम/);
+    assert.equal(fake.requests.weather.at(-1).lang, 'hi');
+    assert.match(lastChatRequest().messages[0].content, /Reply in Hindi/);
+    // The rain outlook in the recommendations prompt is localized too.
+    assert.match(lastChatRequest().messages[0].content, /Expectation: .*(बारिश की संभावना|आसमान साफ़)/);
+  });
+
+  it('localizes warnings', async (t) => {
+    const keyless = await startApp({ weatherApiKey: '' });
+    t.after(() => keyless.close());
+    const body = await post({ message: 'What is the weather in Pune?', language: 'hi' }, keyless);
+    assert.match(body.reply, /चेतावनी: Weather सेवा की API कुंजी सेट नहीं है/);
+    assert.equal(body.errors[0].code, 'missing_api_key');
+  });
+});
+
+describe('crisis safety', () => {
+  let server;
+  before(async () => { server = await startApp(); });
+  after(() => server.close());
+
+  async function chatIn(locale, message) {
+    const response = await fetch(`${server.url}/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Accept-Language': locale },
+      body: JSON.stringify({ message, sessionId: 'crisis-session' })
+    });
+    return response.json();
+  }
+
+  it('answers high-severity messages with helplines instead of a shloka', async (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const body = await chatIn('en-IN,en;q=0.9', 'I feel so hopeless, I want to end my life');
+    assert.equal(body.intent, 'crisis');
+    assert.deepEqual(body.safety, { severity: 'high', locale: 'en-IN' });
+    assert.match(body.reply, /Tele-MANAS/);
+    assert.doesNotMatch(body.reply, /Bhagavad Gita/);
+    assert.equal(fake.requests.groq.filter(r => !isAnalysis(r)).length, 0);
+
+    const logged = warn.mock.calls.map(c => c.arguments.join(' ')).join('\n');
+    assert.match(logged, /"severity":"high"/);
+    assert.doesNotMatch(logged, /end my life/);
+  });
+
+  it('escalates explicit self-harm language the analysis missed', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const body = await chatIn('en-US', 'I keep thinking about hurting myself');
+    assert.equal(body.intent, 'crisis');
+    assert.match(body.reply, /988/);
+  });
+
+  it('localizes the response and falls back by region', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    assert.match((await chatIn('hi-IN', 'I want to end my life')).reply, /टेली-मानस/);
+    assert.equal((await chatIn('ta-IN', 'I want to end my life')).safety.locale, 'en-IN');
+    assert.equal((await chatIn('fr-FR', 'I want to end my life')).safety.locale, 'en');
+  });
+
+  it('keeps moderate low mood on the Gita path', async () => {
+    const body = await chatIn('en-IN', 'I feel hopeless about everything');
+    assert.equal(body.intent, 'gita');
+    assert.equal(body.safety, undefined);
+  });
+});
+
+describe('weather without the model', () => {
+  let server;
+  before(async () => {
+    server = await startApp({}, (llm) => ({
+      ...llm,
+      complete: (role, ...rest) => role === 'utility' ? Promise.reject(new Error('model down')) : llm.complete(role, ...rest)
+    }));
+  });
+  after(() => server.close());
+
+  it('returns the forecast without recommendations when only the LLM step fails', async () => {
+    const { body } = await chat(server.url, 'What is the weather in Pune?');
+    assert.match(body.reply, /\*\*Weather for Pune, Maharashtra\*\*/);
+    assert.doesNotMatch(body.reply, /Smart Recommendations|Could not find weather/);
+    assert.equal(body.errors[0].code, 'recommendations_unavailable');
+  });
+});
+
+describe('Gita support without the model', () => {
+  let server;
+  before(async () => {
+    server = await startApp({}, (llm) => ({
+      ...llm,
+      complete: (role, ...rest) => role === 'gita' ? Promise.reject(new Error('model down')) : llm.complete(role, ...rest)
+    }));
+  });
+  after(() => server.close());
+
+  it('still shares the verse when the reflection call fails', async () => {
+    const { status, body } = await chat(server.url, 'I feel hopeless about everything');
+    assert.equal(status, 200);
+    assert.match(body.reply, /— _Bhagavad Gita \d+\.\d+_$/);
+    assert.equal(body.errors[0].code, 'reflection_unavailable');
+  });
+});
+
+describe('crisis safety without the model', () => {
+  let server;
+  before(async () => {
+    server = await startApp({}, (llm) => ({
+      ...llm,
+      complete: (role, ...rest) => role === 'classifier' ? Promise.reject(new Error('model down')) : llm.complete(role, ...rest)
+    }));
+  });
+  after(() => server.close());
+
+  it('still answers self-harm language with localized helplines when the analysis fails', async (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const response = await fetch(`${server.url}/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Accept-Language': 'hi-IN' },
+      body: JSON.stringify({ message: 'I want to kill myself', sessionId: 'crisis-no-model' })
+    });
+    const body = await response.json();
+    assert.equal(response.status, 200);
+    assert.equal(body.intent, 'crisis');
+    assert.equal(body.safety.locale, 'hi-IN');
+    assert.match(body.reply, /टेली-मानस/);
+    assert.doesNotMatch(warn.mock.calls.map(c => c.arguments.join(' ')).join('\n'), /kill myself/);
+  });
+
+  it('recognizes Hindi and Hinglish self-harm language without the analysis', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    for (const [message, locale, helpline] of [['मैं मरना चाहता हूँ', 'hi-IN', /टेली-मानस/], ['ab marna chahta hoon yaar', 'en-IN', /Tele-MANAS/], ['zindagi khatam kar dunga', 'en-IN', /Tele-MANAS/]]) {
+      const response = await fetch(`${server.url}/chat`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept-Language': locale },
+        body: JSON.stringify({ message, sessionId: 'crisis-no-model' })
+      });
+      const body = await response.json();
+      assert.equal(response.status, 200, message);
+      assert.equal(body.intent, 'crisis', message);
+      assert.match(body.reply, helpline);
+    }
+  });
+
+  it('keeps failing other messages', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const { status } = await chat(server.url, 'Tell me a joke');
+    assert.notEqual(status, 200);
+  });
+});
+
+describe('GET /gita/verses', () => {
+  let server;
+  before(async () => { server = await startApp(); });
+  after(() => server.close());
+
+  it('searches the corpus by theme and free text', async () => {
+    let response = await fetch(`${server.url}/gita/verses?theme=grief&limit=2`);
+    let body = await response.json();
+    assert.ok(body.themes.includes('grief'));
+    assert.equal(body.verses.length, 2);
+    assert.ok(body.verses.every(v => v.themes.includes('grief')));
+
+    response = await fetch(`${server.url}/gita/verses?q=${encodeURIComponent('I keep procrastinating')}`);
+    body = await response.json();
+    assert.equal(`${body.verses[0].chapter}.${body.verses[0].verse}`, '3.8');
+  });
+
+  it('rejects repeated or nested query parameters', async () => {
+    for (const query of ['q=a&q=b', 'theme=grief&theme=fear', 'chapter[x]=2']) {
+      const response = await fetch(`${server.url}/gita/verses?${query}`);
+      assert.equal(response.status, 400, query);
+      assert.equal((await response.json()).code, 'invalid_request');
+    }
+  });
+
+  it('looks up a single verse and 404s outside the corpus', async () => {
+    let response = await fetch(`${server.url}/gita/verses/2/47`);
+    assert.equal((await response.json()).chapter, 2);
+    response = await fetch(`${server.url}/gita/verses/1/1`);
+    assert.equal(response.status, 404);
+  });
+});
+
+describe('health, readiness and metrics', () => {
+  let server;
+  before(async () => { server = await startApp(); });
+  after(() => server.close());
+
+  it('reports liveness and readiness with provider status', async () => {
+    assert.equal((await fetch(`${server.url}/healthz`)).status, 200);
+
+    const response = await fetch(`${server.url}/readyz`);
+    const body = await response.json();
+    assert.equal(response.status, 200);
+    assert.deepEqual(body.providers, [{ name: 'groq', configured: true, circuit: 'closed', reachable: true }]);
+    assert.deepEqual(body.services.weather, { configured: true, circuit: 'closed' });
+  });
+
+  it('is not ready without a usable LLM provider', async () => {
+    const unready = await startApp({}, () => createLLM([createProviderFromEnv('openai', { OPENAI_BASE_URL: fake.openaiBaseUrl })]));
+    try {
+      const response = await fetch(`${unready.url}/readyz`);
+      assert.equal(response.status, 503);
+      assert.equal((await response.json()).providers[0].configured, false);
+    } finally {
+      await unready.close();
+    }
+  });
+
+  it('echoes the request ID it was given', async () => {
+    const response = await fetch(`${server.url}/healthz`, { headers: { 'X-Request-Id': 'trace-123' } });
+    assert.equal(response.headers.get('x-request-id'), 'trace-123');
+  });
+
+  it('exposes request, stage, provider and session metrics', async () => {
+    await chat(server.url, 'What is the weather in Pune?', 'metrics-session');
+    const response = await fetch(`${server.url}/metrics`);
+    assert.match(response.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+    const text = await response.text();
+    assert.match(text, /nodemesh_chat_messages_total\{intent="weather"\} 1/);
+    assert.match(text, /nodemesh_chat_stage_duration_seconds_count\{stage="analysis"\} 1/);
+    assert.match(text, /nodemesh_upstream_request_duration_seconds_count\{upstream="groq"\} 2/);
+    assert.match(text, /nodemesh_upstream_request_duration_seconds_count\{upstream="weather"\} 1/);
+    assert.match(text, /nodemesh_http_requests_total\{method="POST",route="\/chat",status="200"\} 1/);
+    assert.match(text, /nodemesh_active_sessions 1/);
+  });
+});
+
+describe('POST /chat/stream', () => {
+  let server;
+  before(async () => { server = await startApp(); });
+  after(() => server.close());
+
+  it('emits intent, deltas and a final done event', async () => {
+    const response = await fetch(`${server.url}/chat/stream`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'What is a black hole?', sessionId: 'stream-session' })
+    });
+    assert.match(response.headers.get('content-type'), /text\/event-stream/);
+
+    const events = await readEvents(response);
+    assert.deepEqual(events[0], { event: 'intent', data: { intent: 'general' } });
+    const deltas = events.filter(e => e.event === 'delta').map(e => e.data.content);
+    assert.ok(deltas.length > 1);
+    const done = events.at(-1);
+    assert.equal(done.event, 'done');
+    assert.equal(done.data.reply, deltas.join(''));
+    assert.equal(done.data.intent, 'general');
+    assert.equal(lastChatRequest().stream, true);
+  });
+});
+
+describe('session endpoints', () => {
+  let server;
+  before(async () => { server = await startApp(); });
+  after(() => server.close());
+
+  it('stores, rehydrates and deletes session history', async () => {
+    await chat(server.url, 'What is a black hole?', 'inspect-me');
+    let response = await fetch(`${server.url}/sessions/inspect-me/history`);
+    assert.equal((await response.json()).history.length, 2);
+
+    response = await fetch(`${server.url}/sessions/inspect-me/history`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ history: [{ role: 'user', content: 'hi' }] })
+    });
+    assert.deepEqual((await response.json()).history, [{ role: 'user', content: 'hi' }]);
+
+    response = await fetch(`${server.url}/sessions/inspect-me`, { method: 'DELETE' });
+    assert.equal(response.status, 204);
+    response = await fetch(`${server.url}/sessions/inspect-me`, { method: 'DELETE' });
+    assert.equal(response.status, 404);
+  });
+});
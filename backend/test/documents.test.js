@@ -0,0 +1,105 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkText, htmlToText, tokenize, createBm25Index, createDocumentStore, extractDocument, fetchDocument } from '../documents.js';
+import { findUrl } from '../skills/documents.js';
+
+describe('document text', () => {
+  it('packs paragraphs into overlapping chunks of bounded size', () => {
+    const paragraphs = Array.from({ length: 12 }, (_, i) => `Paragraph ${i} ${'word '.repeat(30).trim()}.`);
+    const chunks = chunkText(paragraphs.join('\n\n'), { size: 500, overlap: 60 });
+    assert.ok(chunks.length > 1);
+    assert.ok(chunks.every(c => c.length <= 560));
+    // Each chunk starts with the tail of the one before it.
+    assert.ok(chunks[0].endsWith(chunks[1].split('\n\n')[0]));
+    assert.deepEqual(chunkText('  \n\n '), []);
+  });
+
+  it('splits one long paragraph at sentence ends, including the Devanagari danda', () => {
+    const chunks = chunkText(`${'यह एक वाक्य है। '.repeat(40)}`, { size: 100, overlap: 0 });
+    assert.ok(chunks.length > 1);
+    assert.ok(chunks.every(c => c.length <= 100 && c.endsWith('।')));
+  });
+
+  it('keeps the readable part of an HTML page', () => {
+    const { title, text } = htmlToText('<html><head><title>A &amp; B</title><style>p{}</style></head><body><nav>Menu</nav><main><h1>Hello</h1><p>First&nbsp;line<br>second &#8212; line</p><script>x()</script></main></body></html>');
+    assert.equal(title, 'A & B');
+    assert.deepEqual(text.split(/\n+/).map(l => l.trim()).filter(Boolean), ['Hello', 'First line', 'second — line']);
+  });
+
+  it('titles Markdown uploads by their first heading', async () => {
+    const document = await extractDocument(Buffer.from('Intro text\n\n# Release notes\n\nFixed bugs.'), 'text/markdown', { filename: 'notes.md' });
+    assert.equal(document.title, 'Release notes');
+    assert.equal(document.source, 'notes.md');
+    await assert.rejects(extractDocument(Buffer.from('x'), 'image/png'), { code: 'unsupported_document' });
+  });
+
+  it('finds the link in a message', () => {
+    assert.equal(findUrl('Summarize https://example.com/a?b=1.'), 'https://example.com/a?b=1');
+    assert.equal(findUrl('(see https://en.wikipedia.org/wiki/Pune)'), 'https://en.wikipedia.org/wiki/Pune');
+    assert.equal(findUrl('no links here'), undefined);
+  });
+});
+
+describe('BM25 retrieval', () => {
+  it('ranks rarer and denser matches higher and skips stopwords', () => {
+    assert.deepEqual(tokenize('What is the GDP of India?'), ['gdp', 'india']);
+    const index = createBm25Index([
+      'India is a country in South Asia.',
+      'The GDP of India grew by 7 percent. GDP growth was led by services.',
+      'Monsoon rains arrive in June.'
+    ]);
+    assert.deepEqual(index.search('What is the GDP of India?').map(hit => hit.index), [1, 0]);
+    assert.deepEqual(index.search('the of is'), []);
+  });
+
+  it('searches a session\'s documents, optionally within one', async () => {
+    const store = createDocumentStore({ maxDocuments: 2 });
+    const [a, b] = await Promise.all([
+      extractDocument(Buffer.from('Apples are red.'), 'text/plain', { filename: 'a.txt' }),
+      extractDocument(Buffer.from('Red cars are fast.'), 'text/plain', { filename: 'b.txt' })
+    ]);
+    await store.add('s1', a);
+    await store.add('s1', b);
+    assert.deepEqual((await store.search('s1', 'red')).map(hit => hit.document.title).sort(), ['a.txt', 'b.txt']);
+    assert.deepEqual((await store.search('s1', 'red', { documentId: b.id })).map(hit => hit.document.title), ['b.txt']);
+    assert.deepEqual(await store.search('s2', 'red'), []);
+
+    // Re-adding a source replaces it; past maxDocuments the oldest is dropped.
+    await store.add('s1', await extractDocument(Buffer.from('Green apples.'), 'text/plain', { filename: 'a.txt' }));
+    await store.add('s1', await extractDocument(Buffer.from('Blue sky.'), 'text/plain', { filename: 'c.txt' }));
+    assert.deepEqual((await store.list('s1')).map(d => d.source), ['a.txt', 'c.txt']);
+    assert.equal(await store.remove('s1', b.id), false);
+  });
+});
+
+describe('fetchDocument', () => {
+  const http = { get: () => assert.fail('should not be fetched') };
+
+  it('only reads public http(s) links', async () => {
+    await assert.rejects(fetchDocument('ftp://example.com/file.txt', { http }), { code: 'invalid_request' });
+    for (const url of ['http://127.0.0.1:3001/healthz', 'http://localhost/', 'http://169.254.169.254/latest/meta-data', 'http://[::1]/', 'http://10.1.2.3/']) {
+      await assert.rejects(fetchDocument(url, { http }), { code: 'invalid_request' }, url);
+    }
+  });
+
+  it('connects only to public addresses, without retries or a shared circuit breaker', async () => {
+    let options;
+    const recording = {
+      get: async (url, given) => {
+        options = given;
+        return { status: 200, headers: { 'content-type': 'text/plain' }, data: Buffer.from('Quarterly revenue grew.') };
+      }
+    };
+    const document = await fetchDocument('http://93.184.215.14/report.txt', { http: recording });
+    assert.equal(document.source, 'http://93.184.215.14/report.txt');
+    assert.deepEqual([options.service, options.retries, options.circuit], ['web', 0, false]);
+
+    // A host that resolves to a public address when checked and to a private one when the
+    // request connects (DNS rebinding) is refused by the connection's lookup.
+    const lookup = (hostname) => new Promise((resolve) => {
+      options.httpAgent.options.lookup(hostname, { all: true }, (error, addresses) => resolve({ error, addresses }));
+    });
+    assert.equal((await lookup('localhost')).error.code, 'invalid_request');
+    assert.equal(options.httpsAgent.options.lookup, options.httpAgent.options.lookup);
+  });
+});
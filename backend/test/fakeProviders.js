@@ -0,0 +1,291 @@
+import express from 'express';
+
+// --- FAKE PROVIDERS ---
+// One local server standing in for Groq and other OpenAI-compatible chat
+// completion APIs, WeatherAPI and NewsAPI. Every request is recorded so tests
+// can assert on what the app sent upstream. It also serves a few web pages under /pages
+// for document Q&A over pasted links.
+//
+//   const fake = await startFakeProviders();
+//   const llm = createLLM([createProviderFromEnv('groq', { GROQ_API_KEY: 'test', GROQ_BASE_URL: fake.groqBaseUrl })]);
+//   createApp({ llm, config: { weatherBaseUrl: fake.weatherBaseUrl, newsBaseUrl: fake.newsBaseUrl } });
+
+export const FAKE_WEATHER_KEY = 'fake-weather-key';
+export const FAKE_NEWS_KEY = 'fake-news-key';
+export const UNKNOWN_LOCATION = 'Atlantis';
+export const BROKEN_CLASSIFIER_MESSAGE = 'please break the classifier';
+// Fails with 503 on the first request after reset(), then recovers.
+export const FLAKY_LOCATION = 'Cherrapunji';
+// Always fails with 503.
+export const DOWN_LOCATION = 'Downtime';
+export const FAKE_TRANSCRIPT = 'What is the weather in Pune?';
+
+// Keyword routing that mimics what the real analysis call would return.
+function analyze(message) {
+  if (message === BROKEN_CLASSIFIER_MESSAGE) return 'this is not json';
+  const lower = message.toLowerCase();
+  const isSarcastic = /oh great|yeah right/.test(lower);
+  const isLow = /hopeless|stressed|anxious|sad|end my life/.test(lower);
+  const tone = {
+    sarcasm: { is_sarcastic: isSarcastic, intended_meaning: isSarcastic ? 'The user is annoyed that it is raining again' : '' },
+    mood: { low: isLow, severity: /end my life/.test(lower) ? 'high' : isLow ? 'moderate' : 'none' }
+  };
+  let choice = { skill: 'general', args: {} };
+  const hour = lower.match(/at (\d{1,2})/)?.[1];
+  if (/my schedules/.test(lower)) {
+    choice = { skill: 'schedule', args: { action: 'list' } };
+  } else if (/every (morning|day|evening)|alert me/.test(lower)) {
+    const args = { time: hour && `${hour.padStart(2, '0')}:00` };
+    if (/alert me/.test(lower)) {
+      Object.assign(args, { type: 'rain', location: message.match(/in ([A-Z][a-z]+)/)?.[1], day: /tomorrow/.test(lower) ? 'tomorrow' : 'today' });
+      if (/ pm/.test(lower)) args.time = `${Number(hour) + 12}:00`;
+    } else {
+      Object.assign(args, { location: message.match(/([A-Z][a-z]+) weather/)?.[1], headlines: /headlines|news/.test(lower) });
+      if (/india/.test(lower)) args.country = 'in';
+      if (/business/.test(lower)) args.category = 'business';
+    }
+    choice = { skill: 'schedule', args };
+  } else if (/umbrella|calculate/.test(lower)) {
+    // Combined requests and arithmetic go to general, which answers them with tools.
+    choice = { skill: 'general', args: {} };
+  } else if (/weather|rain|temperature/.test(lower)) {
+    const location = message.match(/in ([A-Z][a-z]+)/)?.[1];
+    choice = { skill: 'weather', args: location ? { location } : {} };
+  } else if (/news|headlines/.test(lower)) {
+    choice = { skill: 'news', args: /india/.test(lower) ? { country: 'in', category: 'business' } : {} };
+  } else if (/hopeless|stressed|anxious|sad/.test(lower)) {
+    choice = { skill: 'gita', args: /exam/.test(lower) ? { feeling: 'anxiety' } : {} };
+  } else if (/document|report|\bpdf\b|notes/.test(lower)) {
+    choice = { skill: 'documents', args: { question: message } };
+  }
+  const language = /[\u0900-\u097F]/.test(message) ? 'hi' : /\b(kya|hai|kaisa|kaise|mausam|batao)\b/.test(lower) ? 'hi-Latn' : 'en';
+  return JSON.stringify({ ...choice, ...tone, language });
+}
+
+// Tool calls for a request that offers tools: weather plus tech news for an umbrella
+// question, the calculator for "calculate ...". Otherwise null (answer in text).
+function toolCallsFor(body) {
+  const last = body.messages[body.messages.length - 1];
+  if (!body.tools || body.tool_choice === 'none' || last.role !== 'user') return null;
+  const call = (name, args) => ({ id: `call_${name}`, type: 'function', function: { name, arguments: JSON.stringify(args) } });
+  if (/umbrella/i.test(last.content)) {
+    return [
+      call('weather', { location: last.content.match(/(?:in|to the) ([A-Z][a-z]+)/)?.[1] }),
+      call('news', { category: 'technology' })
+    ];
+  }
+  const expression = last.content.match(/calculate (.+?)\??$/i)?.[1];
+  return expression ? [call('calculator', { expression })] : null;
+}
+
+function chatReply(body) {
+  const system = body.messages.find(m => m.role === 'system')?.content || '';
+  const last = body.messages[body.messages.length - 1].content;
+  const toolResults = body.messages.filter(m => m.role === 'tool');
+
+  if (last.startsWith("Analyze the user's message")) {
+    return analyze(last.match(/Message: "([\s\S]*)"\nOutput ONLY JSON/)[1]);
+  }
+  if (system.startsWith('Wise, gentle spiritual guide')) {
+    return 'Take this one step at a time.';
+  }
+  if (system.startsWith('Answer using only the numbered excerpts')) {
+    return 'According to the document, it is covered in the first excerpt [1].';
+  }
+  if (last.includes('Provide 3 brief, engaging points')) {
+    return '1. Visit a museum\n2. Try a cafe\n3. Go shopping';
+  }
+  if (toolResults.length) {
+    return `From ${toolResults.length} tool results: ${toolResults.map(m => m.content.split('\n')[0]).join(' | ')}`;
+  }
+  return `General answer (max_tokens=${body.max_tokens})`;
+}
+
+function completionChunk(body, delta, finishReason = null) {
+  return { id: 'chatcmpl-fake', object: 'chat.completion.chunk', created: 0, model: body.model, choices: [{ index: 0, delta, finish_reason: finishReason }] };
+}
+
+export function weatherFixture(location) {
+  const day = (date, rain) => ({
+    date,
+    day: {
+      condition: { text: rain ? 'Light rain' : 'Sunny' },
+      daily_will_it_rain: rain ? 1 : 0,
+      totalprecip_mm: rain ? 4.2 : 0,
+      daily_chance_of_rain: rain ? 80 : 0,
+      mintemp_c: 21, maxtemp_c: 31, avgtemp_c: 26
+    },
+    astro: { sunrise: '06:15 AM', sunset: '06:05 PM' },
+    hour: Array.from({ length: 24 }, (_, h) => ({
+      time: `${date} ${String(h).padStart(2, '0')}:00`,
+      temp_c: 20 + (h % 10),
+      condition: { text: 'Clear' },
+      chance_of_rain: rain ? 70 : 0
+    }))
+  });
+  return {
+    location: { name: location, region: 'Maharashtra', country: 'India', localtime: '2026-10-19 14:30' },
+    current: {
+      condition: { text: 'Partly cloudy' },
+      temp_c: 29, feelslike_c: 32, humidity: 60, wind_kph: 12, wind_dir: 'WSW',
+      air_quality: { 'us-epa-index': 2, pm2_5: 31.6 }
+    },
+    forecast: { forecastday: [day('2026-10-19', false), day('2026-10-20', true), day('2026-10-21', false)] },
+    alerts: { alert: [] }
+  };
+}
+
+// A minimal PDF with one page per entry of `pages` (each a list of text lines).
+export function pdfFixture(pages) {
+  const objects = ['<< /Type /Catalog /Pages 2 0 R >>', null, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'];
+  const kids = pages.map((lines) => {
+    const content = `BT /F1 12 Tf 72 720 Td 14 TL ${lines.map(line => `(${line}) Tj T*`).join(' ')} ET`;
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents ${objects.length + 2} 0 R /Resources << /Font << /F1 3 0 R >> >> >>`);
+    objects.push(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+    return `${objects.length - 1} 0 R`;
+  });
+  objects[1] = `<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${pages.length} >>`;
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('')}`;
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+export const ARTICLE_HTML = `<!doctype html><html><head><title>Monsoon &amp; Farming</title><script>var tracking = "ignore me";</script></head>
+<body><nav>Home | About</nav><article><h1>Monsoon outlook</h1>
+<p>The monsoon is expected to reach Kerala on 1 June, a week earlier than usual.</p>
+<p>Farmers in Maharashtra plan to sow soybean once 100 mm of rain has fallen.</p></article>
+<footer>Copyright</footer></body></html>`;
+
+export function newsFixture(page = 1) {
+  return {
+    status: 'ok',
+    totalResults: 10,
+    articles: Array.from({ length: 5 }, (_, i) => ({
+      title: `Headline ${(page - 1) * 5 + i + 1}`,
+      source: { name: 'Fake Times' },
+      url: `https://news.example/${(page - 1) * 5 + i + 1}`,
+      urlToImage: null,
+      description: 'Something happened.',
+      content: 'Something happened, in more detail.',
+      publishedAt: '2026-10-19T08:00:00Z'
+    }))
+  };
+}
+
+export async function startFakeProviders() {
+  const requests = { groq: [], openai: [], weather: [], news: [], transcriptions: [], pages: [] };
+  let flakyCalls = 0;
+  const app = express();
+  app.use(express.json());
+
+  // Groq's SDK uses /openai/v1; plain OpenAI-compatible clients use /v1.
+  const chatCompletions = (log) => (req, res) => {
+    log.push(req.body);
+    const toolCalls = toolCallsFor(req.body);
+    const content = toolCalls ? null : chatReply(req.body);
+    const finishReason = toolCalls ? 'tool_calls' : 'stop';
+    const usage = { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 };
+
+    if (!req.body.stream) {
+      return res.json({
+        id: 'chatcmpl-fake', object: 'chat.completion', created: 0, model: req.body.model,
+        choices: [{ index: 0, message: { role: 'assistant', content, ...(toolCalls && { tool_calls: toolCalls }) }, finish_reason: finishReason }],
+        usage
+      });
+    }
+
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+    for (const word of content?.split(/(?<= )/) || []) {
+      res.write(`data: ${JSON.stringify(completionChunk(req.body, { content: word }))}\n\n`);
+    }
+    // Streamed tool calls arrive in pieces: id and name first, then the arguments in two halves.
+    for (const [index, { id, type, function: fn }] of (toolCalls || []).entries()) {
+      const half = Math.ceil(fn.arguments.length / 2);
+      for (const part of [{ id, type, function: { name: fn.name, arguments: '' } }, { function: { arguments: fn.arguments.slice(0, half) } }, { function: { arguments: fn.arguments.slice(half) } }]) {
+        res.write(`data: ${JSON.stringify(completionChunk(req.body, { tool_calls: [{ index, ...part }] }))}\n\n`);
+      }
+    }
+    res.write(`data: ${JSON.stringify({ ...completionChunk(req.body, {}, finishReason), x_groq: { usage } })}\n\n`);
+    res.end('data: [DONE]\n\n');
+  };
+  app.get(['/openai/v1/models', '/v1/models'], (req, res) => {
+    res.json({ object: 'list', data: [{ id: 'llama-3.3-70b-versatile', object: 'model' }] });
+  });
+  app.post('/openai/v1/chat/completions', chatCompletions(requests.groq));
+  app.post('/v1/chat/completions', chatCompletions(requests.openai));
+  app.post('/ratelimited/v1/chat/completions', (req, res) => {
+    res.status(429).json({ error: { message: 'Rate limit reached', type: 'rate_limit_exceeded' } });
+  });
+  app.post('/flaky/v1/chat/completions', (req, res) => {
+    if (flakyCalls++ === 0) return res.status(503).json({ error: { message: 'Service unavailable' } });
+    chatCompletions(requests.openai)(req, res);
+  });
+
+  // Whisper-style multipart upload; the raw body is kept so tests can check the form fields.
+  app.post('/openai/v1/audio/transcriptions', express.raw({ type: 'multipart/form-data', limit: '20mb' }), (req, res) => {
+    const form = req.body.toString('latin1');
+    requests.transcriptions.push({
+      model: form.match(/name="model"\r\n\r\n([^\r]*)/)?.[1],
+      language: form.match(/name="language"\r\n\r\n([^\r]*)/)?.[1],
+      filename: form.match(/name="file"; filename="([^"]*)"/)?.[1]
+    });
+    if (req.get('Authorization') !== 'Bearer test-key') return res.status(401).json({ error: { message: 'Invalid API Key' } });
+    res.json({ text: ` ${FAKE_TRANSCRIPT}`, language: 'english', duration: 2.4 });
+  });
+
+  app.get('/weather/v1/forecast.json', (req, res) => {
+    requests.weather.push(req.query);
+    if (req.query.key !== FAKE_WEATHER_KEY) return res.status(401).json({ error: { code: 2006, message: 'API key is invalid.' } });
+    if (req.query.q === DOWN_LOCATION || (req.query.q === FLAKY_LOCATION && flakyCalls++ === 0)) {
+      return res.status(503).json({ error: { code: 9999, message: 'Internal application error.' } });
+    }
+    if (req.query.q === UNKNOWN_LOCATION) return res.status(400).json({ error: { code: 1006, message: 'No matching location found.' } });
+    res.json(weatherFixture(req.query.q));
+  });
+
+  app.get(['/news/v2/top-headlines', '/news/v2/everything'], (req, res) => {
+    requests.news.push({ path: req.path, ...req.query });
+    if (req.get('X-Api-Key') !== FAKE_NEWS_KEY) return res.status(401).json({ status: 'error', code: 'apiKeyInvalid' });
+    res.json(newsFixture(Number(req.query.page) || 1));
+  });
+
+  app.use('/pages', (req, res, next) => {
+    requests.pages.push(req.path);
+    next();
+  });
+  app.get('/pages/monsoon.html', (req, res) => res.type('html').send(ARTICLE_HTML));
+  app.get('/pages/moved', (req, res) => res.redirect(302, '/pages/monsoon.html'));
+  app.get('/pages/report.pdf', (req, res) => {
+    res.type('application/pdf').send(pdfFixture([['Quarterly report'], ['Revenue grew 12 percent to 40 crore.']]));
+  });
+  app.get('/pages/logo.png', (req, res) => res.type('png').send(Buffer.from([0x89, 0x50, 0x4e, 0x47])));
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url,
+    groqBaseUrl: url,
+    openaiBaseUrl: `${url}/v1`,
+    rateLimitedBaseUrl: `${url}/ratelimited/v1`,
+    flakyBaseUrl: `${url}/flaky/v1`,
+    weatherBaseUrl: `${url}/weather/v1`,
+    newsBaseUrl: `${url}/news/v2`,
+    requests,
+    reset() {
+      for (const list of Object.values(requests)) list.length = 0;
+      flakyCalls = 0;
+    },
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
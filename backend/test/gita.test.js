@@ -0,0 +1,40 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { verses, searchVerses, findVerse, pickVerse, detectThemes, verseRef } from '../gitaVerses.js';
+
+describe('Gita verse corpus', () => {
+  it('has complete, unique entries', () => {
+    const refs = new Set();
+    for (const v of verses) {
+      for (const field of ['sanskrit', 'transliteration', 'translation']) {
+        assert.ok(v[field], `${verseRef(v)} is missing ${field}`);
+      }
+      assert.ok(v.themes.length, `${verseRef(v)} has no themes`);
+      assert.ok(!refs.has(verseRef(v)), `${verseRef(v)} is duplicated`);
+      refs.add(verseRef(v));
+    }
+  });
+
+  it('maps everyday words onto themes', () => {
+    assert.deepEqual(detectThemes('My grandfather passed away last week'), ['grief']);
+    assert.ok(detectThemes('I keep procrastinating').includes('procrastination'));
+  });
+
+  it('ranks verses by theme and text', () => {
+    assert.equal(verseRef(searchVerses({ theme: 'procrastination' })[0]), '3.8');
+    assert.ok(searchVerses({ q: 'my mother died' }).every(v => v.themes.includes('grief')));
+    assert.ok(searchVerses({ chapter: 6 }).every(v => v.chapter === 6));
+  });
+
+  it('picks a fresh verse and falls back to a gentle default', () => {
+    assert.equal(verseRef(pickVerse('nothing relevant here')), '2.47');
+    assert.equal(verseRef(pickVerse('nothing relevant here', { exclude: ['2.47'] })), '2.14');
+    assert.notEqual(verseRef(pickVerse('I am angry', { exclude: ['2.56'] })), '2.56');
+  });
+
+  it('finds verses by chapter and number', () => {
+    assert.equal(findVerse(2, 47).transliteration.split(' ')[0], 'karmaṇy');
+    assert.equal(findVerse('18', '66').chapter, 18);
+    assert.equal(findVerse(1, 1), null);
+  });
+});
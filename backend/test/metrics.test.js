@@ -0,0 +1,42 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRegistry, createAppMetrics } from '../metrics.js';
+
+describe('metrics registry', () => {
+  it('renders counters, histograms and gauges in Prometheus text format', async () => {
+    const registry = createRegistry();
+    registry.counter('jobs_total', 'Jobs run').inc({ kind: 'say "hi"' }, 2);
+    registry.histogram('job_seconds', 'Job latency', [0.1, 1]).observe({}, 0.5);
+    registry.gauge('queue_depth', 'Jobs waiting', () => 3);
+
+    assert.equal(await registry.render(), [
+      '# HELP jobs_total Jobs run',
+      '# TYPE jobs_total counter',
+      'jobs_total{kind="say \\"hi\\""} 2',
+      '# HELP job_seconds Job latency',
+      '# TYPE job_seconds histogram',
+      'job_seconds_bucket{le="0.1"} 0',
+      'job_seconds_bucket{le="1"} 1',
+      'job_seconds_bucket{le="+Inf"} 1',
+      'job_seconds_sum 0.5',
+      'job_seconds_count 1',
+      '# HELP queue_depth Jobs waiting',
+      '# TYPE queue_depth gauge',
+      'queue_depth 3',
+      ''
+    ].join('\n'));
+  });
+
+  it('counts upstream errors by reason', async () => {
+    const metrics = createAppMetrics();
+    metrics.observeUpstream({ upstream: 'groq', durationMs: 20, error: { status: 429 } });
+    metrics.observeUpstream({ upstream: 'weather', durationMs: 8000, error: { code: 'ECONNABORTED' } });
+    metrics.observeUpstream({ upstream: 'news', error: { circuitOpen: true } });
+
+    const text = await metrics.registry.render();
+    assert.match(text, /nodemesh_upstream_errors_total\{upstream="groq",reason="429"\} 1/);
+    assert.match(text, /nodemesh_upstream_errors_total\{upstream="weather",reason="timeout"\} 1/);
+    assert.match(text, /nodemesh_upstream_errors_total\{upstream="news",reason="circuit_open"\} 1/);
+    assert.doesNotMatch(text, /upstream_request_duration_seconds_count\{upstream="news"\}/);
+  });
+});
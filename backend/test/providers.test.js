@@ -0,0 +1,110 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLLM, createLLMFromEnv, createProviderFromEnv } from '../providers/index.js';
+import { completeChat } from '../llm.js';
+import { startFakeProviders } from './fakeProviders.js';
+
+let fake;
+
+before(async () => {
+  fake = await startFakeProviders();
+});
+
+after(async () => {
+  await fake.close();
+});
+
+beforeEach(() => fake.reset());
+
+const ask = [{ role: 'user', content: 'hello' }];
+
+describe('provider configuration', () => {
+  it('uses the Groq presets per role by default', () => {
+    const provider = createProviderFromEnv('groq', { GROQ_API_KEY: 'k' });
+    assert.equal(provider.models.classifier, undefined);
+    assert.equal(provider.models.default, 'llama-3.1-8b-instant');
+    assert.equal(provider.models.chat, 'llama-3.3-70b-versatile');
+  });
+
+  it('lets <NAME>_MODEL and <NAME>_MODEL_<ROLE> override the presets', () => {
+    const provider = createProviderFromEnv('gemini', { GEMINI_MODEL: 'gemini-2.5-flash', GEMINI_MODEL_CHAT: 'gemini-2.5-pro' });
+    assert.equal(provider.models.default, 'gemini-2.5-flash');
+    assert.equal(provider.models.chat, 'gemini-2.5-pro');
+  });
+
+  it('rejects unknown providers', () => {
+    assert.throws(() => createLLMFromEnv({ LLM_PROVIDER: 'skynet' }), /Unknown LLM provider "skynet"/);
+  });
+});
+
+describe('createLLM', () => {
+  it('sends the role model to an OpenAI-compatible endpoint', async () => {
+    const llm = createLLMFromEnv({ LLM_PROVIDER: 'ollama', OLLAMA_BASE_URL: fake.openaiBaseUrl, OLLAMA_MODEL_CHAT: 'qwen2.5:14b' });
+    const reply = await completeChat(llm, 'chat', { messages: ask, max_tokens: 50 });
+    assert.equal(reply, 'General answer (max_tokens=50)');
+    assert.equal(fake.requests.openai[0].model, 'qwen2.5:14b');
+  });
+
+  it('streams from an OpenAI-compatible endpoint', async () => {
+    const llm = createLLMFromEnv({ LLM_PROVIDER: 'openai', OPENAI_BASE_URL: fake.openaiBaseUrl, OPENAI_API_KEY: 'k' });
+    const deltas = [];
+    const reply = await completeChat(llm, 'chat', { messages: ask, max_tokens: 50 }, { onDelta: (d) => deltas.push(d) });
+    assert.equal(reply, 'General answer (max_tokens=50)');
+    assert.ok(deltas.length > 1);
+    assert.equal(fake.requests.openai[0].model, 'gpt-4o');
+  });
+
+  it('falls back to the secondary provider when the primary is rate limited', async () => {
+    const llm = createLLM([
+      createProviderFromEnv('openai', { OPENAI_BASE_URL: fake.rateLimitedBaseUrl }),
+      createProviderFromEnv('groq', { GROQ_API_KEY: 'k', GROQ_BASE_URL: fake.groqBaseUrl })
+    ]);
+    const reply = await completeChat(llm, 'chat', { messages: ask, max_tokens: 50 });
+    assert.equal(reply, 'General answer (max_tokens=50)');
+    assert.equal(fake.requests.groq[0].model, 'llama-3.3-70b-versatile');
+  });
+
+  it('reports llm_unavailable when every provider fails', async () => {
+    const llm = createLLM([createProviderFromEnv('openai', { OPENAI_BASE_URL: fake.rateLimitedBaseUrl })], { baseDelayMs: 1 });
+    await assert.rejects(completeChat(llm, 'chat', { messages: ask }), (error) => {
+      assert.equal(error.code, 'llm_unavailable');
+      assert.equal(error.retryable, true);
+      assert.equal(error.details.upstreamStatus, 429);
+      return true;
+    });
+  });
+
+  it('retries a transient failure before falling back', async () => {
+    const llm = createLLM([createProviderFromEnv('openai', { OPENAI_BASE_URL: fake.flakyBaseUrl })], { baseDelayMs: 1 });
+    const reply = await completeChat(llm, 'chat', { messages: ask, max_tokens: 50 });
+    assert.equal(reply, 'General answer (max_tokens=50)');
+  });
+
+  it('skips a provider whose circuit is open', async () => {
+    const llm = createLLM([
+      createProviderFromEnv('openai', { OPENAI_BASE_URL: fake.rateLimitedBaseUrl }),
+      createProviderFromEnv('groq', { GROQ_API_KEY: 'k', GROQ_BASE_URL: fake.groqBaseUrl })
+    ], { failureThreshold: 2 });
+    for (let i = 0; i < 3; i++) await completeChat(llm, 'chat', { messages: ask });
+    assert.equal(llm.circuitState('openai'), 'open');
+    assert.equal(fake.requests.groq.length, 3);
+  });
+
+  it('never opens the circuit for calls the user aborted', async () => {
+    // Like the Groq SDK's: no status, and its name stays "Error".
+    class APIUserAbortError extends Error {}
+    const provider = {
+      name: 'groq',
+      configured: true,
+      models: { default: 'llama' },
+      createCompletion: () => Promise.reject(new APIUserAbortError('Request was aborted.'))
+    };
+    const llm = createLLM([provider], { failureThreshold: 2, baseDelayMs: 1 });
+    for (let i = 0; i < 5; i++) {
+      const controller = new AbortController();
+      controller.abort();
+      await assert.rejects(llm.complete('chat', { messages: ask }, { signal: controller.signal }), /aborted/);
+    }
+    assert.equal(llm.circuitState('groq'), 'closed');
+  });
+});
@@ -0,0 +1,36 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDefaultRegistry, validateArgs } from '../skills/index.js';
+import gita from '../skills/gita.js';
+
+describe('skill arguments', () => {
+  const skills = createDefaultRegistry();
+
+  it('drops an invalid optional argument and keeps the chosen skill', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const result = validateArgs(gita.parameters, { feeling: 'sadness' });
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.value, {});
+    assert.deepEqual(result.ignored, ['"feeling" must be one of: ' + gita.parameters.properties.feeling.enum.join(', ')]);
+
+    const { skill, args } = skills.resolve({ skill: 'gita', args: { feeling: 'sadness' } });
+    assert.equal(skill.name, 'gita');
+    assert.deepEqual(args, {});
+  });
+
+  it('coerces numbers, booleans and enum case the model sent as strings', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const { skill, args } = skills.resolve({ skill: 'weather', args: { location: 'Pune', start_hour: '17', end_hour: 'evening', granularity: 'Hourly' } });
+    assert.equal(skill.name, 'weather');
+    assert.deepEqual([args.location, args.start_hour, args.end_hour, args.granularity], ['Pune', 17, undefined, 'hourly']);
+    assert.equal(skills.resolve({ skill: 'schedule', args: { time: '08:00', headlines: 'true', category: 'gossip' } }).args.headlines, true);
+  });
+
+  it('falls back only when a required argument is missing or invalid', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const schema = { type: 'object', properties: { expression: { type: 'string' } }, required: ['expression'] };
+    assert.deepEqual(validateArgs(schema, {}).errors, ['"expression" is required']);
+    assert.equal(validateArgs(schema, { expression: 42 }).valid, false);
+    assert.equal(skills.resolve({ skill: 'nonexistent', args: {} }).skill.name, 'general');
+  });
+});
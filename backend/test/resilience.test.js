@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { withRetry, createCircuitBreaker, isTransient } from '../resilience.js';
+
+const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { status });
+
+describe('withRetry', () => {
+  it('retries transient failures with backoff until one succeeds', async () => {
+    let calls = 0;
+    const result = await withRetry(async () => {
+      if (++calls < 3) throw httpError(503);
+      return 'ok';
+    }, { retries: 2, baseDelayMs: 1 });
+    assert.equal(result, 'ok');
+    assert.equal(calls, 3);
+  });
+
+  it('gives up on client errors straight away', async () => {
+    let calls = 0;
+    await assert.rejects(withRetry(async () => { calls++; throw httpError(404); }, { baseDelayMs: 1 }), /HTTP 404/);
+    assert.equal(calls, 1);
+  });
+
+  it('classifies failures', () => {
+    assert.ok(isTransient(httpError(429)));
+    assert.ok(isTransient(Object.assign(new Error('timeout'), { code: 'ECONNABORTED' })));
+    assert.ok(!isTransient(Object.assign(new Error('stop'), { name: 'AbortError' })));
+    assert.ok(!isTransient({ response: { status: 400 } }));
+  });
+});
+
+describe('createCircuitBreaker', () => {
+  it('opens after repeated failures and lets one trial through after resetMs', async () => {
+    const breaker = createCircuitBreaker({ name: 'weather', failureThreshold: 2, resetMs: 20 });
+    const fail = () => Promise.reject(httpError(502));
+
+    for (let i = 0; i < 2; i++) await assert.rejects(breaker.exec(fail));
+    assert.equal(breaker.state(), 'open');
+    await assert.rejects(breaker.exec(() => Promise.resolve('never called')), { circuitOpen: true });
+
+    await new Promise(resolve => setTimeout(resolve, 25));
+    assert.equal(breaker.state(), 'half-open');
+    assert.equal(await breaker.exec(() => Promise.resolve('ok')), 'ok');
+    assert.equal(breaker.state(), 'closed');
+  });
+
+  it('does not count calls whose own signal was aborted', async () => {
+    const breaker = createCircuitBreaker({ name: 'groq', failureThreshold: 1 });
+    const controller = new AbortController();
+    controller.abort();
+    for (let i = 0; i < 3; i++) await assert.rejects(breaker.exec(() => Promise.reject(new Error('Request was aborted.')), { signal: controller.signal }));
+    assert.equal(breaker.state(), 'closed');
+  });
+
+  it('does not count client errors as failures', async () => {
+    const breaker = createCircuitBreaker({ name: 'news', failureThreshold: 1 });
+    await assert.rejects(breaker.exec(() => Promise.reject(httpError(400))));
+    assert.equal(breaker.state(), 'closed');
+  });
+});
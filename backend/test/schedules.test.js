@@ -0,0 +1,78 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { parseTime, nextRunAt, createSchedule, createScheduleStore, createScheduler } from '../schedules.js';
+
+const at = (iso) => new Date(iso).getTime();
+const iso = (ms) => new Date(ms).toISOString();
+
+describe('schedule times', () => {
+  it('reads times of day', () => {
+    assert.deepEqual(['8', '8:30', '08:00', '8am', '7.30 pm', '12am', '12 pm'].map(parseTime), ['08:00', '08:30', '08:00', '08:00', '19:30', '00:00', '12:00']);
+    assert.deepEqual(['24:00', '13pm', 'noon', ''].map(parseTime), [undefined, undefined, undefined, undefined]);
+  });
+
+  it('finds the next run in the schedule\'s time zone, across daylight saving changes', () => {
+    assert.equal(iso(nextRunAt('08:00', 'Asia/Kolkata', at('2026-10-19T01:00:00Z'))), '2026-10-19T02:30:00.000Z');
+    assert.equal(iso(nextRunAt('08:00', 'Asia/Kolkata', at('2026-10-19T02:30:00Z'))), '2026-10-20T02:30:00.000Z');
+    // New York moves to EDT (UTC-4) on 8 March 2026 and back to EST (UTC-5) on 1 November.
+    assert.equal(iso(nextRunAt('08:00', 'America/New_York', at('2026-03-07T20:00:00Z'))), '2026-03-08T12:00:00.000Z');
+    assert.equal(iso(nextRunAt('08:00', 'America/New_York', at('2026-10-31T20:00:00Z'))), '2026-11-01T13:00:00.000Z');
+  });
+
+  it('validates what a schedule needs', () => {
+    const base = { time: '08:00', timeZone: 'Asia/Kolkata' };
+    assert.throws(() => createSchedule('s', { ...base, timeZone: 'Mars/Olympus', location: 'Pune' }), { code: 'invalid_request' });
+    assert.throws(() => createSchedule('s', base), /needs a "location" for the weather, "news", or both/);
+    assert.throws(() => createSchedule('s', { ...base, type: 'rain' }), /rain alert needs a "location"/);
+    assert.throws(() => createSchedule('s', { ...base, type: 'rain', location: 'Pune', threshold: 150 }), /threshold/);
+    const headlines = createSchedule('s', { ...base, news: {} });
+    assert.deepEqual(headlines.news, {});
+    assert.equal(createSchedule('s', { ...base, type: 'rain', location: 'Pune' }).threshold, 60);
+  });
+});
+
+describe('schedule store', () => {
+  it('keeps schedules and inboxes across restarts', async (t) => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'nodemesh-schedules-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    const filePath = path.join(dir, 'schedules.json');
+
+    const store = createScheduleStore({ filePath, maxPerSession: 1 });
+    const schedule = await store.add(createSchedule('s1', { time: '08:00', timeZone: 'UTC', location: 'Pune' }));
+    await assert.rejects(store.add(createSchedule('s1', { time: '09:00', timeZone: 'UTC', location: 'Pune' })), { code: 'invalid_request' });
+    const entry = await store.deliver('s1', { scheduleId: schedule.id, type: 'briefing', content: 'Good morning' });
+    await store.flush();
+
+    const reloaded = createScheduleStore({ filePath });
+    assert.deepEqual(await reloaded.list('s1'), [schedule]);
+    assert.deepEqual(await reloaded.inbox('s1'), [entry]);
+    assert.equal(await reloaded.clear('s1'), true);
+    assert.equal(await reloaded.clear('s1'), false);
+  });
+});
+
+describe('scheduler', () => {
+  it('books the next run first, survives failing jobs and skips runs missed by too much', async () => {
+    const store = createScheduleStore();
+    const now = at('2026-10-19T08:00:00Z');
+    const late = await store.add(createSchedule('s', { time: '06:00', timeZone: 'UTC', location: 'Pune' }, { now: now - 3 * 60 * 60 * 1000 }));
+    const failing = await store.add(createSchedule('s', { time: '07:45', timeZone: 'UTC', location: 'Pune' }, { now: now - 60 * 60 * 1000 }));
+    const ran = [];
+    const scheduler = createScheduler({
+      store,
+      run: async (schedule) => {
+        ran.push(schedule.id);
+        throw new Error('upstream down');
+      }
+    });
+
+    await scheduler.tick(now);
+    assert.deepEqual(ran, [failing.id]);
+    const next = Object.fromEntries((await store.list('s')).map(s => [s.id, iso(s.nextRunAt)]));
+    assert.deepEqual(next, { [late.id]: '2026-10-20T06:00:00.000Z', [failing.id]: '2026-10-20T07:45:00.000Z' });
+    assert.deepEqual(await store.due(now), []);
+  });
+});
@@ -0,0 +1,42 @@
+import { createMemoryStore } from './sessionStore.js';
+
+// --- TOKEN QUOTAS ---
+// Each client gets an LLM token budget per fixed window. Tokens are recorded after a
+// reply, so the request that crosses the limit completes and the next one is refused.
+// A client with a `parent` (a browser token under an API key, see auth.js) is also charged
+// to the parent, whose quota caps all of its browsers together.
+export function createUsageMeter({ windowMs, defaultQuota, maxClients = 10000 }) {
+  const windows = createMemoryStore({ ttlMs: windowMs, maxSessions: maxClients });
+
+  async function current(clientId) {
+    const window = await windows.get(clientId);
+    if (window && Date.now() - window.startedAt < windowMs) return window;
+    return { startedAt: Date.now(), tokens: 0, requests: 0 };
+  }
+
+  return {
+    async record(client, tokens) {
+      const window = await current(client.id);
+      await windows.set(client.id, { ...window, tokens: window.tokens + tokens, requests: window.requests + 1 });
+      if (client.parent) await this.record(client.parent, tokens);
+    },
+
+    // A limit of 0 means unlimited. A browser's `remaining` never exceeds what its parent has left.
+    async get(client) {
+      const window = await current(client.id);
+      const limit = client.tokenQuota ?? defaultQuota;
+      const usage = {
+        clientId: client.id,
+        limit,
+        used: window.tokens,
+        remaining: limit ? Math.max(limit - window.tokens, 0) : null,
+        requests: window.requests,
+        resetAt: new Date(window.startedAt + windowMs).toISOString()
+      };
+      if (!client.parent) return usage;
+      const parent = await this.get(client.parent);
+      if (parent.remaining === null || (usage.remaining !== null && usage.remaining <= parent.remaining)) return usage;
+      return { ...usage, remaining: parent.remaining, resetAt: parent.resetAt };
+    }
+  };
+}
@@ -1,10 +1,28 @@
-import { useState, useRef, useEffect } from "react";
+import { useState, useRef, useEffect, useMemo } from "react";
 import "./App.css";
-import axios from "axios";
 import ChatBubble from "./ChatBubble"; 
 import TypingIndicator from "./TypingIndicator";
+import SafetyNotice from "./SafetyNotice";
+import ConversationSidebar from "./ConversationSidebar";
+import MicButton from "./MicButton";
+import AttachButton from "./AttachButton";
+import DocumentChips from "./DocumentChips";
+import ScheduleChips from "./ScheduleChips";
+import { streamChat, rehydrateSession, deleteSession, fetchUsage, sendFeedback, listDocuments, deleteDocument, listSchedules, setSchedulePaused, deleteSchedule, fetchBriefings } from "./api";
+import { notificationPermission, requestNotificationPermission, notifyBriefing } from "./notifications";
+import { exportConversation, parseConversationExport } from "./conversationExport";
+import { LANGUAGE_OPTIONS, loadLanguage, saveLanguage, uiLanguage, t } from "./i18n";
+import {
+  createConversation,
+  loadConversations,
+  saveConversations,
+  loadActiveId,
+  saveActiveId,
+  titleFor,
+  toSessionHistory
+} from "./conversations";
 
-const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || "http://localhost:3001";
+const BRIEFING_POLL_MS = 60 * 1000;
 
 function App() {
   const [darkMode, setDarkMode] = useState(() => {
@@ -14,13 +32,175 @@ function App() {
     return false;
   });
 
-  const [chatHistory, setChatHistory] = useState([]);
+  const [conversations, setConversations] = useState(loadConversations);
+  const [activeId, setActiveId] = useState(() => loadActiveId(conversations));
+  const [showSidebar, setShowSidebar] = useState(false);
   const [question, setQuestion] = useState("");
   const [generatingAnswer, setGeneratingAnswer] = useState(false);
   const [showScrollArrow, setShowScrollArrow] = useState(false);
+  const [usage, setUsage] = useState(null);
+  // Reply language preference; "auto" lets the server detect it per message.
+  const [language, setLanguage] = useState(loadLanguage);
+  // Documents the active conversation can be asked about (kept server-side per session).
+  const [documents, setDocuments] = useState([]);
+  // Daily briefings and rain alerts of the active conversation (created from chat).
+  const [schedules, setSchedules] = useState([]);
+  const [notifications, setNotifications] = useState(notificationPermission);
+  const ui = uiLanguage(language);
   
   const chatContainerRef = useRef(null);
   const abortControllerRef = useRef(null); 
+  const conversationsRef = useRef(conversations);
+  const activeIdRef = useRef(activeId);
+
+  const chatHistory = useMemo(
+    () => conversations.find(c => c.id === activeId)?.messages || [],
+    [conversations, activeId]
+  );
+
+  // Applies `update` to one conversation's messages; streaming keeps writing to the
+  // conversation the question was asked in.
+  const updateMessages = (conversationId, update) => {
+    setConversations(prev => prev.map(c => (
+      c.id === conversationId ? { ...c, messages: update(c.messages), updatedAt: Date.now() } : c
+    )));
+  };
+
+  useEffect(() => {
+    conversationsRef.current = conversations;
+    saveConversations(conversations);
+  }, [conversations]);
+
+  // The backend may have expired or never seen this session, so seed it from local history.
+  useEffect(() => {
+    saveActiveId(activeId);
+    const conversation = conversationsRef.current.find(c => c.id === activeId);
+    if (!conversation) return;
+    rehydrateSession(activeId, toSessionHistory(conversation.messages))
+      .catch(error => console.error("Session rehydrate failed:", error.message));
+  }, [activeId]);
+
+  const refreshDocuments = (conversationId) => {
+    listDocuments(conversationId)
+      .then(list => { if (conversationId === activeIdRef.current) setDocuments(list); })
+      .catch(error => console.error("Document list failed:", error.message));
+  };
+
+  // A conversation with schedules keeps `briefingsSince`, the server time of the last briefing
+  // it has (or of its first schedule), so the poll below only asks for newer ones.
+  const refreshSchedules = (conversationId) => {
+    listSchedules(conversationId)
+      .then(list => {
+        if (conversationId === activeIdRef.current) setSchedules(list);
+        setConversations(prev => prev.map(c => {
+          if (c.id !== conversationId || Boolean(c.briefingsSince) === Boolean(list.length)) return c;
+          if (!list.length) return { ...c, briefingsSince: undefined };
+          return { ...c, briefingsSince: list.map(s => s.createdAt).sort()[0] };
+        }));
+      })
+      .catch(error => console.error("Schedule list failed:", error.message));
+  };
+
+  useEffect(() => {
+    activeIdRef.current = activeId;
+    setDocuments([]);
+    setSchedules([]);
+    refreshDocuments(activeId);
+    refreshSchedules(activeId);
+  }, [activeId]);
+
+  const removeDocument = (documentId) => {
+    setDocuments(prev => prev.filter(d => d.id !== documentId));
+    deleteDocument(activeId, documentId).catch(error => console.error("Document delete failed:", error.message));
+  };
+
+  const toggleSchedulePaused = (schedule) => {
+    setSchedulePaused(activeId, schedule.id, !schedule.paused)
+      .then(updated => setSchedules(prev => prev.map(s => (s.id === updated.id ? updated : s))))
+      .catch(error => console.error("Schedule update failed:", error.message));
+  };
+
+  const removeSchedule = (scheduleId) => {
+    setSchedules(prev => prev.filter(s => s.id !== scheduleId));
+    deleteSchedule(activeId, scheduleId)
+      .then(() => refreshSchedules(activeId))
+      .catch(error => console.error("Schedule delete failed:", error.message));
+  };
+
+  // Delivered briefings become answers in their conversation (before an answer still
+  // streaming there); a notification is shown when they arrive out of sight.
+  const receiveBriefings = (conversationId, briefings) => {
+    setConversations(prev => prev.map(c => {
+      if (c.id !== conversationId) return c;
+      const entries = briefings
+        .filter(b => !c.messages.some(m => m.briefingId === b.id))
+        .map(b => ({ type: 'answer', content: b.content, intent: 'briefing', language: b.language, briefingId: b.id, at: Date.parse(b.at) }));
+      const last = c.messages[c.messages.length - 1];
+      const messages = last?.streaming ? [...c.messages.slice(0, -1), ...entries, last] : [...c.messages, ...entries];
+      return { ...c, messages, briefingsSince: briefings[briefings.length - 1].at, updatedAt: Date.now() };
+    }));
+    if (document.hidden || conversationId !== activeIdRef.current) {
+      for (const briefing of briefings) notifyBriefing(briefing);
+    }
+  };
+
+  // Polling rather than the briefings SSE stream: EventSource can't send the Authorization header.
+  useEffect(() => {
+    const poll = () => {
+      for (const conversation of conversationsRef.current.filter(c => c.briefingsSince)) {
+        fetchBriefings(conversation.id, conversation.briefingsSince)
+          .then(briefings => { if (briefings.length) receiveBriefings(conversation.id, briefings); })
+          .catch(error => console.error("Briefing poll failed:", error.message));
+      }
+    };
+    poll();
+    const timer = setInterval(poll, BRIEFING_POLL_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  useEffect(() => {
+    saveLanguage(language);
+  }, [language]);
+
+  useEffect(() => {
+    fetchUsage().then(setUsage).catch(error => console.error("Usage fetch failed:", error.message));
+  }, []);
+
+  const createNewConversation = () => {
+    const conversation = createConversation();
+    setConversations(prev => [conversation, ...prev]);
+    setActiveId(conversation.id);
+  };
+
+  const renameConversation = (id, title) => {
+    setConversations(prev => prev.map(c => (c.id === id ? { ...c, title } : c)));
+  };
+
+  const removeConversation = (id) => {
+    if (!window.confirm("Delete this conversation?")) return;
+    deleteSession(id).catch(() => {});
+    const remaining = conversations.filter(c => c.id !== id);
+    if (!remaining.length) remaining.push(createConversation());
+    setConversations(remaining);
+    if (id === activeId) setActiveId(remaining[0].id);
+  };
+
+  const downloadConversation = (id, format) => {
+    const conversation = conversations.find(c => c.id === id);
+    exportConversation(conversation, format).catch(error => window.alert(error.message));
+  };
+
+  // Imported chats get a fresh id; switching to it seeds the backend session via the effect above.
+  const importConversation = async (file) => {
+    try {
+      const conversation = parseConversationExport(await file.text());
+      setConversations(prev => [conversation, ...prev]);
+      setActiveId(conversation.id);
+      setShowSidebar(false);
+    } catch (error) {
+      window.alert(t(ui, "importFailed", { error: error.message }));
+    }
+  };
 
   useEffect(() => {
     if (chatContainerRef.current) {
@@ -52,55 +232,157 @@ function App() {
     }
   };
 
-  async function generateAnswer(e) {
+  function generateAnswer(e) {
     e.preventDefault();
     if (!question.trim()) return;
+    const currentQuestion = question;
+    setQuestion("");
+    sendMessage(activeId, currentQuestion);
+  }
 
+  // Every question carries a turnId; the server checkpoints its session state before each turn.
+  // With `rewindIndex` the question at that index is asked again (regenerate) or replaced
+  // (edit-and-resend): everything from it onward is dropped, and the server rewinds to the
+  // transcript before it and that turn's checkpoint.
+  async function sendMessage(conversationId, text, { rewindIndex } = {}) {
     abortControllerRef.current = new AbortController();
     setGeneratingAnswer(true);
-    const currentQuestion = question;
-    setQuestion(""); 
 
-    const historyContext = chatHistory.slice(-6).map(msg => ({
-      role: msg.type === 'question' ? 'user' : 'model',
-      parts: [{ text: msg.content }]
-    }));
+    const messages = conversations.find(c => c.id === conversationId)?.messages || [];
+    const rewinding = rewindIndex !== undefined;
+    const earlier = rewinding ? messages.slice(0, rewindIndex) : messages;
+    const turnId = (rewinding && messages[rewindIndex]?.turnId) || crypto.randomUUID();
 
-    setChatHistory(prev => [...prev, { type: 'question', content: currentQuestion }]);
+    setConversations(prev => prev.map(c => (
+      c.id === conversationId ? { ...c, title: titleFor(c, text) } : c
+    )));
+    updateMessages(conversationId, prev => [
+      ...(rewinding ? prev.slice(0, rewindIndex) : prev),
+      { type: 'question', content: text, turnId, at: Date.now() }
+    ]);
+
+    // Streamed chunks are appended to the last answer entry as they arrive.
+    const updateAnswer = (update) => {
+      updateMessages(conversationId, prev => {
+        const last = prev[prev.length - 1];
+        if (last?.type === 'answer' && last.streaming) {
+          return [...prev.slice(0, -1), { ...last, ...update(last) }];
+        }
+        return [...prev, { type: 'answer', content: '', streaming: true, at: Date.now(), ...update({ content: '' }) }];
+      });
+    };
 
     try {
-      const response = await axios.post(`${API_BASE_URL}/chat`, { 
-        message: currentQuestion,
-        history: historyContext
+      await streamChat({
+        message: text,
+        sessionId: conversationId,
+        locale: navigator.language,
+        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        ...(language !== "auto" && { language }),
+        turnId,
+        ...(rewinding && { rewind: true, history: toSessionHistory(earlier) })
       }, {
-        signal: abortControllerRef.current.signal
+        signal: abortControllerRef.current.signal,
+        onEvent: (event, data) => {
+          if (event === 'intent') updateAnswer(() => ({ intent: data.intent }));
+          else if (event === 'delta') updateAnswer(last => ({ content: last.content + data.content }));
+          else if (event === 'tool') updateAnswer(last => ({ tools: [...(last.tools || []), data] }));
+          else if (event === 'done') {
+            updateAnswer(() => ({ content: data.reply, intent: data.intent, language: data.language, card: data.card, tools: data.tools, replyId: data.replyId, streaming: false }));
+            if (data.usage) setUsage(data.usage);
+            // A link in the question adds a document.
+            if (data.intent === 'documents') refreshDocuments(conversationId);
+            if (data.intent === 'schedule') refreshSchedules(conversationId);
+          }
+          else if (event === 'error') updateAnswer(() => ({ content: data.error, streaming: false }));
+        }
       });
-      
-      const aiResponse = response.data.reply;
-      setChatHistory(prev => [...prev, { type: 'answer', content: aiResponse }]);
     } catch (error) {
-      if (axios.isCancel(error)) {
-        setChatHistory(prev => [...prev, { type: 'answer', content: "_Generation stopped by user._" }]);
+      if (error.name === 'AbortError') {
+        updateAnswer(last => ({
+          content: last.content ? `${last.content}\n\n${t(ui, "stopped")}` : t(ui, "stopped"),
+          streaming: false
+        }));
+      } else if (error.status) {
+        if (error.data?.usage) setUsage(error.data.usage);
+        updateAnswer(() => ({ content: error.message, streaming: false }));
       } else {
-        console.error("Error:", error.response?.data || error.message);
-        setChatHistory(prev => [...prev, { type: 'answer', content: "Sorry - Something went wrong connecting to the server." }]);
+        console.error("Error:", error.message);
+        updateAnswer(() => ({ content: t(ui, "connectionFailed"), streaming: false }));
       }
     } finally {
+      updateMessages(conversationId, prev => {
+        const last = prev[prev.length - 1];
+        return last?.streaming ? [...prev.slice(0, -1), { ...last, streaming: false }] : prev;
+      });
       setGeneratingAnswer(false);
       abortControllerRef.current = null;
     }
   }
 
+  // --- MESSAGE ACTIONS ---
+  const regenerateAnswer = (answerIndex) => {
+    const questionIndex = chatHistory.findLastIndex((m, i) => i < answerIndex && m.type === 'question');
+    if (questionIndex === -1) return;
+    sendMessage(activeId, chatHistory[questionIndex].content, { rewindIndex: questionIndex });
+  };
+
+  const rateAnswer = async (conversationId, index, rating, comment) => {
+    const { replyId } = conversations.find(c => c.id === conversationId).messages[index];
+    try {
+      await sendFeedback({ replyId, rating, comment });
+      updateMessages(conversationId, prev => prev.map((m, i) => (i === index ? { ...m, feedback: { rating, comment } } : m)));
+    } catch (error) {
+      window.alert(t(ui, "feedbackFailed", { error: error.response?.data?.error || error.message }));
+    }
+  };
+
+  const lastEntry = chatHistory[chatHistory.length - 1];
+  const awaitingFirstChunk = generatingAnswer && !(lastEntry?.type === 'answer' && lastEntry.content);
+
   return (
     <div className={`fixed inset-0 transition-colors duration-500 ${darkMode ? 'bg-gradient-to-br from-gray-900 via-gray-800 to-gray-900' : 'bg-gradient-to-r from-blue-50 to-blue-100'}`}>
-      <div className="h-full max-w-4xl mx-auto flex flex-col p-3 relative">
+      <div className="h-full max-w-6xl mx-auto flex gap-3 p-3">
+        <div className={`${showSidebar ? 'flex' : 'hidden'} md:flex`}>
+          <ConversationSidebar
+            conversations={conversations}
+            activeId={activeId}
+            onSelect={(id) => { setActiveId(id); setShowSidebar(false); }}
+            onCreate={() => { createNewConversation(); setShowSidebar(false); }}
+            onRename={renameConversation}
+            onDelete={removeConversation}
+            onExport={downloadConversation}
+            onImport={importConversation}
+            darkMode={darkMode}
+            disabled={generatingAnswer}
+          />
+        </div>
+
+      <div className="flex-1 min-w-0 flex flex-col relative">
         
         <header className="flex items-center justify-between py-4">
+          <button
+            type="button"
+            onClick={() => setShowSidebar(v => !v)}
+            className={`md:hidden mr-3 px-3 py-2 rounded-lg shadow-md ${darkMode ? 'bg-gray-700 text-cyan-200' : 'bg-blue-100 text-blue-700'}`}
+            title="Conversations"
+          >
+            ☰
+          </button>
           <a href="https://github.com/ANKVIT26" target="_blank" rel="noopener noreferrer" className="block group">
             <h1 className={`text-4xl font-bold transition-all duration-300 ${darkMode ? 'text-cyan-300 group-hover:text-cyan-400' : 'text-blue-500 group-hover:text-blue-600'}`}>NodeMesh AI</h1>
           </a>
+          <select
+            value={language}
+            onChange={(e) => setLanguage(e.target.value)}
+            title="Reply language"
+            aria-label="Reply language"
+            className={`ml-auto px-2 py-2 rounded-lg shadow-md focus:outline-none ${darkMode ? 'bg-gray-700 text-cyan-200' : 'bg-blue-100 text-blue-700'}`}
+          >
+            {LANGUAGE_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+          </select>
           <button
-            className={`ml-4 px-4 py-2 rounded-lg font-semibold shadow-md transition-all duration-200 focus:outline-none ${darkMode ? 'bg-gray-700 text-cyan-200 hover:bg-gray-600' : 'bg-blue-100 text-blue-700 hover:bg-blue-200'}`}
+            className={`ml-2 px-4 py-2 rounded-lg font-semibold shadow-md transition-all duration-200 focus:outline-none ${darkMode ? 'bg-gray-700 text-cyan-200 hover:bg-gray-600' : 'bg-blue-100 text-blue-700 hover:bg-blue-200'}`}
             onClick={() => setDarkMode((d) => !d)}
             type="button"
           >
@@ -146,9 +428,25 @@ function App() {
           ) : (
             <div className="flex flex-col space-y-2">
               {chatHistory.map((chat, index) => (
-                <ChatBubble key={index} message={chat.content} isUser={chat.type === 'question'} />
+                chat.intent === 'crisis'
+                  ? <SafetyNotice key={index} message={chat.content} language={chat.language || ui} darkMode={darkMode} />
+                  : <ChatBubble
+                      key={index}
+                      message={chat.content}
+                      card={chat.card}
+                      tools={chat.tools}
+                      intent={chat.intent}
+                      language={chat.language}
+                      isUser={chat.type === 'question'}
+                      isStreaming={chat.streaming}
+                      disabled={generatingAnswer}
+                      onEdit={(text) => sendMessage(activeId, text, { rewindIndex: index })}
+                      onRegenerate={chat.intent === 'briefing' ? undefined : () => regenerateAnswer(index)}
+                      onFeedback={chat.replyId ? (rating, comment) => rateAnswer(activeId, index, rating, comment) : undefined}
+                      feedback={chat.feedback}
+                    />
               ))}
-              {generatingAnswer && (
+              {awaitingFirstChunk && (
                 <div className="flex justify-start mt-2 animate-fade-in">
                   <TypingIndicator />
                 </div>
@@ -167,6 +465,16 @@ function App() {
         </div>
 
         <form onSubmit={generateAnswer} className={`rounded-lg shadow-lg p-4 transition-colors duration-500 ${darkMode ? 'bg-gray-900' : 'bg-white'}`}>
+          <ScheduleChips
+            schedules={schedules}
+            onTogglePaused={toggleSchedulePaused}
+            onRemove={removeSchedule}
+            onEnableNotifications={notifications === "default" ? () => requestNotificationPermission().then(setNotifications) : undefined}
+            language={ui}
+            darkMode={darkMode}
+            disabled={generatingAnswer}
+          />
+          <DocumentChips documents={documents} onRemove={removeDocument} darkMode={darkMode} disabled={generatingAnswer} />
           <div className="flex gap-2 items-center">
             <textarea
               required
@@ -184,6 +492,21 @@ function App() {
               }}
             ></textarea>
             
+            <AttachButton
+              sessionId={activeId}
+              language={ui}
+              disabled={generatingAnswer}
+              darkMode={darkMode}
+              onUploaded={(document) => setDocuments(prev => [...prev.filter(d => d.source !== document.source), document])}
+            />
+
+            <MicButton
+              disabled={generatingAnswer}
+              darkMode={darkMode}
+              language={language}
+              onTranscript={(text) => setQuestion(prev => (prev.trim() ? `${prev.trimEnd()} ${text}` : text))}
+            />
+
             {generatingAnswer ? (
               <button
                 type="button"
@@ -201,8 +524,14 @@ function App() {
               </button>
             )}
           </div>
+          {usage?.remaining != null && (
+            <p className={`mt-2 text-xs text-right ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+              {usage.remaining.toLocaleString()} of {usage.limit.toLocaleString()} tokens left · resets {new Date(usage.resetAt).toLocaleString()}
+            </p>
+          )}
         </form>
       </div>
+      </div>
     </div>
   );
 }
@@ -0,0 +1,52 @@
+import { useRef, useState } from 'react';
+import { uploadDocument, DOCUMENT_EXTENSIONS } from './api';
+import { t } from './i18n';
+
+// 📎 in the composer: uploads PDF, text or Markdown files to the conversation's session so
+// questions can be answered from them. `language` is the UI language for error messages.
+export default function AttachButton({ sessionId, onUploaded, language, disabled = false, darkMode }) {
+  const inputRef = useRef(null);
+  const [uploading, setUploading] = useState(false);
+
+  const upload = async (files) => {
+    setUploading(true);
+    try {
+      for (const file of files) onUploaded(await uploadDocument(sessionId, file));
+    } catch (error) {
+      window.alert(t(language, 'uploadFailed', { error: error.message }));
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const label = uploading ? 'Reading document…' : 'Attach a PDF, text or Markdown file';
+
+  return (
+    <>
+      <button
+        type="button"
+        disabled={disabled || uploading}
+        onClick={() => inputRef.current?.click()}
+        title={label}
+        aria-label={label}
+        className={`px-3 py-2 rounded-md shadow-md transition-colors disabled:opacity-50 ${
+          darkMode ? 'bg-gray-700 text-cyan-200 hover:bg-gray-600' : 'bg-blue-100 text-blue-700 hover:bg-blue-200'
+        }`}
+      >
+        {uploading ? '⏳' : '📎'}
+      </button>
+      <input
+        ref={inputRef}
+        type="file"
+        multiple
+        accept={[...DOCUMENT_EXTENSIONS, 'application/pdf', 'text/plain', 'text/markdown'].join(',')}
+        className="hidden"
+        onChange={(e) => {
+          const files = [...(e.target.files || [])];
+          e.target.value = '';
+          if (files.length) upload(files);
+        }}
+      />
+    </>
+  );
+}
@@ -1,47 +1,72 @@
 // src/components/ChatBubble.jsx
-import { useState, useEffect } from 'react';
-import ReactMarkdown from 'react-markdown';
+import { useState } from 'react';
+import MarkdownMessage from './MarkdownMessage';
+import WeatherCard from './WeatherCard';
+import NewsCard from './NewsCard';
+import ToolSteps from './ToolSteps';
+import { canSpeak, speak, stopSpeaking, toSpeechText } from './speech';
+import { localeFor } from './i18n';
 
-export default function ChatBubble({ message, isUser }) {
-  // Initialize state
-  const [displayedText, setDisplayedText] = useState(isUser ? message : '');
-  const [isTyping, setIsTyping] = useState(!isUser);
+const CARDS = { weather: WeatherCard, news: NewsCard };
 
-  useEffect(() => {
-    // If it's the user, show text immediately
-    if (isUser) {
-      setDisplayedText(message);
-      setIsTyping(false);
-      return;
+const actionClass = 'px-2 py-1 rounded-md hover:bg-gray-200/60 disabled:opacity-40 disabled:cursor-not-allowed';
+
+// Bot answers with a structured `card` (weather, news) render it instead of the Markdown,
+// which is still what gets copied and exported. `language` is the reply's language, used for
+// the card's labels and the read-aloud voice. `tools` are the tool calls behind a general
+// answer, shown above it as collapsible steps.
+// Action handlers are optional; a bar only shows the actions it was given.
+//   bot answers: copy (raw Markdown), read aloud, onRegenerate(), onFeedback(rating, comment) with `feedback` = { rating, comment }
+//   user turns:  onEdit(text) to resend the edited question, forking the conversation there
+// `disabled` greys out actions that would start a new request while one is running.
+export default function ChatBubble({ message, card, tools, intent, language, isUser, isStreaming = false, onRegenerate, onEdit, onFeedback, feedback, disabled = false }) {
+  const [copied, setCopied] = useState(false);
+  const [speaking, setSpeaking] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState(message);
+  const [pendingRating, setPendingRating] = useState(null);
+  const [comment, setComment] = useState('');
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(message);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch (error) {
+      console.error("Copy failed:", error.message);
     }
+  };
+
+  const readAloud = () => {
+    if (speaking) return stopSpeaking();
+    setSpeaking(true);
+    speak(toSpeechText(message, { intent }), { lang: localeFor(language), onEnd: () => setSpeaking(false) });
+  };
+
+  const startEditing = () => {
+    setDraft(message);
+    setEditing(true);
+  };
 
-    // If it's the bot, RESET text to prevent "stuttering" / duplication
-    setDisplayedText(''); 
-    setIsTyping(true);
+  const resend = (e) => {
+    e.preventDefault();
+    if (!draft.trim()) return;
+    setEditing(false);
+    onEdit(draft.trim());
+  };
 
-    let i = 0;
-    const typingSpeed = 12; 
-    
-    const intervalId = setInterval(() => {
-      const charToAdd=message.charAt(i);
-      setDisplayedText((prev) => {
-        if (i >= message.length) return prev;
-        return prev + charToAdd;
-      });
-      
-      i++;
-      if (i >= message.length) {
-        clearInterval(intervalId);
-        setIsTyping(false);
-      }
-    }, typingSpeed);
+  const submitFeedback = (e) => {
+    e.preventDefault();
+    onFeedback(pendingRating, comment.trim() || undefined);
+    setPendingRating(null);
+    setComment('');
+  };
 
-    return () => clearInterval(intervalId);
-    
-  }, [message, isUser]);
+  const showActions = !isStreaming && !editing && (isUser ? onEdit : true);
+  const Card = !isUser && card && CARDS[card.type];
 
   return (
-    <div className={`flex w-full ${isUser ? 'justify-end' : 'justify-start'} mb-4`}>
+    <div className={`flex flex-col w-full ${isUser ? 'items-end' : 'items-start'} mb-4`}>
       <div
         className={`max-w-[80%] p-4 shadow-md ${
           isUser
@@ -49,18 +74,86 @@ export default function ChatBubble({ message, isUser }) {
             : 'bg-white border border-gray-200 text-gray-800 rounded-2xl rounded-tl-none'
         }`}
       >
-        <div className={`prose ${isUser ? 'prose-invert' : ''} max-w-none text-sm sm:text-base leading-relaxed break-words`}>
+        {!isUser && <ToolSteps steps={tools} language={language} />}
+        {editing ? (
+          <form onSubmit={resend} className="flex flex-col gap-2 min-w-[16rem]">
+            <textarea
+              autoFocus
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              rows="3"
+              className="w-full rounded p-2 text-gray-900 resize-y"
+            />
+            <div className="flex justify-end gap-2 text-sm">
+              <button type="button" onClick={() => setEditing(false)} className="px-3 py-1 rounded-md bg-blue-500 hover:bg-blue-400">Cancel</button>
+              <button type="submit" disabled={disabled} className="px-3 py-1 rounded-md bg-white text-blue-700 font-semibold hover:bg-blue-50 disabled:opacity-50">Save &amp; resend</button>
+            </div>
+          </form>
+        ) : Card ? (
+          <Card card={card} language={language} />
+        ) : (
+          <div className={`prose ${isUser ? 'prose-invert' : ''} max-w-none text-sm sm:text-base leading-relaxed break-words`}>
+            {isUser ? (
+              <p className="whitespace-pre-wrap">{message}</p>
+            ) : (
+              <MarkdownMessage>{message}</MarkdownMessage>
+            )}
+          </div>
+        )}
+
+        {/* Cursor stays visible while chunks are still arriving from the server */}
+        {!isUser && isStreaming && (
+          <span className="inline-block w-1.5 h-4 ml-1 align-middle bg-blue-500 animate-pulse"></span>
+        )}
+      </div>
+
+      {/* --- MESSAGE ACTIONS --- */}
+      {showActions && (
+        <div className="flex items-center gap-1 mt-1 text-xs text-gray-500">
           {isUser ? (
-            <p className="whitespace-pre-wrap">{message}</p>
+            <button type="button" onClick={startEditing} disabled={disabled} className={actionClass} title="Edit and resend">✏️ Edit</button>
           ) : (
-            <ReactMarkdown>{displayedText}</ReactMarkdown>
+            <>
+              <button type="button" onClick={copy} className={actionClass} title="Copy as Markdown">{copied ? '✅ Copied' : '📋 Copy'}</button>
+              {canSpeak() && (
+                <button type="button" onClick={readAloud} className={actionClass} title={speaking ? 'Stop reading' : 'Read aloud'} aria-pressed={speaking}>
+                  {speaking ? '⏹️ Stop' : '🔊 Listen'}
+                </button>
+              )}
+              {onRegenerate && (
+                <button type="button" onClick={onRegenerate} disabled={disabled} className={actionClass} title="Regenerate this answer">↻ Regenerate</button>
+              )}
+              {onFeedback && ['up', 'down'].map(rating => (
+                <button
+                  key={rating}
+                  type="button"
+                  onClick={() => setPendingRating(pendingRating === rating ? null : rating)}
+                  className={`${actionClass} ${feedback?.rating === rating || pendingRating === rating ? 'bg-gray-200/80' : ''}`}
+                  title={rating === 'up' ? 'Good answer' : 'Bad answer'}
+                  aria-pressed={feedback?.rating === rating}
+                >
+                  {rating === 'up' ? '👍' : '👎'}
+                </button>
+              ))}
+              {feedback && !pendingRating && <span>Thanks for the feedback</span>}
+            </>
           )}
         </div>
-        
-        {!isUser && isTyping && (
-          <span className="inline-block w-1.5 h-4 ml-1 align-middle bg-blue-500 animate-pulse"></span>
-        )}
-      </div>
+      )}
+
+      {pendingRating && (
+        <form onSubmit={submitFeedback} className="flex gap-2 mt-1 w-full max-w-[80%] text-sm">
+          <input
+            autoFocus
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            maxLength={1000}
+            placeholder={pendingRating === 'up' ? 'What was helpful? (optional)' : 'What went wrong? (optional)'}
+            className="flex-1 border border-gray-300 rounded-md px-2 py-1 text-gray-900"
+          />
+          <button type="submit" className="px-3 py-1 rounded-md bg-blue-500 text-white hover:bg-blue-600">Send</button>
+        </form>
+      )}
     </div>
   );
 }
@@ -0,0 +1,116 @@
+import { useState, useRef } from 'react';
+
+const EXPORT_FORMATS = [
+  { format: 'markdown', label: 'Markdown (.md)' },
+  { format: 'json', label: 'JSON (.json)' },
+  { format: 'html', label: 'HTML (.html)' },
+  { format: 'print', label: 'Print / Save as PDF' }
+];
+
+export default function ConversationSidebar({ conversations, activeId, onSelect, onCreate, onRename, onDelete, onExport, onImport, darkMode, disabled }) {
+  const [editingId, setEditingId] = useState(null);
+  const [draftTitle, setDraftTitle] = useState('');
+  const [exportingId, setExportingId] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const startRename = (conversation) => {
+    setEditingId(conversation.id);
+    setDraftTitle(conversation.title);
+  };
+
+  const commitRename = () => {
+    if (draftTitle.trim()) onRename(editingId, draftTitle.trim());
+    setEditingId(null);
+  };
+
+  const sorted = [...conversations].sort((a, b) => b.updatedAt - a.updatedAt);
+
+  return (
+    <aside className={`w-64 shrink-0 flex flex-col rounded-lg shadow-lg p-3 transition-colors duration-500 ${darkMode ? 'bg-gray-800 text-cyan-100' : 'bg-white text-gray-800'}`}>
+      <button
+        type="button"
+        onClick={onCreate}
+        disabled={disabled}
+        className={`mb-3 px-4 py-2 rounded-md font-semibold shadow-md transition-colors disabled:opacity-50 ${darkMode ? 'bg-cyan-700 text-white hover:bg-cyan-800' : 'bg-blue-500 text-white hover:bg-blue-600'}`}
+      >
+        + New chat
+      </button>
+      <button
+        type="button"
+        onClick={() => fileInputRef.current?.click()}
+        disabled={disabled}
+        className={`mb-3 px-4 py-1.5 rounded-md text-sm border transition-colors disabled:opacity-50 ${darkMode ? 'border-gray-600 hover:bg-gray-700' : 'border-gray-300 hover:bg-blue-50'}`}
+      >
+        ⬆️ Import JSON
+      </button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="application/json,.json"
+        className="hidden"
+        onChange={(e) => {
+          const file = e.target.files?.[0];
+          if (file) onImport(file);
+          e.target.value = '';
+        }}
+      />
+
+      <ul className="flex-1 overflow-y-auto hide-scrollbar space-y-1">
+        {sorted.map((conversation) => {
+          const isActive = conversation.id === activeId;
+          return (
+            <li
+              key={conversation.id}
+              className={`group relative flex items-center gap-1 rounded-md px-2 py-2 text-sm ${
+                isActive
+                  ? (darkMode ? 'bg-gray-700' : 'bg-blue-100')
+                  : (darkMode ? 'hover:bg-gray-700' : 'hover:bg-blue-50')
+              }`}
+            >
+              {editingId === conversation.id ? (
+                <input
+                  autoFocus
+                  value={draftTitle}
+                  onChange={(e) => setDraftTitle(e.target.value)}
+                  onBlur={commitRename}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') commitRename();
+                    if (e.key === 'Escape') setEditingId(null);
+                  }}
+                  className={`flex-1 min-w-0 rounded px-1 border ${darkMode ? 'bg-gray-900 border-gray-600' : 'border-gray-300'}`}
+                />
+              ) : (
+                <button
+                  type="button"
+                  disabled={disabled}
+                  onClick={() => onSelect(conversation.id)}
+                  className="flex-1 min-w-0 text-left truncate disabled:cursor-not-allowed"
+                  title={conversation.title}
+                >
+                  {conversation.title}
+                </button>
+              )}
+              <button type="button" disabled={disabled} onClick={() => startRename(conversation)} className="opacity-0 group-hover:opacity-100 px-1" title="Rename">✏️</button>
+              <button type="button" onClick={() => setExportingId(exportingId === conversation.id ? null : conversation.id)} className="opacity-0 group-hover:opacity-100 px-1" title="Export">⬇️</button>
+              <button type="button" disabled={disabled} onClick={() => onDelete(conversation.id)} className="opacity-0 group-hover:opacity-100 px-1" title="Delete">🗑️</button>
+              {exportingId === conversation.id && (
+                <div className={`absolute right-0 top-full z-10 mt-1 w-48 rounded-md shadow-lg border py-1 ${darkMode ? 'bg-gray-900 border-gray-700' : 'bg-white border-gray-200'}`}>
+                  {EXPORT_FORMATS.map(({ format, label }) => (
+                    <button
+                      key={format}
+                      type="button"
+                      onClick={() => { setExportingId(null); onExport(conversation.id, format); }}
+                      className={`block w-full text-left px-3 py-1.5 ${darkMode ? 'hover:bg-gray-700' : 'hover:bg-blue-50'}`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </aside>
+  );
+}
@@ -0,0 +1,37 @@
+const iconFor = (document) => (/^https?:/.test(document.source) ? '🔗' : document.type === 'pdf' ? '📄' : '📝');
+
+function describe(document) {
+  const parts = [document.source];
+  if (document.pages) parts.push(`${document.pages} pages`);
+  if (document.truncated) parts.push('only the beginning was kept');
+  return parts.join(' · ');
+}
+
+// The documents the conversation can be asked about: uploads and pages linked in chat.
+export default function DocumentChips({ documents, onRemove, darkMode, disabled = false }) {
+  if (!documents.length) return null;
+
+  return (
+    <ul className="flex flex-wrap gap-2 mb-2" aria-label="Documents in this chat">
+      {documents.map(document => (
+        <li
+          key={document.id}
+          title={describe(document)}
+          className={`flex items-center gap-1 max-w-xs rounded-full px-3 py-1 text-xs ${darkMode ? 'bg-gray-800 text-cyan-200' : 'bg-blue-50 text-blue-700'}`}
+        >
+          <span aria-hidden="true">{iconFor(document)}</span>
+          <span className="truncate">{document.title}</span>
+          <button
+            type="button"
+            disabled={disabled}
+            onClick={() => onRemove(document.id)}
+            className="ml-1 opacity-60 hover:opacity-100 disabled:cursor-not-allowed"
+            aria-label={`Remove ${document.title}`}
+          >
+            ✕
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+}
@@ -0,0 +1,73 @@
+import { useState } from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import rehypeHighlight from 'rehype-highlight';
+import 'highlight.js/styles/github-dark.css';
+
+// Plain text of a hast node, so code blocks can be copied without the highlighting markup.
+const textOf = (node) => (node.type === 'text' ? node.value : (node.children || []).map(textOf).join(''));
+
+function CodeBlock({ node, children }) {
+  const [copied, setCopied] = useState(false);
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(textOf(node).replace(/\n$/, ''));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch (error) {
+      console.error("Copy failed:", error.message);
+    }
+  };
+
+  return (
+    <div className="relative group my-3">
+      <button
+        type="button"
+        onClick={copy}
+        className="absolute top-2 right-2 px-2 py-1 text-xs rounded-md bg-gray-700 text-gray-100 opacity-70 group-hover:opacity-100"
+      >
+        {copied ? '✅ Copied' : '📋 Copy'}
+      </button>
+      <pre className="overflow-x-auto rounded-lg bg-[#0d1117] p-4 text-sm text-gray-100">{children}</pre>
+    </div>
+  );
+}
+
+// Links leave the app: new tab, no opener, no referrer. react-markdown already drops
+// unsafe protocols such as javascript:.
+function Link({ href, children }) {
+  const external = /^(https?:|mailto:)/i.test(href || '');
+  return (
+    <a
+      href={href}
+      className="text-blue-600 underline hover:text-blue-800"
+      {...(external && { target: '_blank', rel: 'noopener noreferrer nofollow' })}
+    >
+      {children}
+    </a>
+  );
+}
+
+// Tailwind has no typography plugin here, so GFM tables get their borders explicitly.
+const components = {
+  pre: CodeBlock,
+  a: Link,
+  table: ({ children }) => (
+    <div className="overflow-x-auto my-3">
+      <table className="min-w-full border-collapse text-sm">{children}</table>
+    </div>
+  ),
+  th: ({ children, style }) => <th style={style} className="border border-gray-300 bg-gray-100 px-3 py-1.5 text-left font-semibold">{children}</th>,
+  td: ({ children, style }) => <td style={style} className="border border-gray-300 px-3 py-1.5">{children}</td>
+};
+
+// Bot replies: GitHub-flavoured Markdown (tables, task lists, strikethrough, autolinks)
+// with highlighted code blocks.
+export default function MarkdownMessage({ children }) {
+  return (
+    <ReactMarkdown remarkPlugins={[remarkGfm]} rehypePlugins={[rehypeHighlight]} components={components}>
+      {children}
+    </ReactMarkdown>
+  );
+}
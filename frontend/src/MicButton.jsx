@@ -0,0 +1,81 @@
+import { useRef, useState } from 'react';
+import { transcribeAudio } from './api';
+import { canRecord, recordingMimeType } from './speech';
+import { uiLanguage, t } from './i18n';
+
+// Push-to-talk: hold the button (or Space/Enter while it is focused) to record, release to
+// send the clip to /transcribe. The transcript goes to onTranscript for the composer.
+// `language` is the reply language preference; Whisper is only pinned to English or Hindi,
+// and detects the language itself for "auto" and Hinglish.
+export default function MicButton({ onTranscript, language = 'auto', disabled = false, darkMode }) {
+  const [status, setStatus] = useState('idle'); // idle | recording | transcribing
+  const recorderRef = useRef(null);
+  // Released before the microphone permission resolved: stop as soon as recording starts.
+  const heldRef = useRef(false);
+
+  if (!canRecord()) return null;
+
+  const stop = () => {
+    heldRef.current = false;
+    if (recorderRef.current?.state === 'recording') recorderRef.current.stop();
+    recorderRef.current = null;
+  };
+
+  const start = async () => {
+    if (disabled || status !== 'idle') return;
+    heldRef.current = true;
+    setStatus('recording');
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      const mimeType = recordingMimeType();
+      const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+      const chunks = [];
+      recorder.ondataavailable = (e) => chunks.push(e.data);
+      recorder.onstop = async () => {
+        stream.getTracks().forEach(track => track.stop());
+        const blob = new Blob(chunks, { type: recorder.mimeType });
+        if (!blob.size) return setStatus('idle');
+        setStatus('transcribing');
+        try {
+          const { text } = await transcribeAudio(blob, { language: ['en', 'hi'].includes(language) ? language : undefined });
+          if (text) onTranscript(text);
+        } catch (error) {
+          window.alert(t(uiLanguage(language), 'voiceFailed', { error: error.message }));
+        } finally {
+          setStatus('idle');
+        }
+      };
+      recorderRef.current = recorder;
+      recorder.start();
+      if (!heldRef.current) stop();
+    } catch (error) {
+      setStatus('idle');
+      window.alert(t(uiLanguage(language), 'micUnavailable', { error: error.message }));
+    }
+  };
+
+  const isHoldKey = (e) => e.key === ' ' || e.key === 'Enter';
+  const label = { idle: 'Hold to talk', recording: 'Recording… release to send', transcribing: 'Transcribing…' }[status];
+
+  return (
+    <button
+      type="button"
+      disabled={disabled || status === 'transcribing'}
+      onPointerDown={start}
+      onPointerUp={stop}
+      onPointerLeave={stop}
+      onKeyDown={(e) => { if (isHoldKey(e) && !e.repeat) { e.preventDefault(); start(); } }}
+      onKeyUp={(e) => { if (isHoldKey(e)) { e.preventDefault(); stop(); } }}
+      title={label}
+      aria-label={label}
+      aria-pressed={status === 'recording'}
+      className={`px-3 py-2 rounded-md shadow-md transition-colors select-none touch-none disabled:opacity-50 ${
+        status === 'recording'
+          ? 'bg-red-500 text-white animate-pulse'
+          : darkMode ? 'bg-gray-700 text-cyan-200 hover:bg-gray-600' : 'bg-blue-100 text-blue-700 hover:bg-blue-200'
+      }`}
+    >
+      {status === 'transcribing' ? '⏳' : '🎙️'}
+    </button>
+  );
+}
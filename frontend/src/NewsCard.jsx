@@ -0,0 +1,46 @@
+import { localeFor, t } from './i18n';
+
+const formatPublished = (publishedAt, locale) => (publishedAt ? new Date(publishedAt).toLocaleString(locale, { dateStyle: 'medium', timeStyle: 'short' }) : '');
+
+// Renders the `card` /chat returns for the news skill: one entry per article, numbered as the
+// bot numbered them so "summarize #3" still lines up. `language` localizes the labels and dates.
+export default function NewsCard({ card, language }) {
+  return (
+    <div className="w-full min-w-[16rem] text-gray-800">
+      <h3 className="text-lg font-bold mb-3">
+        📰 {card.title}
+        {card.page > 1 && <span className="ml-2 text-sm font-normal text-gray-500">{t(language, 'page', { page: card.page })}</span>}
+      </h3>
+
+      <ol className="space-y-3">
+        {card.articles.map(article => (
+          <li key={article.url || article.number}>
+            <a
+              href={article.url}
+              target="_blank"
+              rel="noopener noreferrer nofollow"
+              className="flex gap-3 rounded-lg border border-gray-200 p-2 hover:bg-gray-50 hover:shadow-sm transition"
+            >
+              {article.image && (
+                <img
+                  src={article.image}
+                  alt=""
+                  loading="lazy"
+                  className="w-24 h-20 shrink-0 rounded-md object-cover"
+                  onError={(e) => { e.currentTarget.style.display = 'none'; }}
+                />
+              )}
+              <div className="min-w-0">
+                <p className="font-semibold leading-snug">{article.number}. {article.title}</p>
+                {article.description && <p className="text-sm text-gray-600 line-clamp-2">{article.description}</p>}
+                <p className="text-xs text-gray-500 mt-1">{article.source}{article.publishedAt ? ` · ${formatPublished(article.publishedAt, localeFor(language))}` : ''}</p>
+              </div>
+            </a>
+          </li>
+        ))}
+      </ol>
+
+      <p className="mt-3 text-xs italic text-gray-500">{t(language, 'newsHint')}</p>
+    </div>
+  );
+}
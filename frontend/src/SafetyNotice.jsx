@@ -0,0 +1,22 @@
+import ReactMarkdown from 'react-markdown';
+import { t } from './i18n';
+
+// Shown instead of a ChatBubble when the server answered with the crisis response.
+// Deliberately has no close or collapse control, and no streaming cursor. The title follows the
+// reply's `language`, like the helplines under it.
+export default function SafetyNotice({ message, language, darkMode }) {
+  return (
+    <div role="alert" className="flex w-full justify-start mb-4">
+      <div
+        className={`w-full max-w-[90%] p-4 rounded-2xl border-2 shadow-md ${
+          darkMode ? 'bg-amber-950 border-amber-500 text-amber-50' : 'bg-amber-50 border-amber-500 text-gray-900'
+        }`}
+      >
+        <p className={`font-bold mb-2 ${darkMode ? 'text-amber-300' : 'text-amber-700'}`}>💛 {t(language, 'safetyTitle')}</p>
+        <div className={`prose ${darkMode ? 'prose-invert' : ''} max-w-none text-sm sm:text-base leading-relaxed break-words`}>
+          <ReactMarkdown>{message}</ReactMarkdown>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,60 @@
+import { t } from './i18n';
+
+function describe(schedule) {
+  if (schedule.type === 'rain') return `rain in ${schedule.location} ≥ ${schedule.threshold}% (${schedule.day})`;
+  const { country, category, query } = schedule.news || {};
+  const news = schedule.news && (query || [country?.toUpperCase(), category].filter(Boolean).join(' ') || 'headlines');
+  return [schedule.location, news].filter(Boolean).join(' + ');
+}
+
+// Daily briefings and rain alerts set up in this chat, each with pause/resume and delete.
+// `onEnableNotifications` (while the browser hasn't been asked yet) adds a "Notify me" button:
+// permission prompts need a click.
+export default function ScheduleChips({ schedules, onTogglePaused, onRemove, onEnableNotifications, language, darkMode, disabled = false }) {
+  if (!schedules.length) return null;
+
+  return (
+    <ul className="flex flex-wrap gap-2 mb-2" aria-label="Schedules in this chat">
+      {schedules.map(schedule => (
+        <li
+          key={schedule.id}
+          title={`Every day at ${schedule.time} (${schedule.timeZone})${schedule.paused ? ' · paused' : ''}`}
+          className={`flex items-center gap-1 max-w-xs rounded-full px-3 py-1 text-xs ${darkMode ? 'bg-gray-800 text-cyan-200' : 'bg-blue-50 text-blue-700'} ${schedule.paused ? 'opacity-60' : ''}`}
+        >
+          <span aria-hidden="true">{schedule.type === 'rain' ? '🌧️' : '⏰'}</span>
+          <span className="font-semibold">{schedule.time}</span>
+          <span className="truncate">{describe(schedule)}</span>
+          <button
+            type="button"
+            disabled={disabled}
+            onClick={() => onTogglePaused(schedule)}
+            className="ml-1 opacity-60 hover:opacity-100 disabled:cursor-not-allowed"
+            aria-label={`${schedule.paused ? 'Resume' : 'Pause'} the ${schedule.time} schedule`}
+          >
+            {schedule.paused ? '▶' : '⏸'}
+          </button>
+          <button
+            type="button"
+            disabled={disabled}
+            onClick={() => onRemove(schedule.id)}
+            className="opacity-60 hover:opacity-100 disabled:cursor-not-allowed"
+            aria-label={`Delete the ${schedule.time} schedule`}
+          >
+            ✕
+          </button>
+        </li>
+      ))}
+      {onEnableNotifications && (
+        <li>
+          <button
+            type="button"
+            onClick={onEnableNotifications}
+            className={`rounded-full px-3 py-1 text-xs font-semibold ${darkMode ? 'bg-cyan-800 text-cyan-100 hover:bg-cyan-700' : 'bg-blue-500 text-white hover:bg-blue-600'}`}
+          >
+            🔔 {t(language, 'notifyMe')}
+          </button>
+        </li>
+      )}
+    </ul>
+  );
+}
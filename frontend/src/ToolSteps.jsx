@@ -0,0 +1,40 @@
+import MarkdownMessage from './MarkdownMessage';
+import { t } from './i18n';
+
+const ICONS = { weather: '🌦️', news: '📰', calculator: '🧮' };
+
+// The first argument value is enough to tell steps apart ("weather · Mumbai").
+const summarize = (args = {}) => Object.values(args).find(value => typeof value === 'string') ?? '';
+
+// Tool calls behind a general answer (the `tools` of /chat, streamed as `tool` events), one
+// collapsible step each: what was asked for and what came back, or why it failed.
+export default function ToolSteps({ steps, language }) {
+  if (!steps?.length) return null;
+
+  return (
+    <div className="flex flex-col gap-1 mb-3 text-xs">
+      {steps.map(step => (
+        <details key={step.id} className="rounded-md border border-gray-200 bg-gray-50 px-2 py-1">
+          <summary className="cursor-pointer select-none text-gray-600">
+            <span aria-hidden="true">{step.error ? '⚠️' : ICONS[step.name] || '🔧'}</span>{' '}
+            <span className="font-semibold">{step.name}</span>
+            {summarize(step.arguments) && <span> · {summarize(step.arguments)}</span>}
+            <span className="text-gray-400"> · {step.latencyMs} ms</span>
+          </summary>
+          <div className="mt-2 flex flex-col gap-2 text-gray-700">
+            <div>
+              <div className="font-semibold">{t(language, 'toolInput')}</div>
+              <pre className="whitespace-pre-wrap break-words">{JSON.stringify(step.arguments, null, 2)}</pre>
+            </div>
+            <div>
+              <div className="font-semibold">{t(language, step.error ? 'toolFailed' : 'toolResult')}</div>
+              {step.error
+                ? <p className="text-red-700">{step.error.message}</p>
+                : <div className="prose prose-sm max-w-none"><MarkdownMessage>{step.output}</MarkdownMessage></div>}
+            </div>
+          </div>
+        </details>
+      ))}
+    </div>
+  );
+}
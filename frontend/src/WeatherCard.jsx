@@ -0,0 +1,100 @@
+import MarkdownMessage from './MarkdownMessage';
+import { localeFor, t } from './i18n';
+
+// WeatherAPI icon URLs are protocol-relative ("//cdn.weatherapi.com/...").
+const iconUrl = (icon) => (icon?.startsWith('//') ? `https:${icon}` : icon);
+const formatDay = (date, locale) => new Date(`${date}T00:00`).toLocaleDateString(locale, { weekday: 'short', month: 'short', day: 'numeric' });
+const formatHour = (time, locale) => new Date(time.replace(' ', 'T')).toLocaleTimeString(locale, { hour: 'numeric' });
+
+function ConditionIcon({ icon, condition, size = 'w-10 h-10' }) {
+  if (!icon) return null;
+  return <img src={iconUrl(icon)} alt={condition} title={condition} className={size} loading="lazy" />;
+}
+
+// Renders the `card` /chat returns for the weather skill: current conditions, daily or hourly
+// forecast, astro times, air quality, alerts and the model's recommendations. Conditions
+// arrive already translated; `language` localizes the labels and dates around them.
+export default function WeatherCard({ card, language }) {
+  const { location, current, days, granularity, airQuality, alerts = [], recommendations } = card;
+  const today = days[0];
+  const locale = localeFor(language);
+
+  return (
+    <div className="w-full min-w-[16rem] text-gray-800 space-y-3">
+      <header>
+        <h3 className="text-lg font-bold">📍 {location.name}{location.region ? `, ${location.region}` : ''}</h3>
+        <p className="text-xs text-gray-500">{location.country} · {t(language, 'localTime')} {location.localtime}</p>
+      </header>
+
+      {alerts.map(alert => (
+        <p key={alert.headline} role="alert" className="rounded-lg bg-red-50 border border-red-300 text-red-800 px-3 py-2 text-sm">
+          🚨 {alert.headline}{alert.severity ? ` (${alert.severity})` : ''}{alert.expires ? ` — ${t(language, 'until', { time: alert.expires })}` : ''}
+        </p>
+      ))}
+
+      {current && (
+        <div className="flex items-center gap-4 rounded-xl bg-gradient-to-r from-sky-100 to-blue-50 p-4">
+          <ConditionIcon icon={current.icon} condition={current.condition} size="w-16 h-16" />
+          <div>
+            <p className="text-4xl font-bold">{Math.round(current.tempC)}°C</p>
+            <p className="text-sm">{current.condition} · {t(language, 'feelsLike')} {Math.round(current.feelsLikeC)}°C</p>
+          </div>
+          <dl className="ml-auto text-sm grid grid-cols-[auto_auto] gap-x-2">
+            <dt>💧</dt><dd>{current.humidity}%</dd>
+            <dt>💨</dt><dd>{current.windKph} km/h {current.windDir}</dd>
+            <dt>🌧️</dt><dd>{today.chanceOfRain}%</dd>
+          </dl>
+        </div>
+      )}
+
+      {granularity === 'daily' && (
+        <ul className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+          {days.map(day => (
+            <li key={day.date} className="rounded-lg border border-gray-200 p-3 text-sm">
+              <p className="font-semibold">{formatDay(day.date, locale)}</p>
+              <div className="flex items-center gap-2">
+                <ConditionIcon icon={day.icon} condition={day.condition} />
+                <span>{Math.round(day.minC)}–{Math.round(day.maxC)}°C</span>
+              </div>
+              <p className="text-gray-600">{day.condition}</p>
+              <p className="text-gray-600">🌧️ {day.chanceOfRain}%{day.precipMm > 0 ? ` · ${day.precipMm} mm` : ''}</p>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {granularity === 'hourly' && days.map(day => (
+        <section key={day.date}>
+          <p className="font-semibold text-sm mb-1">🕐 {formatDay(day.date, locale)}</p>
+          {day.hours?.length ? (
+            <ol className="flex gap-2 overflow-x-auto pb-1">
+              {day.hours.map(hour => (
+                <li key={hour.time} className="shrink-0 rounded-lg border border-gray-200 px-3 py-2 text-center text-sm">
+                  <p className="text-gray-500">{formatHour(hour.time, locale)}</p>
+                  <ConditionIcon icon={hour.icon} condition={hour.condition} size="w-8 h-8 mx-auto" />
+                  <p className="font-semibold">{Math.round(hour.tempC)}°C</p>
+                  <p className="text-xs text-gray-600">🌧️ {hour.chanceOfRain}%</p>
+                </li>
+              ))}
+            </ol>
+          ) : <p className="text-sm italic text-gray-500">{t(language, 'noHours')}</p>}
+        </section>
+      ))}
+
+      <p className="flex flex-wrap gap-x-4 text-sm text-gray-600">
+        <span>🌅 {t(language, 'sunrise')} {today.sunrise}</span>
+        <span>🌇 {t(language, 'sunset')} {today.sunset}</span>
+        {airQuality && <span>🫁 {t(language, 'airQuality')}: {airQuality.label} (US EPA {airQuality.index}) · PM2.5 {airQuality.pm25} µg/m³</span>}
+      </p>
+
+      {recommendations && (
+        <section className="border-t border-gray-200 pt-3">
+          <p className="font-semibold mb-1">🏃 {t(language, 'recommendations')}</p>
+          <div className="text-sm">
+            <MarkdownMessage>{recommendations}</MarkdownMessage>
+          </div>
+        </section>
+      )}
+    </div>
+  );
+}
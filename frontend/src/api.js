@@ -0,0 +1,178 @@
+import axios from "axios";
+
+export const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || "http://localhost:3001";
+// Shipped in the bundle, so anyone can read it: it is only traded at /auth/token for a token of
+// this browser, which the backend charges to its own quota within the deployment's.
+const API_KEY = import.meta.env.VITE_API_KEY;
+const TOKEN_STORAGE_KEY = "nodemesh.accessToken";
+let renewing = null;
+
+function storedToken() {
+  try {
+    return JSON.parse(localStorage.getItem(TOKEN_STORAGE_KEY));
+  } catch {
+    return null;
+  }
+}
+
+// Resolves with this browser's token, renewed (keeping its usage) when it is about to expire
+// or `renew` is set because the backend turned it down, e.g. after a restart.
+async function accessToken({ renew = false } = {}) {
+  const stored = storedToken();
+  if (!renew && stored && Date.parse(stored.expiresAt) - Date.now() > 60 * 1000) return stored.token;
+  renewing ||= axios
+    .post(`${API_BASE_URL}/auth/token`, { token: stored?.token }, { headers: API_KEY ? { Authorization: `Bearer ${API_KEY}` } : {} })
+    .then(({ data }) => {
+      localStorage.setItem(TOKEN_STORAGE_KEY, JSON.stringify(data));
+      return data.token;
+    })
+    .finally(() => { renewing = null; });
+  return renewing;
+}
+
+// fetch() with the browser's token, retried once with a renewed token on a 401.
+async function authorizedFetch(url, options) {
+  const send = async (renew) => fetch(url, {
+    ...options,
+    headers: { ...options.headers, Authorization: `Bearer ${await accessToken({ renew })}` }
+  });
+  const response = await send(false);
+  return response.status === 401 ? send(true) : response;
+}
+
+// The same for axios calls.
+const api = axios.create({ baseURL: API_BASE_URL });
+api.interceptors.request.use(async (request) => {
+  request.headers.Authorization = `Bearer ${await accessToken({ renew: request.renewToken })}`;
+  return request;
+});
+api.interceptors.response.use(undefined, (error) => {
+  if (error.response?.status !== 401 || error.config.renewToken) throw error;
+  return api({ ...error.config, renewToken: true });
+});
+
+// POSTs to /chat/stream and calls onEvent(event, data) for every Server-Sent Event.
+// Aborting `signal` closes the connection, which cancels the upstream request on the server.
+export async function streamChat(body, { signal, onEvent }) {
+  const response = await authorizedFetch(`${API_BASE_URL}/chat/stream`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+    signal
+  });
+  if (!response.ok || !response.body) {
+    // Auth and quota errors carry a displayable `error` message.
+    const data = await response.json().catch(() => ({}));
+    const error = new Error(data.error || `Stream request failed with status ${response.status}`);
+    error.status = response.status;
+    error.data = data;
+    throw error;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = "message";
+      let data = "";
+      for (const line of rawEvent.split("\n")) {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) data += line.slice(5).trim();
+      }
+      if (data) onEvent(event, JSON.parse(data));
+    }
+  }
+}
+
+// Replaces the server-side memory for a session with the given transcript.
+export function rehydrateSession(sessionId, history) {
+  return api.put(`/sessions/${encodeURIComponent(sessionId)}/history`, { history });
+}
+
+export function deleteSession(sessionId) {
+  return api.delete(`/sessions/${encodeURIComponent(sessionId)}`);
+}
+
+// Resolves with { limit, used, remaining, resetAt }; remaining is null when unlimited.
+export async function fetchUsage() {
+  const { data } = await api.get("/usage");
+  return data;
+}
+
+// Rates one answer by the replyId from its `done` event; rating is "up" or "down".
+export async function sendFeedback({ replyId, rating, comment }) {
+  const { data } = await api.post("/feedback", { replyId, rating, comment });
+  return data;
+}
+
+// Sends a recording to /transcribe and resolves with { text, language?, durationSeconds? }.
+export async function transcribeAudio(blob, { language } = {}) {
+  const query = language ? `?language=${encodeURIComponent(language)}` : "";
+  const response = await authorizedFetch(`${API_BASE_URL}/transcribe${query}`, {
+    method: "POST",
+    headers: { "Content-Type": blob.type.split(";")[0] || "audio/webm" },
+    body: blob
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || `Transcription failed with status ${response.status}`);
+  return data;
+}
+
+// Browsers often leave Markdown files untyped, so the extension decides the Content-Type.
+const DOCUMENT_TYPES = { pdf: "application/pdf", txt: "text/plain", md: "text/markdown", markdown: "text/markdown" };
+export const DOCUMENT_EXTENSIONS = Object.keys(DOCUMENT_TYPES).map(ext => `.${ext}`);
+
+// Uploads a file for document Q&A in that session; resolves with { id, title, type, pages?, chunks, ... }.
+export async function uploadDocument(sessionId, file) {
+  const type = DOCUMENT_TYPES[file.name.split(".").pop().toLowerCase()];
+  if (!type) throw new Error(`Only ${DOCUMENT_EXTENSIONS.join(", ")} files can be attached`);
+  const response = await authorizedFetch(`${API_BASE_URL}/sessions/${encodeURIComponent(sessionId)}/documents?filename=${encodeURIComponent(file.name)}`, {
+    method: "POST",
+    headers: { "Content-Type": type },
+    body: file
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || `Upload failed with status ${response.status}`);
+  return data;
+}
+
+// Uploaded files and pages linked in chat for a session.
+export async function listDocuments(sessionId) {
+  const { data } = await api.get(`/sessions/${encodeURIComponent(sessionId)}/documents`);
+  return data.documents;
+}
+
+export function deleteDocument(sessionId, documentId) {
+  return api.delete(`/sessions/${encodeURIComponent(sessionId)}/documents/${encodeURIComponent(documentId)}`);
+}
+
+// Daily briefings and rain alerts for a session (created from chat).
+export async function listSchedules(sessionId) {
+  const { data } = await api.get(`/sessions/${encodeURIComponent(sessionId)}/schedules`);
+  return data.schedules;
+}
+
+export async function setSchedulePaused(sessionId, scheduleId, paused) {
+  const { data } = await api.patch(`/sessions/${encodeURIComponent(sessionId)}/schedules/${encodeURIComponent(scheduleId)}`, { paused });
+  return data;
+}
+
+export function deleteSchedule(sessionId, scheduleId) {
+  return api.delete(`/sessions/${encodeURIComponent(sessionId)}/schedules/${encodeURIComponent(scheduleId)}`);
+}
+
+// Briefings delivered to a session after `since` (ISO time), oldest first.
+export async function fetchBriefings(sessionId, since) {
+  const { data } = await api.get(`/sessions/${encodeURIComponent(sessionId)}/briefings`, { params: { since } });
+  return data.briefings;
+}
@@ -0,0 +1,149 @@
+import { createElement } from "react";
+import ReactMarkdown from "react-markdown";
+import remarkGfm from "remark-gfm";
+import { createConversation } from "./conversations";
+
+// Versioned JSON export. Bump EXPORT_VERSION when the shape changes and keep
+// parseConversationExport able to read older versions.
+export const EXPORT_FORMAT = "nodemesh.conversation";
+export const EXPORT_VERSION = 1;
+
+const slugify = (title) => title.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 50) || "conversation";
+const formatTime = (at) => (at ? new Date(at).toLocaleString() : "");
+
+const escapeHtml = (text) => text
+  .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+// The bot's replies are already Markdown, so they are kept verbatim.
+export function toMarkdown(conversation) {
+  const turns = conversation.messages.filter(m => m.content).map((m) => {
+    const who = m.type === "question" ? "🧑 You" : `🤖 NodeMesh${m.intent ? ` · ${m.intent}` : ""}`;
+    const when = m.at ? ` _(${formatTime(m.at)})_` : "";
+    return `### ${who}${when}\n\n${m.content}`;
+  });
+  return `# ${conversation.title}\n\n_Exported from NodeMesh AI on ${new Date().toLocaleString()}_\n\n---\n\n${turns.join("\n\n---\n\n")}\n`;
+}
+
+export function toJSON(conversation) {
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    conversation: {
+      title: conversation.title,
+      updatedAt: new Date(conversation.updatedAt).toISOString(),
+      messages: conversation.messages.filter(m => m.content && !m.streaming).map(m => ({
+        role: m.type === "question" ? "user" : "assistant",
+        content: m.content,
+        ...(m.intent && { intent: m.intent }),
+        ...(m.at && { at: new Date(m.at).toISOString() })
+      }))
+    }
+  }, null, 2);
+}
+
+// Self-contained page with print styles, so "Save as PDF" from the browser gives a clean document.
+export async function toHTML(conversation) {
+  const { renderToStaticMarkup } = await import("react-dom/server");
+  const turns = conversation.messages.filter(m => m.content).map((m) => {
+    const isUser = m.type === "question";
+    const body = isUser
+      ? `<p>${escapeHtml(m.content).replace(/\n/g, "<br>")}</p>`
+      : renderToStaticMarkup(createElement(ReactMarkdown, { remarkPlugins: [remarkGfm] }, m.content));
+    const label = isUser ? "You" : `NodeMesh${m.intent ? ` · ${escapeHtml(m.intent)}` : ""}`;
+    return `<section class="turn ${isUser ? "user" : "bot"}${m.intent === "crisis" ? " crisis" : ""}">
+  <header>${label}${m.at ? ` <time>${escapeHtml(formatTime(m.at))}</time>` : ""}</header>
+  ${body}
+</section>`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(conversation.title)}</title>
+<style>
+  body { font: 15px/1.6 system-ui, sans-serif; max-width: 760px; margin: 2rem auto; padding: 0 1rem; color: #1f2937; }
+  h1 { font-size: 1.6rem; margin-bottom: 0.25rem; }
+  .meta { color: #6b7280; font-size: 0.85rem; margin-bottom: 1.5rem; }
+  .turn { border-radius: 10px; padding: 0.75rem 1rem; margin: 0 0 1rem; break-inside: avoid; }
+  .turn header { font-weight: 600; font-size: 0.8rem; color: #4b5563; margin-bottom: 0.25rem; }
+  .turn time { font-weight: 400; margin-left: 0.5rem; }
+  .user { background: #eff6ff; border: 1px solid #bfdbfe; }
+  .bot { background: #fff; border: 1px solid #e5e7eb; }
+  .crisis { background: #fffbeb; border: 2px solid #f59e0b; }
+  pre, code { background: #f3f4f6; border-radius: 4px; }
+  pre { padding: 0.5rem; overflow-x: auto; }
+  a { color: #2563eb; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #d1d5db; padding: 0.25rem 0.6rem; text-align: left; }
+  @media print {
+    body { margin: 0; max-width: none; }
+    .turn { border-color: #d1d5db; }
+    a { color: inherit; }
+  }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(conversation.title)}</h1>
+<p class="meta">Exported from NodeMesh AI on ${escapeHtml(new Date().toLocaleString())}</p>
+${turns.join("\n")}
+</body>
+</html>
+`;
+}
+
+function download(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = Object.assign(document.createElement("a"), { href: url, download: filename });
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// format: "markdown" | "json" | "html" | "print"
+export async function exportConversation(conversation, format) {
+  const name = slugify(conversation.title);
+  if (format === "markdown") return download(`${name}.md`, toMarkdown(conversation), "text/markdown");
+  if (format === "json") return download(`${name}.json`, toJSON(conversation), "application/json");
+  if (format === "html") return download(`${name}.html`, await toHTML(conversation), "text/html");
+  if (format === "print") {
+    // Opened before the await so popup blockers still see the click.
+    const printWindow = window.open("", "_blank");
+    if (!printWindow) throw new Error("Allow pop-ups to print this conversation.");
+    printWindow.document.write(await toHTML(conversation));
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+  }
+}
+
+// Reads a JSON export into a new conversation (with a fresh id, so it gets its own
+// backend session). Throws with a readable message when the file isn't a valid export.
+export function parseConversationExport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("The file is not valid JSON.");
+  }
+  if (data?.format !== EXPORT_FORMAT) throw new Error("This is not a NodeMesh conversation export.");
+  if (!Number.isInteger(data.version) || data.version > EXPORT_VERSION) {
+    throw new Error(`Unsupported export version ${data.version}; update NodeMesh to import it.`);
+  }
+
+  const { title, messages } = data.conversation || {};
+  const isValid = Array.isArray(messages) && messages.every(m =>
+    ["user", "assistant"].includes(m?.role) && typeof m.content === "string");
+  if (!isValid) throw new Error("The export's messages are malformed.");
+
+  return {
+    ...createConversation(),
+    title: typeof title === "string" && title.trim() ? title.trim() : "Imported chat",
+    messages: messages.map(m => ({
+      type: m.role === "user" ? "question" : "answer",
+      content: m.content,
+      ...(typeof m.intent === "string" && { intent: m.intent }),
+      ...(m.at && !Number.isNaN(Date.parse(m.at)) && { at: Date.parse(m.at) })
+    }))
+  };
+}
@@ -0,0 +1,46 @@
+const STORAGE_KEY = "nodemesh.conversations";
+const ACTIVE_KEY = "nodemesh.activeConversation";
+const DEFAULT_TITLE = "New chat";
+
+// Each conversation's id doubles as its backend sessionId, so every
+// browser (and every conversation in it) gets its own server-side memory.
+export function createConversation() {
+  return { id: crypto.randomUUID(), title: DEFAULT_TITLE, messages: [], updatedAt: Date.now() };
+}
+
+export function loadConversations() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(stored) && stored.length) return stored;
+  } catch {
+    // Corrupted storage falls through to a fresh conversation.
+  }
+  return [createConversation()];
+}
+
+export function saveConversations(conversations) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(conversations));
+}
+
+export function loadActiveId(conversations) {
+  const storedId = localStorage.getItem(ACTIVE_KEY);
+  return conversations.some(c => c.id === storedId) ? storedId : conversations[0].id;
+}
+
+export function saveActiveId(id) {
+  localStorage.setItem(ACTIVE_KEY, id);
+}
+
+// Untitled conversations are named after their first question.
+export function titleFor(conversation, question) {
+  if (conversation.title !== DEFAULT_TITLE) return conversation.title;
+  const trimmed = question.trim().replace(/\s+/g, " ");
+  return trimmed.length > 40 ? `${trimmed.slice(0, 40)}…` : trimmed;
+}
+
+// Converts the UI transcript into the { role, content } shape the backend session expects.
+export function toSessionHistory(messages) {
+  return messages
+    .filter(m => m.content && !m.streaming)
+    .map(m => ({ role: m.type === "question" ? "user" : "assistant", content: m.content }));
+}
@@ -0,0 +1,114 @@
+// Reply languages the backend knows (backend/i18n.js). "auto" sends no preference and lets
+// the server detect the language from each message.
+export const LANGUAGE_OPTIONS = [
+  { value: "auto", label: "Auto" },
+  { value: "en", label: "English" },
+  { value: "hi", label: "हिन्दी" },
+  { value: "hi-Latn", label: "Hinglish" }
+];
+
+const STORAGE_KEY = "nodemesh.language";
+
+export function loadLanguage() {
+  const stored = localStorage.getItem(STORAGE_KEY);
+  return LANGUAGE_OPTIONS.some(option => option.value === stored) ? stored : "auto";
+}
+
+export function saveLanguage(language) {
+  localStorage.setItem(STORAGE_KEY, language);
+}
+
+// BCP 47 locale for dates and speech: Hinglish is read and formatted as Indian English.
+const LOCALES = { en: "en-US", hi: "hi-IN", "hi-Latn": "en-IN" };
+
+export const localeFor = (language) => LOCALES[language] || navigator.language;
+
+// UI strings shown inside the chat (warnings, card labels). Anything missing falls back to English.
+const MESSAGES = {
+  en: {
+    stopped: "_Generation stopped by user._",
+    connectionFailed: "Sorry - Something went wrong connecting to the server.",
+    voiceFailed: "Voice input failed: {error}",
+    micUnavailable: "Microphone unavailable: {error}",
+    feedbackFailed: "Feedback failed: {error}",
+    importFailed: "Import failed: {error}",
+    uploadFailed: "Upload failed: {error}",
+    localTime: "Local time",
+    feelsLike: "feels like",
+    until: "until {time}",
+    noHours: "No remaining hours in that window.",
+    sunrise: "Sunrise",
+    sunset: "Sunset",
+    airQuality: "Air quality",
+    recommendations: "Smart Recommendations",
+    page: "page {page}",
+    newsHint: 'Say "more" for the next page, or "summarize #2" to summarize an article.',
+    toolInput: "Input",
+    toolResult: "Result",
+    toolFailed: "Failed",
+    briefingNotification: "Your NodeMesh briefing",
+    rainNotification: "NodeMesh rain alert",
+    safetyTitle: "You are not alone",
+    notifyMe: "Notify me"
+  },
+  hi: {
+    stopped: "_उपयोगकर्ता ने जवाब रोक दिया।_",
+    connectionFailed: "क्षमा करें - सर्वर से जुड़ने में कुछ गड़बड़ हो गई।",
+    voiceFailed: "आवाज़ से इनपुट नहीं हो सका: {error}",
+    micUnavailable: "माइक्रोफ़ोन उपलब्ध नहीं है: {error}",
+    feedbackFailed: "फ़ीडबैक नहीं भेजा जा सका: {error}",
+    importFailed: "इम्पोर्ट नहीं हो सका: {error}",
+    uploadFailed: "अपलोड नहीं हो सका: {error}",
+    localTime: "स्थानीय समय",
+    feelsLike: "महसूस होता है",
+    until: "{time} तक",
+    noHours: "इस समय-सीमा में कोई घंटा बाकी नहीं है।",
+    sunrise: "सूर्योदय",
+    sunset: "सूर्यास्त",
+    airQuality: "वायु गुणवत्ता",
+    recommendations: "स्मार्ट सुझाव",
+    page: "पेज {page}",
+    newsHint: 'अगले पेज के लिए "more" कहें, या किसी ख़बर का सार पाने के लिए "summarize #2" कहें।',
+    toolInput: "इनपुट",
+    toolResult: "नतीजा",
+    toolFailed: "नहीं हो सका",
+    briefingNotification: "आपकी NodeMesh ब्रीफ़िंग",
+    rainNotification: "NodeMesh बारिश अलर्ट",
+    safetyTitle: "आप अकेले नहीं हैं",
+    notifyMe: "मुझे सूचित करें"
+  },
+  "hi-Latn": {
+    stopped: "_User ne jawab rok diya._",
+    connectionFailed: "Sorry - server se connect karne mein kuch gadbad ho gayi.",
+    voiceFailed: "Voice input nahi ho paya: {error}",
+    micUnavailable: "Microphone available nahi hai: {error}",
+    feedbackFailed: "Feedback nahi bhej paye: {error}",
+    importFailed: "Import nahi ho paya: {error}",
+    uploadFailed: "Upload nahi ho paya: {error}",
+    localTime: "Local time",
+    feelsLike: "mehsoos hota hai",
+    until: "{time} tak",
+    noHours: "Is time window mein koi ghanta baaki nahi hai.",
+    sunrise: "Sunrise",
+    sunset: "Sunset",
+    airQuality: "Hawa ki quality",
+    recommendations: "Smart Suggestions",
+    page: "page {page}",
+    newsHint: 'Agle page ke liye "more" kahiye, ya kisi khabar ka saar paane ke liye "summarize #2".',
+    toolInput: "Input",
+    toolResult: "Result",
+    toolFailed: "Nahi ho paya",
+    briefingNotification: "Aapki NodeMesh briefing",
+    rainNotification: "NodeMesh baarish alert",
+    safetyTitle: "Aap akele nahi hain",
+    notifyMe: "Mujhe notify karein"
+  }
+};
+
+// The UI language follows the preference, or the browser when it is "auto".
+export const uiLanguage = (language) => (language && language !== "auto" ? language : navigator.language.split("-")[0]);
+
+export function t(language, key, params = {}) {
+  const template = MESSAGES[language]?.[key] ?? MESSAGES.en[key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (_, name) => params[name] ?? "");
+}
@@ -0,0 +1,25 @@
+import { toSpeechText } from "./speech";
+import { t } from "./i18n";
+
+const supported = () => typeof window !== "undefined" && "Notification" in window;
+
+// "default" (not asked yet), "granted", "denied", or "unsupported" without the Notification API.
+export const notificationPermission = () => (supported() ? Notification.permission : "unsupported");
+
+// Browsers only show (Firefox: only allow) the prompt from a user gesture, so this must run in
+// a click handler; the schedule chips offer one. Resolves with the resulting permission.
+export async function requestNotificationPermission() {
+  if (notificationPermission() !== "default") return notificationPermission();
+  return Notification.requestPermission().catch(() => notificationPermission());
+}
+
+// A system notification for a delivered briefing (see App's polling), as plain text in the
+// briefing's language.
+export function notifyBriefing(briefing) {
+  if (!supported() || Notification.permission !== "granted") return;
+  const body = toSpeechText(briefing.content).replace(/\s+/g, " ").trim();
+  new Notification(t(briefing.language, briefing.type === "rain" ? "rainNotification" : "briefingNotification"), {
+    body: body.length > 180 ? `${body.slice(0, 180)}…` : body,
+    tag: briefing.id
+  });
+}
@@ -0,0 +1,56 @@
+// Spoken playback uses the browser's speechSynthesis; recording goes through MediaRecorder and
+// the backend's /transcribe, so voice input works without the Web Speech recognition API.
+
+export const canSpeak = () => typeof window !== "undefined" && "speechSynthesis" in window;
+export const canRecord = () => Boolean(navigator.mediaDevices?.getUserMedia) && typeof MediaRecorder !== "undefined";
+
+// The shloka in a Gita reply: a bold Devanagari line directly followed by its italic
+// transliteration (backend/skills/gita.js). Headings and reflections in Hindi stay.
+const SHLOKA = /^\*\*[^*\n]*[\u0900-\u097F][^*\n]*\*\*[ \t]*(?=\n\*[^*\s])/gm;
+// Pictographs plus flag letters, variation selectors, joiners and keycap marks left behind.
+const EMOJI = /\p{Extended_Pictographic}|[\u{1F1E6}-\u{1F1FF}]|\u{FE0F}|\u{200D}|\u{20E3}/gu;
+
+// Reduces a Markdown reply to what should be read aloud: no syntax, URLs or emoji, and code
+// blocks replaced by a short mention. Gita replies print the shloka in Devanagari and then its
+// transliteration; only the transliteration of the verse is read.
+export function toSpeechText(markdown, { intent } = {}) {
+  let text = intent === "gita" ? markdown.replace(SHLOKA, "") : markdown;
+  text = text
+    .replace(/```[\s\S]*?```/g, "\n(code block omitted)\n")
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+    .replace(/https?:\/\/\S+/g, "")
+    .replace(/`([^`]*)`/g, "$1")
+    .replace(/^[ \t]*\|(.*)\|[ \t]*$/gm, "$1")
+    .replace(/^[ \t:|-]*-[ \t:|-]*$/gm, "")
+    .replace(/[ \t]*\|[ \t]*/g, ", ")
+    .replace(/^[ \t]{0,3}(#{1,6}|>|[-*+])[ \t]+/gm, "")
+    .replace(/[*~]+/g, "")
+    .replace(/(^|\W)_+|_+(?=\W|$)/g, "$1")
+    .replace(EMOJI, "");
+  return text
+    .split("\n")
+    .map(line => line.replace(/\s+/g, " ").trim())
+    .filter(Boolean)
+    .join("\n");
+}
+
+// Reads `text` aloud, cancelling anything already playing. onEnd runs when it finishes or is cancelled.
+export function speak(text, { lang = navigator.language, onEnd } = {}) {
+  window.speechSynthesis.cancel();
+  const utterance = new SpeechSynthesisUtterance(text);
+  utterance.lang = lang;
+  utterance.onend = () => onEnd?.();
+  utterance.onerror = () => onEnd?.();
+  window.speechSynthesis.speak(utterance);
+}
+
+export function stopSpeaking() {
+  if (canSpeak()) window.speechSynthesis.cancel();
+}
+
+// Picks a container the backend accepts; Safari records audio/mp4, most others audio/webm.
+export function recordingMimeType() {
+  return ["audio/webm;codecs=opus", "audio/webm", "audio/ogg;codecs=opus", "audio/mp4"]
+    .find(type => MediaRecorder.isTypeSupported?.(type)) || "";
+}